@@ -0,0 +1,43 @@
+/**
+ * The problems the audit looks for, with descriptions
+ */
+export const AUDIT_RULES: Record<
+	| 'missing-hidden'
+	| 'sensitive-blur'
+	| 'empty-type'
+	| 'unknown-type'
+	| 'nested-warning'
+	| 'interactive-in-inline',
+	string
+>;
+
+export type ContentWarningAuditRule = keyof typeof AUDIT_RULES;
+
+export interface ContentWarningAuditOptions {
+	/** The tag name the element is defined as (default: "content-warning") */
+	tagName?: string;
+	/** The types the project defines; others are reported as unknown (any type is allowed when not given) */
+	types?: string[];
+	/** Types that must not be blurred. Warnings with `severity="high"` count too. */
+	sensitive?: string[];
+	/** Rules not to report */
+	ignore?: ContentWarningAuditRule[];
+}
+
+export interface ContentWarningAuditProblem {
+	rule: ContentWarningAuditRule;
+	message: string;
+	/** Counting from 1 */
+	line: number;
+	/** Counting from 1 */
+	column: number;
+}
+
+/**
+ * Audit the content warnings in some HTML
+ * @returns Problems, in document order
+ */
+export function auditHTML(
+	html: string,
+	options?: ContentWarningAuditOptions,
+): ContentWarningAuditProblem[];
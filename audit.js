@@ -0,0 +1,346 @@
+/**
+ * Audits HTML for content warnings that are misused or unsafe.
+ *
+ * Works on HTML strings (built pages, templates, CMS output) without a DOM or
+ * an HTML parser, so it runs in Node. The `content-warning audit` command in
+ * cli.js runs it over files.
+ */
+import { MODES, VISIBLE_MODES } from './rendering.js';
+import { parseTypes } from './types.js';
+
+/**
+ * The problems the audit looks for, by rule name
+ */
+export const AUDIT_RULES = {
+	'missing-hidden':
+		'Warnings need the hidden attribute (or a server-rendered shadow root) so Reader Mode can’t show their content before the component loads',
+	'sensitive-blur':
+		'Sensitive types need a mode that hides their content completely, not blur, pixelate or teaser',
+	'empty-type': 'Warnings need a type',
+	'unknown-type': 'Types must be ones the project has defined',
+	'nested-warning': 'Warnings can’t be inside other warnings',
+	'interactive-in-inline':
+		'Inline warnings shouldn’t contain links or other interactive content, which readers can’t see or reach until the words around them are revealed',
+};
+
+const RULE_NAMES = Object.keys(AUDIT_RULES);
+
+// Elements whose content isn't markup
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title', 'xmp'];
+
+const VOID_ELEMENTS = [
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'source',
+	'track',
+	'wbr',
+];
+
+// Splits a start tag into attributes
+const ATTRIBUTE_PATTERN =
+	/([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Check whether an element is interactive content, as HTML defines it
+ * @param {string} name - The tag name
+ * @param {Map<string, string>} attributes - The element's attributes
+ * @returns {boolean}
+ */
+function isInteractive(name, attributes) {
+	if (attributes.has('tabindex') || attributes.has('contenteditable')) {
+		return true;
+	}
+	switch (name) {
+		case 'a':
+			return attributes.has('href');
+		case 'audio':
+		case 'video':
+			return attributes.has('controls');
+		case 'img':
+			return attributes.has('usemap');
+		case 'input':
+			return attributes.get('type')?.toLowerCase() !== 'hidden';
+		case 'button':
+		case 'details':
+		case 'embed':
+		case 'iframe':
+		case 'label':
+		case 'select':
+		case 'textarea':
+			return true;
+		default:
+			return false;
+	}
+}
+
+/**
+ * Find the line and column of an offset
+ * @param {number[]} lineStarts - The offset each line starts at
+ * @param {number} offset - The offset
+ * @returns {{line: number, column: number}} Both count from 1
+ */
+function getPosition(lineStarts, offset) {
+	let line = lineStarts.length - 1;
+	while (lineStarts[line] > offset) line--;
+	return { line: line + 1, column: offset - lineStarts[line] + 1 };
+}
+
+/**
+ * Find the innermost open element with a tag name
+ * @param {Object[]} stack - Open elements, innermost last
+ * @param {string} name - The tag name
+ * @returns {number} Its index, or -1
+ */
+function findOpenElement(stack, name) {
+	for (let index = stack.length - 1; index >= 0; index--) {
+		if (stack[index].name === name) return index;
+	}
+	return -1;
+}
+
+/**
+ * Read the start and end tags of an HTML document, skipping comments,
+ * doctypes and the content of raw text elements
+ * @param {string} html - The HTML
+ * @returns {Generator<{name: string, offset: number, isEnd: boolean, isSelfClosing: boolean, attributes: Map<string, string>}>}
+ */
+function* readTags(html) {
+	let index = 0;
+	while ((index = html.indexOf('<', index)) !== -1) {
+		if (html.startsWith('<!--', index)) {
+			const end = html.indexOf('-->', index + 4);
+			index = end === -1 ? html.length : end + 3;
+			continue;
+		}
+		if (html[index + 1] === '!' || html[index + 1] === '?') {
+			const end = html.indexOf('>', index);
+			index = end === -1 ? html.length : end + 1;
+			continue;
+		}
+
+		const match = /^<(\/?)([a-zA-Z][^\s/>]*)/.exec(
+			html.slice(index, index + 256),
+		);
+		if (!match) {
+			index++;
+			continue;
+		}
+
+		// Find the end of the tag, skipping over quoted values
+		let end = index + match[0].length;
+		let quote = null;
+		for (; end < html.length; end++) {
+			const char = html[end];
+			if (quote) {
+				if (char === quote) quote = null;
+			} else if (char === '"' || char === "'") {
+				quote = char;
+			} else if (char === '>') {
+				break;
+			}
+		}
+
+		const name = match[2].toLowerCase();
+		const body = html.slice(index + match[0].length, end);
+		const attributes = new Map();
+		for (const [, attribute, ...values] of body.matchAll(
+			ATTRIBUTE_PATTERN,
+		)) {
+			const key = attribute.toLowerCase();
+			if (!attributes.has(key)) {
+				attributes.set(key, values.find((v) => v !== undefined) ?? '');
+			}
+		}
+
+		yield {
+			name,
+			offset: index,
+			isEnd: match[1] === '/',
+			isSelfClosing: body.trimEnd().endsWith('/'),
+			attributes,
+		};
+		index = end + 1;
+
+		if (!match[1] && RAW_TEXT_ELEMENTS.includes(name)) {
+			const close = new RegExp(`</${name}`, 'gi');
+			close.lastIndex = index;
+			index = close.exec(html)?.index ?? html.length;
+		}
+	}
+}
+
+/**
+ * Audit the content warnings in some HTML
+ * @param {string} html - The HTML
+ * @param {Object} [options]
+ * @param {string} [options.tagName="content-warning"] - The tag name the element is defined as
+ * @param {string[]} [options.types] - The types the project defines; others are reported as unknown (any type is allowed when not given)
+ * @param {string[]} [options.sensitive=[]] - Types that must not be blurred. Warnings with `severity="high"` count too.
+ * @param {string[]} [options.ignore=[]] - Rules not to report
+ * @returns {Array<{rule: string, message: string, line: number, column: number}>} Problems, in document order
+ */
+export function auditHTML(
+	html,
+	{ tagName = 'content-warning', types, sensitive = [], ignore = [] } = {},
+) {
+	const problems = [];
+	const lineStarts = [0];
+	for (let i = 0; i < html.length; i++) {
+		if (html[i] === '\n') lineStarts.push(i + 1);
+	}
+	const report = (rule, message, offset) => {
+		if (!ignore.includes(rule)) {
+			problems.push({ rule, message, offset });
+		}
+	};
+
+	// A server-rendered shadow root hides the content until the element loads,
+	// so hidden is only missing once the warning closes without one
+	const close = (element) => {
+		if (
+			element.name === tagName &&
+			!element.attributes.has('hidden') &&
+			!element.isServerRendered
+		) {
+			report(
+				'missing-hidden',
+				`${element.label} is missing the hidden attribute, so Reader Mode can show its content`,
+				element.offset,
+			);
+		}
+	};
+
+	/**
+	 * Check an element inside warnings
+	 * @param {Object} element - The element's start tag
+	 * @param {Object[]} warnings - The warnings it is in, outermost first
+	 */
+	function checkContent(element, warnings) {
+		const inline = warnings.find(({ attributes }) =>
+			attributes.has('inline'),
+		);
+		if (inline && isInteractive(element.name, element.attributes)) {
+			report(
+				'interactive-in-inline',
+				`${element.label} is interactive, but it is inside the inline ${inline.label}`,
+				element.offset,
+			);
+		}
+	}
+
+	/**
+	 * Check a warning's own attributes
+	 * @param {Object} element - The warning's start tag
+	 * @param {boolean} isNested - Whether it is inside another warning
+	 */
+	function checkWarning(element, isNested) {
+		const { attributes, offset } = element;
+		if (attributes.has('type')) {
+			element.label = `<${tagName} type="${attributes.get('type')}">`;
+		}
+		const { label } = element;
+		const warningTypes = parseTypes(attributes.get('type'));
+
+		if (isNested) {
+			report(
+				'nested-warning',
+				`${label} is inside another warning`,
+				offset,
+			);
+		}
+		if (warningTypes.length === 0) {
+			report('empty-type', `${label} has no type`, offset);
+		}
+		if (types) {
+			for (const type of warningTypes) {
+				if (!types.includes(type)) {
+					report(
+						'unknown-type',
+						`${label} has an unknown type, "${type}"`,
+						offset,
+					);
+				}
+			}
+		}
+
+		// A valid mode wins over blur, as in the element
+		const mode = MODES.includes(attributes.get('mode'))
+			? attributes.get('mode')
+			: attributes.has('blur')
+				? 'blur'
+				: 'hidden';
+		const sensitiveType = warningTypes.find((type) =>
+			sensitive.includes(type),
+		);
+		if (
+			VISIBLE_MODES.includes(mode) &&
+			(sensitiveType || attributes.get('severity') === 'high')
+		) {
+			const reason = sensitiveType
+				? `the sensitive type "${sensitiveType}"`
+				: 'high severity content';
+			report(
+				'sensitive-blur',
+				`${label} uses ${mode} mode for ${reason}, which leaves it visible`,
+				offset,
+			);
+		}
+	}
+
+	// Open elements, innermost last
+	const stack = [];
+	for (const tag of readTags(html)) {
+		if (tag.isEnd) {
+			const index = findOpenElement(stack, tag.name);
+			if (index !== -1) {
+				stack.splice(index).reverse().forEach(close);
+			}
+			continue;
+		}
+
+		const element = { ...tag, label: `<${tag.name}>` };
+		const parent = stack[stack.length - 1];
+		if (
+			parent?.name === tagName &&
+			tag.name === 'template' &&
+			tag.attributes.has('shadowrootmode')
+		) {
+			parent.isServerRendered = true;
+			element.isShadowRoot = true;
+		}
+
+		// The element's own (server-rendered) shadow DOM isn't authored content
+		const warnings = stack.filter(({ name }) => name === tagName);
+		if (!stack.some(({ isShadowRoot }) => isShadowRoot)) {
+			if (tag.name === tagName) {
+				checkWarning(element, warnings.length > 0);
+			} else {
+				checkContent(element, warnings);
+			}
+		}
+
+		if (!VOID_ELEMENTS.includes(tag.name) && !tag.isSelfClosing) {
+			stack.push(element);
+		}
+	}
+	stack.reverse().forEach(close);
+
+	return problems
+		.sort(
+			(a, b) =>
+				a.offset - b.offset ||
+				RULE_NAMES.indexOf(a.rule) - RULE_NAMES.indexOf(b.rule),
+		)
+		.map(({ offset, ...problem }) => ({
+			...problem,
+			...getPosition(lineStarts, offset),
+		}));
+}
@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+/**
+ * The content-warning command.
+ *
+ *   content-warning audit [options] <files, directories or globs…>
+ *
+ * Exits with 0 when there are no problems, 1 when there are and 2 when it
+ * can't run (bad options, unreadable files), so it can fail a CI build.
+ */
+import { readFileSync, readdirSync, realpathSync, statSync } from 'fs';
+import { join, relative, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { AUDIT_RULES, auditHTML } from './audit.js';
+
+const USAGE = `Usage: content-warning audit [options] <files, directories or globs…>
+
+Reports content warnings that are missing the hidden attribute, blur
+sensitive types, have empty or unknown types, are nested, or contain
+interactive content while inline.
+
+Options:
+  --format <text|json>  Output format (default: text)
+  --config <file>       A JSON file with any of the options below
+  --types <list>        Comma-separated types the project defines; others are reported
+  --sensitive <list>    Comma-separated types that must not be blurred
+  --ignore <list>       Comma-separated rules not to report
+  --tag-name <name>     The tag name the element is defined as (default: content-warning)
+  -h, --help            Show this help
+
+Rules:
+${Object.entries(AUDIT_RULES)
+	.map(([rule, description]) => `  ${rule.padEnd(22)}${description}`)
+	.join('\n')}
+`;
+
+// Directories never searched
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+
+// Extensions of files found in directories
+const HTML_EXTENSIONS = /\.html?$/i;
+
+/**
+ * Raised for problems running the command, rather than problems found
+ */
+class UsageError extends Error {}
+
+/**
+ * Split a comma-separated list
+ * @param {string} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+	return value
+		.split(',')
+		.map((item) => item.trim())
+		.filter(Boolean);
+}
+
+/**
+ * Convert a glob to a regular expression matching relative paths
+ * @param {string} glob - Supports `**`, `*`, `?` and `{a,b}`
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+	let source = '';
+	let braces = 0;
+	for (let i = 0; i < glob.length; i++) {
+		const char = glob[i];
+		if (char === '*' && glob[i + 1] === '*') {
+			// "**/" matches any number of directories, including none
+			const isSegment = glob[i + 2] === '/';
+			source += isSegment ? '(?:.*/)?' : '.*';
+			i += isSegment ? 2 : 1;
+		} else if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
+		} else if (char === '{') {
+			source += '(?:';
+			braces++;
+		} else if (char === '}' && braces) {
+			source += ')';
+			braces--;
+		} else if (char === ',' && braces) {
+			source += '|';
+		} else {
+			source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+		}
+	}
+	return new RegExp(`^${source}$`);
+}
+
+/**
+ * List the files under a directory, recursively
+ * @param {string} directory - An absolute path
+ * @returns {string[]} Absolute paths
+ */
+function walk(directory) {
+	return readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+		const path = join(directory, entry.name);
+		if (entry.isDirectory()) {
+			return SKIPPED_DIRECTORIES.includes(entry.name) ? [] : walk(path);
+		}
+		return entry.isFile() ? [path] : [];
+	});
+}
+
+/**
+ * Find the files a list of paths, directories and globs refers to
+ * @param {string[]} patterns - As given on the command line
+ * @param {string} cwd - The directory they are relative to
+ * @returns {string[]} Absolute paths, sorted and without duplicates
+ */
+function findFiles(patterns, cwd) {
+	const files = new Set();
+	for (const pattern of patterns) {
+		const segments = pattern.split(/[\\/]/);
+		const globIndex = segments.findIndex((segment) =>
+			/[*?{]/.test(segment),
+		);
+
+		if (globIndex === -1) {
+			const path = resolve(cwd, pattern);
+			let stats;
+			try {
+				stats = statSync(path);
+			} catch {
+				throw new UsageError(`Can’t find ${pattern}`);
+			}
+			const found = stats.isDirectory()
+				? walk(path).filter((file) => HTML_EXTENSIONS.test(file))
+				: [path];
+			found.forEach((file) => files.add(file));
+			continue;
+		}
+
+		const base = resolve(cwd, segments.slice(0, globIndex).join('/'));
+		const matcher = globToRegExp(segments.slice(globIndex).join('/'));
+		let found = [];
+		try {
+			found = walk(base);
+		} catch {
+			// A glob whose base doesn't exist matches nothing
+		}
+		found
+			.filter((file) =>
+				matcher.test(relative(base, file).split(/[\\/]/).join('/')),
+			)
+			.forEach((file) => files.add(file));
+	}
+	return [...files].sort();
+}
+
+/**
+ * Read the options and patterns from command-line arguments
+ * @param {string[]} args
+ * @param {string} cwd
+ * @returns {Object}
+ */
+function parseArgs(args, cwd) {
+	const options = { format: 'text', patterns: [] };
+	let fileOptions = {};
+	const argOptions = {};
+
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg === '-h' || arg === '--help') {
+			options.help = true;
+			continue;
+		}
+		if (!arg.startsWith('--')) {
+			options.patterns.push(arg);
+			continue;
+		}
+
+		// Accept both --name value and --name=value
+		let [name, value] = arg.slice(2).split(/=(.*)/s);
+		if (value === undefined) {
+			value = args[++i];
+		}
+		if (value === undefined) {
+			throw new UsageError(`--${name} needs a value`);
+		}
+
+		switch (name) {
+			case 'format':
+				if (value !== 'text' && value !== 'json') {
+					throw new UsageError(
+						`--format must be "text" or "json", received "${value}"`,
+					);
+				}
+				options.format = value;
+				break;
+			case 'config':
+				fileOptions = readConfig(resolve(cwd, value));
+				break;
+			case 'types':
+			case 'sensitive':
+			case 'ignore':
+				argOptions[name] = parseList(value);
+				break;
+			case 'tag-name':
+				argOptions.tagName = value;
+				break;
+			default:
+				throw new UsageError(`Unknown option --${name}`);
+		}
+	}
+
+	// Options given on the command line win over the config file
+	return { ...options, ...fileOptions, ...argOptions };
+}
+
+/**
+ * Read a config file. `types` can be a list of type names, or types keyed by
+ * name as passed to defineType(), in which case high severity types are
+ * sensitive too.
+ * @param {string} path
+ * @returns {Object}
+ */
+function readConfig(path) {
+	let config;
+	try {
+		config = JSON.parse(readFileSync(path, 'utf-8'));
+	} catch (error) {
+		throw new UsageError(`Can’t read the config file: ${error.message}`);
+	}
+
+	const options = {};
+	if (config.tagName) {
+		options.tagName = config.tagName;
+	}
+	if (Array.isArray(config.ignore)) {
+		options.ignore = config.ignore;
+	}
+	if (Array.isArray(config.types)) {
+		options.types = config.types;
+	} else if (config.types) {
+		options.types = Object.keys(config.types);
+		options.sensitive = options.types.filter(
+			(type) => config.types[type]?.severity === 'high',
+		);
+	}
+	if (Array.isArray(config.sensitive)) {
+		options.sensitive = [
+			...new Set([...(options.sensitive || []), ...config.sensitive]),
+		];
+	}
+	return options;
+}
+
+/**
+ * Format results for people
+ * @param {Array<{file: string, problems: Object[]}>} results
+ * @returns {string}
+ */
+function formatText(results) {
+	const failed = results.filter(({ problems }) => problems.length);
+	const count = failed.reduce(
+		(sum, { problems }) => sum + problems.length,
+		0,
+	);
+	const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+	const lines = failed.flatMap(({ file, problems }) => [
+		file,
+		...problems.map(
+			({ line, column, rule, message }) =>
+				`  ${`${line}:${column}`.padEnd(8)}${rule.padEnd(23)}${message}`,
+		),
+		'',
+	]);
+	lines.push(
+		count
+			? `${plural(count, 'problem')} in ${plural(failed.length, 'file')} (${plural(results.length, 'file')} audited)`
+			: `No problems in ${plural(results.length, 'file')}`,
+	);
+	return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Run the command
+ * @param {string[]} args - The arguments, without the node and script paths
+ * @param {Object} [io]
+ * @param {string} [io.cwd] - The directory paths are relative to
+ * @param {{write: (text: string) => void}} [io.stdout]
+ * @param {{write: (text: string) => void}} [io.stderr]
+ * @returns {number} The exit code
+ */
+export function runCLI(
+	args,
+	{
+		cwd = process.cwd(),
+		stdout = process.stdout,
+		stderr = process.stderr,
+	} = {},
+) {
+	const [command, ...rest] = args;
+	if (!command || command === '-h' || command === '--help') {
+		stdout.write(USAGE);
+		return command ? 0 : 2;
+	}
+
+	try {
+		if (command !== 'audit') {
+			throw new UsageError(`Unknown command "${command}"`);
+		}
+
+		const { help, format, patterns, ...options } = parseArgs(rest, cwd);
+		if (help) {
+			stdout.write(USAGE);
+			return 0;
+		}
+		if (patterns.length === 0) {
+			throw new UsageError('Give the files to audit');
+		}
+
+		const files = findFiles(patterns, cwd);
+		if (files.length === 0) {
+			throw new UsageError(`No files match ${patterns.join(' ')}`);
+		}
+
+		const results = files.map((path) => {
+			let html;
+			try {
+				html = readFileSync(path, 'utf-8');
+			} catch (error) {
+				throw new UsageError(`Can’t read ${path}: ${error.message}`);
+			}
+			return {
+				file: relative(cwd, path),
+				problems: auditHTML(html, options),
+			};
+		});
+
+		stdout.write(
+			format === 'json'
+				? `${JSON.stringify(results, null, '\t')}\n`
+				: formatText(results),
+		);
+		return results.some(({ problems }) => problems.length) ? 1 : 0;
+	} catch (error) {
+		if (!(error instanceof UsageError)) throw error;
+		stderr.write(`content-warning: ${error.message}\n`);
+		return 2;
+	}
+}
+
+// Run when called as a command (npm links bins, so compare real paths)
+if (
+	process.argv[1] &&
+	import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href
+) {
+	process.exitCode = runCLI(process.argv.slice(2));
+}
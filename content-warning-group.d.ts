@@ -0,0 +1,63 @@
+import type { ContentWarningElement } from './content-warning.js';
+
+/**
+ * ContentWarningGroupElement - Controls every content warning inside it
+ *
+ * @element content-warning-group
+ *
+ * @attr {boolean} linked - Reveal (or hide) every warning in the group when one is revealed (or hidden)
+ * @attr {boolean} no-controls - Don't render the "Reveal all" / "Hide all" buttons
+ * @attr {string} reveal-all-label - The text for the "Reveal all" button (default: "Reveal all")
+ * @attr {string} hide-all-label - The text for the "Hide all" button (default: "Hide all")
+ *
+ * @slot - Content containing `<content-warning>` elements
+ *
+ * @csspart controls - The wrapper around the group buttons
+ * @csspart reveal-all - The "Reveal all" button
+ * @csspart hide-all - The "Hide all" button
+ */
+export class ContentWarningGroupElement extends HTMLElement {
+	static readonly observedAttributes: string[];
+
+	constructor();
+
+	connectedCallback(): void;
+	disconnectedCallback(): void;
+	attributeChangedCallback(
+		name: string,
+		oldValue: string | null,
+		newValue: string | null,
+	): void;
+
+	/**
+	 * Every content warning inside the group, in document order
+	 */
+	get warnings(): ContentWarningElement[];
+
+	/**
+	 * Counts of the warnings in the group
+	 */
+	get counts(): {
+		total: number;
+		revealed: number;
+		types: Record<string, number>;
+	};
+
+	/**
+	 * Reveal every warning in the group that doesn't need confirming or
+	 * holding, honoring content-warning:beforereveal
+	 * @returns The number of warnings revealed
+	 */
+	revealAll(): Promise<number>;
+
+	/**
+	 * Hide every warning in the group, honoring content-warning:beforehide
+	 * @returns The number of warnings hidden
+	 */
+	hideAll(): Promise<number>;
+
+	/**
+	 * Renders the group's shadow DOM content
+	 */
+	render(): void;
+}
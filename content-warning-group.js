@@ -0,0 +1,236 @@
+import { ContentWarningElement } from './content-warning.js';
+import { countWarnings } from './counts.js';
+import {
+	getLocaleStrings,
+	getElementLocale,
+	watchLanguage,
+	unwatchLanguage,
+} from './locales.js';
+
+/**
+ * ContentWarningGroupElement - Controls every content warning inside it.
+ *
+ * @element content-warning-group
+ *
+ * @attr {boolean} linked - Reveal (or hide) every warning in the group when one is revealed (or hidden)
+ * @attr {boolean} no-controls - Don't render the "Reveal all" / "Hide all" buttons
+ * @attr {string} reveal-all-label - The text for the "Reveal all" button (default: "Reveal all", localized)
+ * @attr {string} hide-all-label - The text for the "Hide all" button (default: "Hide all", localized)
+ *
+ * @slot - Content containing `<content-warning>` elements
+ *
+ * @csspart controls - The wrapper around the group buttons
+ * @csspart reveal-all - The "Reveal all" button
+ * @csspart hide-all - The "Hide all" button
+ */
+export class ContentWarningGroupElement extends HTMLElement {
+	static #cssTemplate = `
+		:host {
+			display: block;
+		}
+		:host([hidden]) {
+			display: none;
+		}
+		.controls {
+			display: flex;
+			flex-wrap: wrap;
+			gap: 0.5rem;
+			margin-block-end: 0.5rem;
+		}
+		:host([no-controls]) .controls {
+			display: none;
+		}
+	`;
+
+	static get observedAttributes() {
+		return ['reveal-all-label', 'hide-all-label'];
+	}
+
+	constructor() {
+		super();
+		this.attachShadow({ mode: 'open' });
+		this._internals = {
+			isRendered: false,
+			isSyncing: false,
+		};
+
+		// Cached DOM references (set after render)
+		this._refs = {
+			revealAll: null,
+			hideAll: null,
+		};
+
+		// Bind event handlers
+		this._handleRevealAllClick = this._handleRevealAllClick.bind(this);
+		this._handleHideAllClick = this._handleHideAllClick.bind(this);
+		this._handleChange = this._handleChange.bind(this);
+	}
+
+	connectedCallback() {
+		this.addEventListener('content-warning:revealed', this._handleChange);
+		this.addEventListener('content-warning:hidden', this._handleChange);
+
+		if (!this._internals.isRendered) {
+			this.render();
+		}
+
+		// Re-render default labels when a lang attribute changes
+		watchLanguage(this, () => this._updateLabels());
+	}
+
+	disconnectedCallback() {
+		this.removeEventListener(
+			'content-warning:revealed',
+			this._handleChange,
+		);
+		this.removeEventListener('content-warning:hidden', this._handleChange);
+		unwatchLanguage(this);
+	}
+
+	attributeChangedCallback(name, oldValue, newValue) {
+		if (oldValue === newValue || !this._internals.isRendered) {
+			return;
+		}
+
+		this._updateLabels();
+	}
+
+	/**
+	 * Set the button labels from attributes or the locale defaults
+	 * @private
+	 */
+	_updateLabels() {
+		if (!this._internals.isRendered) return;
+
+		const strings = getLocaleStrings(getElementLocale(this));
+		this._refs.revealAll.textContent =
+			this.getAttribute('reveal-all-label') || strings.revealAll;
+		this._refs.hideAll.textContent =
+			this.getAttribute('hide-all-label') || strings.hideAll;
+	}
+
+	/**
+	 * Every content warning inside the group, in document order
+	 * @returns {ContentWarningElement[]}
+	 */
+	get warnings() {
+		return Array.from(this.querySelectorAll('*')).filter(
+			(element) => element instanceof ContentWarningElement,
+		);
+	}
+
+	/**
+	 * Counts of the warnings in the group
+	 * @returns {{total: number, revealed: number, types: Object<string, number>}}
+	 */
+	get counts() {
+		return countWarnings(this.warnings);
+	}
+
+	/**
+	 * Reveal every warning in the group, except those that need confirming or
+	 * holding to reveal. Each warning's content-warning:beforereveal still
+	 * fires and can cancel it.
+	 * @returns {Promise<number>} The number of warnings revealed
+	 */
+	async revealAll() {
+		return this._changeAll(true);
+	}
+
+	/**
+	 * Hide every warning in the group.
+	 * Each warning's content-warning:beforehide still fires and can cancel it.
+	 * @returns {Promise<number>} The number of warnings hidden
+	 */
+	async hideAll() {
+		return this._changeAll(false);
+	}
+
+	/**
+	 * Reveal or hide every other warning without re-triggering linked updates
+	 * @param {boolean} reveal - Reveal when true, hide when false
+	 * @param {ContentWarningElement} [except] - A warning to leave alone
+	 * @returns {Promise<number>} The number of warnings changed
+	 * @private
+	 */
+	async _changeAll(reveal, except) {
+		this._internals.isSyncing = true;
+
+		// The reader asked for these changes, so reveals are remembered with
+		// persist, but they aren't announced or focused one by one. Warnings
+		// that ask for a deliberate step (confirm or hold) stay covered.
+		const results = this.warnings
+			.filter(
+				(warning) =>
+					warning !== except &&
+					!(reveal && warning._getRevealMode() !== 'click'),
+			)
+			.map((warning) =>
+				warning._requestChange(reveal, {
+					automatic: true,
+					persist: true,
+				}),
+			);
+		this._internals.isSyncing = false;
+
+		const changed = await Promise.all(results);
+		return changed.filter(Boolean).length;
+	}
+
+	/**
+	 * Apply linked reveals and hides
+	 * @param {CustomEvent} e - A revealed or hidden event from a descendant
+	 * @private
+	 */
+	_handleChange(e) {
+		if (this.hasAttribute('linked') && !this._internals.isSyncing) {
+			this._changeAll(e.type === 'content-warning:revealed', e.target);
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_handleRevealAllClick() {
+		this.revealAll();
+	}
+
+	/**
+	 * @private
+	 */
+	_handleHideAllClick() {
+		this.hideAll();
+	}
+
+	render() {
+		const style = document.createElement('style');
+		style.textContent = ContentWarningGroupElement.#cssTemplate;
+
+		const controls = document.createElement('div');
+		controls.setAttribute('part', 'controls');
+		controls.className = 'controls';
+
+		const revealAll = document.createElement('button');
+		revealAll.setAttribute('part', 'reveal-all');
+		revealAll.type = 'button';
+		revealAll.addEventListener('click', this._handleRevealAllClick);
+
+		const hideAll = document.createElement('button');
+		hideAll.setAttribute('part', 'hide-all');
+		hideAll.type = 'button';
+		hideAll.addEventListener('click', this._handleHideAllClick);
+
+		controls.append(revealAll, hideAll);
+		this.shadowRoot.replaceChildren(
+			style,
+			controls,
+			document.createElement('slot'),
+		);
+
+		this._refs.revealAll = revealAll;
+		this._refs.hideAll = hideAll;
+
+		this._internals.isRendered = true;
+		this._updateLabels();
+	}
+}
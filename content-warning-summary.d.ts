@@ -0,0 +1,75 @@
+import type { ContentWarningElement } from './content-warning.js';
+
+/**
+ * ContentWarningSummaryElement - An index of every content warning on the page,
+ * with keyboard shortcuts to move between and skip past them
+ *
+ * @element content-warning-summary
+ *
+ * @attr {string} label - The heading of the index (default: "Content warnings on this page")
+ * @attr {boolean} no-shortcuts - Turn off the keyboard shortcuts (Alt+Shift+N, Alt+Shift+P and Alt+Shift+S)
+ *
+ * @csspart nav - The navigation landmark around the index
+ * @csspart heading - The heading of the index
+ * @csspart types - The list of warning types and their counts
+ * @csspart type - Each warning type in the list
+ * @csspart count - The number of warnings of a type
+ * @csspart list - The list of links to each warning
+ * @csspart link - Each link to a warning
+ * @csspart shortcuts - The description of the keyboard shortcuts
+ */
+export class ContentWarningSummaryElement extends HTMLElement {
+	static readonly observedAttributes: string[];
+
+	constructor();
+
+	connectedCallback(): void;
+	disconnectedCallback(): void;
+	attributeChangedCallback(
+		name: string,
+		oldValue: string | null,
+		newValue: string | null,
+	): void;
+
+	/**
+	 * Every content warning on the page, in document order
+	 */
+	get warnings(): ContentWarningElement[];
+
+	/**
+	 * Counts of the warnings on the page
+	 */
+	get counts(): {
+		total: number;
+		revealed: number;
+		types: Record<string, number>;
+	};
+
+	/**
+	 * Move focus to the next warning after the focused element
+	 * @returns The warning focused, if there was one
+	 */
+	focusNext(): ContentWarningElement | null;
+
+	/**
+	 * Move focus to the warning before the focused element (or the one it is in)
+	 * @returns The warning focused, if there was one
+	 */
+	focusPrevious(): ContentWarningElement | null;
+
+	/**
+	 * Move focus past the warning the focused element is in
+	 * @returns Whether focus moved
+	 */
+	skipPast(): boolean;
+
+	/**
+	 * Bring the index up to date with the warnings on the page
+	 */
+	update(): void;
+
+	/**
+	 * Renders the index's shadow DOM content
+	 */
+	render(): void;
+}
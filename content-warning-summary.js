@@ -0,0 +1,481 @@
+import { ContentWarningElement } from './content-warning.js';
+import { countWarnings } from './counts.js';
+import { getType } from './types.js';
+import {
+	getLocaleStrings,
+	getElementLocale,
+	localize,
+	formatListParts,
+	watchLanguage,
+	unwatchLanguage,
+} from './locales.js';
+
+// Keyboard shortcuts (with Alt+Shift), by KeyboardEvent.code
+const SHORTCUTS = new Map([
+	['KeyN', 'next'],
+	['KeyP', 'previous'],
+	['KeyS', 'skip'],
+]);
+
+// Prefix for the ids given to warnings the index links to
+const ID_PREFIX = 'content-warning-';
+let idCount = 0;
+
+/**
+ * Focus an element, making it focusable just this once if it isn't already
+ * @param {HTMLElement} element - The element to focus
+ */
+function focusElement(element) {
+	if (element.tabIndex < 0 && !element.hasAttribute('tabindex')) {
+		element.setAttribute('tabindex', '-1');
+		element.addEventListener(
+			'blur',
+			() => element.removeAttribute('tabindex'),
+			{ once: true },
+		);
+	}
+	element.focus();
+}
+
+/**
+ * Move focus to a warning: its button while covered, otherwise the content
+ * @param {ContentWarningElement} warning - The warning to focus
+ */
+function focusWarning(warning) {
+	if (warning.revealed) {
+		focusElement(warning);
+	} else {
+		warning.focus();
+	}
+}
+
+/**
+ * Find the element that comes after another in document order, skipping its descendants
+ * @param {Element} element - The element to skip past
+ * @returns {Element|null}
+ */
+function getElementAfter(element) {
+	for (let node = element; node; node = node.parentElement) {
+		if (node.nextElementSibling) return node.nextElementSibling;
+	}
+	return null;
+}
+
+/**
+ * The element with focus, from outside any shadow roots
+ * @returns {Element|null}
+ */
+function getFocusedElement() {
+	const active = document.activeElement;
+	return active && active !== document.body ? active : null;
+}
+
+/**
+ * Get the readable label for a warning's types, e.g. "violence and spoilers"
+ * @param {ContentWarningElement} warning - The warning
+ * @param {string} locale - The locale to use
+ * @returns {string}
+ */
+function getWarningLabel(warning, locale) {
+	const labels = warning.types.map((type) => {
+		const definition = getType(type);
+		return definition ? localize(definition.label, locale) : type;
+	});
+	if (labels.length === 0) {
+		return getLocaleStrings(locale).content;
+	}
+	return formatListParts(locale, labels)
+		.map((part) => part.value)
+		.join('');
+}
+
+/**
+ * ContentWarningSummaryElement - An index of every content warning on the page,
+ * with keyboard shortcuts to move between and skip past them.
+ *
+ * @element content-warning-summary
+ *
+ * @attr {string} label - The heading of the index (default: "Content warnings on this page", localized)
+ * @attr {boolean} no-shortcuts - Turn off the keyboard shortcuts (Alt+Shift+N, Alt+Shift+P and Alt+Shift+S)
+ *
+ * @csspart nav - The navigation landmark around the index (hidden when the page has no warnings)
+ * @csspart heading - The heading of the index
+ * @csspart types - The list of warning types and their counts
+ * @csspart type - Each warning type in the list
+ * @csspart count - The number of warnings of a type
+ * @csspart list - The list of links to each warning
+ * @csspart link - Each link to a warning
+ * @csspart shortcuts - The description of the keyboard shortcuts
+ */
+export class ContentWarningSummaryElement extends HTMLElement {
+	static #cssTemplate = `
+		:host {
+			display: block;
+		}
+		:host([hidden]),
+		[hidden] {
+			display: none;
+		}
+		.heading {
+			font-weight: bold;
+			margin-block: 0 0.5rem;
+		}
+		.types {
+			display: flex;
+			flex-wrap: wrap;
+			gap: 0.25rem 1rem;
+			list-style: none;
+			margin: 0 0 0.5rem;
+			padding: 0;
+		}
+		.list {
+			margin-block: 0 0.5rem;
+		}
+		.shortcuts {
+			font-size: 0.875em;
+			margin: 0;
+		}
+		:host([no-shortcuts]) .shortcuts {
+			display: none;
+		}
+	`;
+
+	static get observedAttributes() {
+		return ['label'];
+	}
+
+	constructor() {
+		super();
+		this.attachShadow({ mode: 'open' });
+		this._internals = {
+			isRendered: false,
+			updateFrame: null,
+			linked: new Map(),
+			typesKey: null,
+		};
+
+		// Cached DOM references (set after render)
+		this._refs = {
+			nav: null,
+			heading: null,
+			types: null,
+			list: null,
+			shortcuts: null,
+		};
+
+		this._observer = null;
+
+		// Bind event handlers
+		this._handleKeyDown = this._handleKeyDown.bind(this);
+		this._handleLinkClick = this._handleLinkClick.bind(this);
+		this._scheduleUpdate = this._scheduleUpdate.bind(this);
+	}
+
+	connectedCallback() {
+		if (!this._internals.isRendered) {
+			this.render();
+		}
+
+		document.addEventListener('keydown', this._handleKeyDown);
+
+		// Keep the index current as warnings are added, removed or retyped
+		if (typeof MutationObserver !== 'undefined') {
+			this._observer = new MutationObserver(this._scheduleUpdate);
+			this._observer.observe(this.getRootNode(), {
+				childList: true,
+				subtree: true,
+				attributes: true,
+				attributeFilter: ['type', 'id'],
+			});
+		}
+
+		// Re-render default labels when a lang attribute changes
+		watchLanguage(this, () => this.update());
+
+		// Warnings later in the page may not have upgraded yet
+		this._scheduleUpdate();
+	}
+
+	disconnectedCallback() {
+		document.removeEventListener('keydown', this._handleKeyDown);
+		if (this._observer) {
+			this._observer.disconnect();
+			this._observer = null;
+		}
+		unwatchLanguage(this);
+		cancelAnimationFrame(this._internals.updateFrame);
+		this._internals.updateFrame = null;
+	}
+
+	attributeChangedCallback(name, oldValue, newValue) {
+		if (oldValue === newValue || !this._internals.isRendered) {
+			return;
+		}
+
+		this.update();
+	}
+
+	/**
+	 * Every content warning on the page (or in the shadow root the index is in),
+	 * in document order
+	 * @returns {ContentWarningElement[]}
+	 */
+	get warnings() {
+		return Array.from(this.getRootNode().querySelectorAll('*')).filter(
+			(element) => element instanceof ContentWarningElement,
+		);
+	}
+
+	/**
+	 * Counts of the warnings on the page
+	 * @returns {{total: number, revealed: number, types: Object<string, number>}}
+	 */
+	get counts() {
+		return countWarnings(this.warnings);
+	}
+
+	/**
+	 * Move focus to the next warning after the focused element
+	 * @returns {ContentWarningElement|null} The warning focused, if there was one
+	 */
+	focusNext() {
+		const current = getFocusedElement();
+		const warning = this.warnings.find(
+			(candidate) =>
+				!current ||
+				(current.compareDocumentPosition(candidate) &
+					Node.DOCUMENT_POSITION_FOLLOWING &&
+					!current.contains(candidate) &&
+					!candidate.contains(current)),
+		);
+		if (warning) {
+			focusWarning(warning);
+		}
+		return warning || null;
+	}
+
+	/**
+	 * Move focus to the warning before the focused element (or the one it is in)
+	 * @returns {ContentWarningElement|null} The warning focused, if there was one
+	 */
+	focusPrevious() {
+		const current = getFocusedElement();
+		const warning = this.warnings
+			.filter(
+				(candidate) =>
+					!current ||
+					(current.compareDocumentPosition(candidate) &
+						Node.DOCUMENT_POSITION_PRECEDING &&
+						!candidate.contains(current)),
+			)
+			.pop();
+		if (warning) {
+			focusWarning(warning);
+		}
+		return warning || null;
+	}
+
+	/**
+	 * Move focus past the warning the focused element is in (outermost first),
+	 * to whatever follows it on the page
+	 * @returns {boolean} Whether focus moved
+	 */
+	skipPast() {
+		const current = getFocusedElement();
+		const warning =
+			current &&
+			this.warnings.find((candidate) => candidate.contains(current));
+		const target = warning && getElementAfter(warning);
+		if (!target) return false;
+
+		focusElement(target);
+		return true;
+	}
+
+	/**
+	 * @param {KeyboardEvent} e
+	 * @private
+	 */
+	_handleKeyDown(e) {
+		if (
+			!e.altKey ||
+			!e.shiftKey ||
+			e.ctrlKey ||
+			e.metaKey ||
+			e.defaultPrevented ||
+			this.hasAttribute('no-shortcuts')
+		) {
+			return;
+		}
+
+		const action = SHORTCUTS.get(e.code);
+		if (!action) return;
+
+		let moved;
+		switch (action) {
+			case 'next':
+				moved = this.focusNext();
+				break;
+			case 'previous':
+				moved = this.focusPrevious();
+				break;
+			default:
+				moved = this.skipPast();
+		}
+		if (moved) {
+			e.preventDefault();
+		}
+	}
+
+	/**
+	 * Focus the linked warning instead of only scrolling to it
+	 * @param {MouseEvent} e
+	 * @private
+	 */
+	_handleLinkClick(e) {
+		const link = e.target.closest('a');
+		const warning = link && this._internals.linked.get(link);
+		if (!warning) return;
+
+		e.preventDefault();
+		focusWarning(warning);
+	}
+
+	/**
+	 * Update the index once per frame, however many changes there were
+	 * @private
+	 */
+	_scheduleUpdate() {
+		if (this._internals.updateFrame) return;
+
+		this._internals.updateFrame = requestAnimationFrame(() => {
+			this._internals.updateFrame = null;
+			this.update();
+		});
+	}
+
+	/**
+	 * Bring the index up to date with the warnings on the page. Only what
+	 * changed is touched, so a focused link keeps focus.
+	 */
+	update() {
+		if (!this._internals.isRendered) return;
+
+		const locale = getElementLocale(this);
+		const strings = getLocaleStrings(locale);
+		const warnings = this.warnings;
+		const types = Object.entries(this.counts.types).map(([type, count]) => {
+			const definition = getType(type);
+			return [
+				definition ? localize(definition.label, locale) : type,
+				` (${count.toLocaleString(locale)})`,
+			];
+		});
+
+		this._refs.heading.textContent =
+			this.getAttribute('label') || strings.summary;
+		this._refs.shortcuts.textContent = strings.summaryShortcuts;
+		this._refs.nav.hidden = warnings.length === 0;
+
+		const typesKey = JSON.stringify(types);
+		if (typesKey !== this._internals.typesKey) {
+			this._internals.typesKey = typesKey;
+			this._refs.types.replaceChildren(
+				...types.map(([label, count]) => {
+					const item = document.createElement('li');
+					item.setAttribute('part', 'type');
+					item.textContent = label;
+
+					const counter = document.createElement('span');
+					counter.setAttribute('part', 'count');
+					counter.textContent = count;
+					item.appendChild(counter);
+					return item;
+				}),
+			);
+		}
+
+		// Reuse the links to warnings that are still here
+		const previous = new Map(
+			Array.from(this._internals.linked, ([link, warning]) => [
+				warning,
+				link,
+			]),
+		);
+		const linked = new Map();
+		const items = warnings.map((warning) => {
+			// Links need a target, so give warnings without an id one
+			if (!warning.id) {
+				warning.id = `${ID_PREFIX}${++idCount}`;
+			}
+
+			let link = previous.get(warning);
+			if (!link) {
+				link = document.createElement('a');
+				link.setAttribute('part', 'link');
+				document.createElement('li').appendChild(link);
+			}
+			const href = `#${encodeURIComponent(warning.id)}`;
+			if (link.getAttribute('href') !== href) {
+				link.setAttribute('href', href);
+			}
+			const label = getWarningLabel(warning, locale);
+			if (link.textContent !== label) {
+				link.textContent = label;
+			}
+			linked.set(link, warning);
+			return link.parentElement;
+		});
+
+		// Move only the items that are out of place, then drop the rest
+		const { list } = this._refs;
+		items.forEach((item, index) => {
+			if (list.children[index] !== item) {
+				list.insertBefore(item, list.children[index] || null);
+			}
+		});
+		while (list.children.length > items.length) {
+			list.lastElementChild.remove();
+		}
+		this._internals.linked = linked;
+	}
+
+	render() {
+		const style = document.createElement('style');
+		style.textContent = ContentWarningSummaryElement.#cssTemplate;
+
+		const nav = document.createElement('nav');
+		nav.setAttribute('part', 'nav');
+		nav.setAttribute('aria-labelledby', 'heading');
+
+		const heading = document.createElement('p');
+		heading.setAttribute('part', 'heading');
+		heading.className = 'heading';
+		heading.id = 'heading';
+
+		const types = document.createElement('ul');
+		types.setAttribute('part', 'types');
+		types.className = 'types';
+
+		const list = document.createElement('ol');
+		list.setAttribute('part', 'list');
+		list.className = 'list';
+		list.addEventListener('click', this._handleLinkClick);
+
+		const shortcuts = document.createElement('p');
+		shortcuts.setAttribute('part', 'shortcuts');
+		shortcuts.className = 'shortcuts';
+
+		nav.append(heading, types, list, shortcuts);
+		this.shadowRoot.replaceChildren(style, nav);
+
+		this._refs.nav = nav;
+		this._refs.heading = heading;
+		this._refs.types = types;
+		this._refs.list = list;
+		this._refs.shortcuts = shortcuts;
+
+		this._internals.isRendered = true;
+		this.update();
+	}
+}
@@ -1,3 +1,7 @@
+import type { ContentWarningStorageAdapter } from './storage.js';
+import type { ContentWarningPreferences } from './preferences.js';
+import type { ContentWarningLocaleStrings } from './locales.js';
+
 /**
  * ContentWarningElement - A web component for block and inline content warnings
  *
@@ -5,16 +9,61 @@
  *
  * @attr {string} type - Space-separated list of warning types (e.g., "violence spoilers")
  * @attr {boolean} inline - Display the warning inline instead of as a block overlay
+ * @attr {string} mode - How covered content is shown: "hidden" (default), "blur", "pixelate", "placeholder" or "teaser"
+ * @attr {string} theme - "dark" (default), "light", "auto" (follows prefers-color-scheme), "subtle" or "high-contrast"
+ * @attr {string} severity - "low", "medium" or "high". High severity asks for confirmation before revealing.
+ * @attr {string} reveal-mode - "click", "hold" or "confirm" (default: "confirm" for high severity, otherwise "click")
+ * @attr {number} hold-duration - How long to hold the button in "hold" mode, in milliseconds (default: 1000)
+ * @attr {string} announce - How a reveal is announced to screen readers: "summary" (default), "focus" or "clone"
+ * @attr {string} transition - Animate reveals and hides: "fade", "blur-out" or "slide" (skipped under prefers-reduced-motion: reduce)
+ * @attr {string} rehide - Cover revealed content again: any of "offscreen", "timeout" and "visibilitychange", each with an optional delay (e.g. "offscreen=5s timeout=2m")
+ * @attr {string} fragment - What to do when the URL fragment points into the warning: "focus" (default), "reveal" or "none"
+ * @attr {boolean} revealed - Reflects (and controls) whether the content is revealed
+ * @attr {boolean} hideable - Show a "Hide again" button after the content is revealed
+ * @attr {string} hide-label - The text for the "Hide again" button (default: "Hide again")
+ * @attr {string} persist - Remember the reveal decision. Optionally names a storage adapter ("local", "session", "cookie" or a registered name)
+ * @attr {string} persist-key - The key the reveal decision is stored under (default: the element's id)
+ * @attr {boolean} loading - Present while deferred media loads after a reveal (set by the component)
+ * @attr {boolean} play-on-reveal - Start slotted video and audio playing when the content is revealed
  *
- * @fires content-warning:revealed - Fired when the content is revealed by the user
+ * @fires content-warning:beforereveal - Cancelable. Fired before the reader reveals the content
+ * @fires content-warning:revealed - Fired when the content is revealed
+ * @fires content-warning:beforehide - Cancelable. Fired before the reader hides the content again
+ * @fires content-warning:hidden - Fired when revealed content is hidden again
  *
  * @slot - Default slot for the content that needs a warning
+ * @slot warning - Replaces the warning text in the button (default: "{prefix}: {type}"). The component keeps the suffix.
+ * @slot icon - An icon shown in the button ahead of the warning text (hidden from assistive technology)
+ * @slot description - An explanation shown on the overlay and read as part of the button's description
+ * @slot actions - Links or buttons shown on the overlay, e.g. to support resources. Using them doesn't reveal the content.
+ * @slot placeholder - A safe stand-in (e.g. a thumbnail) shown while the content is covered in the "hidden" and "placeholder" modes
+ *
+ * @cssstate revealed - The content is revealed
+ * @cssstate blurred - The content is covered in blur mode
+ * @cssstate inline - The warning is displayed inline
  *
- * @cssprop --content-warning-bg - Background color of the warning overlay (default: rgba(0, 0, 0, 0.9))
- * @cssprop --content-warning-color - Text color of the warning message (default: #fff)
- * @cssprop --content-warning-border - Border style for the warning (default: 2px solid currentColor)
- * @cssprop --content-warning-padding - Padding for the warning overlay (default: 1rem)
- * @cssprop --content-warning-font-size - Font size for the warning message (default: 1rem)
+ * @cssprop --content-warning-bg - Background of the warning overlay (default: rgba(0, 0, 0, 0.9))
+ * @cssprop --content-warning-bg-low - Overlay background at low severity (default: rgba(0, 0, 0, 0.75))
+ * @cssprop --content-warning-bg-high - Overlay background at high severity (default: #000)
+ * @cssprop --content-warning-blur-bg - Overlay background in the blur, pixelate, placeholder and teaser modes (default: transparent)
+ * @cssprop --content-warning-blur-bg-high - Overlay background in those modes at high severity (default: rgba(0, 0, 0, 0.6))
+ * @cssprop --content-warning-color - Text color of the warning (default: #fff)
+ * @cssprop --content-warning-focus-color - Focus outline color (default: the value of --content-warning-color)
+ * @cssprop --content-warning-accent-color - Button border color at medium and high severity (default: #ff6b6b)
+ * @cssprop --content-warning-button-bg - Background of the warning buttons (default: transparent)
+ * @cssprop --content-warning-border - Border of the warning buttons (default: 2px solid currentColor)
+ * @cssprop --content-warning-radius - Corner radius of the warning buttons (default: 0)
+ * @cssprop --content-warning-padding - Padding of the warning button (default: 1rem)
+ * @cssprop --content-warning-font-size - Font size of the warning button (default: 1rem)
+ * @cssprop --content-warning-font-family - Font family of the warning buttons (default: inherit)
+ * @cssprop --content-warning-blur-amount - Amount of blur in blur mode (default: 10px)
+ * @cssprop --content-warning-placeholder-bg - Background of the placeholder in "placeholder" mode (default: #333)
+ * @cssprop --content-warning-placeholder-ratio - Aspect ratio of the placeholder (default: from the content's media, otherwise 16 / 9)
+ * @cssprop --content-warning-teaser-lines - How many lines "teaser" mode shows (default: 3)
+ * @cssprop --content-warning-transition-duration - How long reveal and hide transitions take (default: 300ms)
+ * @cssprop --content-warning-transition-easing - The timing function of reveal and hide transitions (default: ease)
+ * @cssprop --content-warning-hold-color - Fill color of the button as it is held in "hold" reveal mode (default: rgba(255, 255, 255, 0.25))
+ * @cssprop --content-warning-hold-progress - Set on the button in "hold" mode: how far through the hold the reader is, from 0 to 1
  */
 export class ContentWarningElement extends HTMLElement {
 	/**
@@ -22,6 +71,68 @@ export class ContentWarningElement extends HTMLElement {
 	 */
 	static readonly observedAttributes: string[];
 
+	/**
+	 * Register a warning type with a human-readable label and optional details
+	 * @param key - The value used in the type attribute (e.g. "self-harm")
+	 * @param definition - The type definition
+	 */
+	static defineType(key: string, definition: ContentWarningTypeDefinition): void;
+
+	/**
+	 * Register (or extend) the default strings for a locale
+	 * @param locale - A BCP 47 language tag (e.g. "sv" or "pt-BR")
+	 * @param strings - The strings to add or override
+	 */
+	static registerLocale(
+		locale: string,
+		strings: Partial<ContentWarningLocaleStrings>,
+	): void;
+
+	/**
+	 * Look up a registered warning type
+	 * @param key - The value used in the type attribute
+	 */
+	static getType(key: string): ContentWarningTypeDefinition | undefined;
+
+	/**
+	 * Page-wide per-type reader preferences ("show" auto-reveals, "hide" keeps covered)
+	 */
+	static preferences: ContentWarningPreferences;
+
+	/**
+	 * The query string parameter that reveals warnings by type (default: "cw-reveal"). Null turns it off.
+	 */
+	static revealParam: string | null;
+
+	/**
+	 * Keep reveal decisions and reader preferences in step across the open tabs of the site.
+	 * Warnings match by persist-key (or id).
+	 * @param name - The channel name (default: "content-warning"); only tabs using the same name sync
+	 */
+	static enableSync(name?: string): void;
+
+	/**
+	 * Stop syncing with other tabs
+	 */
+	static disableSync(): void;
+
+	/**
+	 * Register a storage adapter for use with the persist attribute.
+	 * Registering under an existing name (e.g. "local") replaces that adapter.
+	 * @param name - The name used in the persist attribute
+	 * @param adapter - The storage adapter
+	 */
+	static registerStorage(
+		name: string,
+		adapter: ContentWarningStorageAdapter,
+	): void;
+
+	/**
+	 * Look up a registered storage adapter
+	 * @param name - The adapter name
+	 */
+	static getStorage(name: string): ContentWarningStorageAdapter | undefined;
+
 	/**
 	 * Internal state and flags
 	 */
@@ -80,9 +191,103 @@ export class ContentWarningElement extends HTMLElement {
 	set type(value: string | null | undefined);
 
 	/**
-	 * Check if the content has been revealed
+	 * The warning types, split from the type attribute
+	 */
+	get types(): string[];
+
+	/**
+	 * Severity level: "low", "medium" or "high".
+	 */
+	get severity(): string | null;
+	set severity(value: string | null | undefined);
+
+	/**
+	 * How the reader reveals the content: "click", "hold" or "confirm".
+	 */
+	get revealMode(): string | null;
+	set revealMode(value: string | null | undefined);
+
+	/**
+	 * How long to hold the button in "hold" mode, in milliseconds (default: 1000).
+	 */
+	get holdDuration(): number;
+	set holdDuration(value: number | string | null | undefined);
+
+	/**
+	 * How covered content is shown: "hidden", "blur", "pixelate", "placeholder" or "teaser".
+	 */
+	get mode(): string | null;
+	set mode(value: string | null | undefined);
+
+	/**
+	 * Animate reveals and hides: "fade", "blur-out" or "slide".
+	 */
+	get transition(): string | null;
+	set transition(value: string | null | undefined);
+
+	/**
+	 * When to cover revealed content again, e.g. "offscreen timeout=2m".
+	 */
+	get rehide(): string | null;
+	set rehide(value: string | null | undefined);
+
+	/**
+	 * What to do when the URL fragment points into the warning: "focus", "reveal" or "none".
+	 */
+	get fragment(): string | null;
+	set fragment(value: string | null | undefined);
+
+	/**
+	 * Text for the "Hide again" button.
+	 */
+	get hideLabel(): string | null;
+	set hideLabel(value: string | null | undefined);
+
+	/**
+	 * Key the reveal decision is stored under.
+	 */
+	get persistKey(): string | null;
+	set persistKey(value: string | null | undefined);
+
+	/**
+	 * Whether the content is revealed. Setting it reveals or hides the content.
 	 */
 	get revealed(): boolean;
+	set revealed(value: boolean);
+
+	/**
+	 * Focus the warning button while the content is covered, otherwise the element itself
+	 */
+	focus(options?: FocusOptions): void;
+
+	/**
+	 * Reveal the content
+	 */
+	reveal(): void;
+
+	/**
+	 * Cover the content with the warning again
+	 */
+	hide(): void;
+
+	/**
+	 * Toggle between the revealed and hidden states
+	 * @param force - Reveal when true, hide when false
+	 * @returns Whether the content is revealed afterward
+	 */
+	toggle(force?: boolean): boolean;
+
+	/**
+	 * Reveal as if the reader clicked the warning button, honoring content-warning:beforereveal
+	 * @returns Whether the content was revealed
+	 */
+	requestReveal(): Promise<boolean>;
+
+	/**
+	 * Hide as if the reader clicked the "Hide again" button, honoring content-warning:beforehide
+	 * @returns Whether the content was hidden
+	 */
+	requestHide(): Promise<boolean>;
 
 	/**
 	 * Handle click events to reveal content
@@ -102,6 +307,12 @@ export class ContentWarningElement extends HTMLElement {
 	 */
 	private _reveal(): void;
 
+	/**
+	 * Cover the content again
+	 * @private
+	 */
+	private _hide(): void;
+
 	/**
 	 * Update the warning message in the overlay
 	 * @private
@@ -114,6 +325,20 @@ export class ContentWarningElement extends HTMLElement {
 	render(): void;
 }
 
+/**
+ * A registered warning type
+ */
+export interface ContentWarningTypeDefinition {
+	/** Display name, or display names keyed by locale */
+	label: string | Record<string, string>;
+	/** Explanation shown on the overlay, or descriptions keyed by locale */
+	description?: string | Record<string, string>;
+	/** How disturbing the content is */
+	severity?: 'low' | 'medium' | 'high';
+	/** Text (e.g. an emoji) or a node (e.g. an SVG) shown before the label */
+	icon?: string | Node;
+}
+
 /**
  * Event detail for content-warning:revealed event
  */
@@ -122,3 +347,27 @@ export interface ContentWarningRevealedEvent extends CustomEvent {
 		type: string | null;
 	};
 }
+
+/**
+ * Cancelable content-warning:beforereveal and content-warning:beforehide events
+ */
+export interface ContentWarningBeforeChangeEvent extends CustomEvent {
+	detail: {
+		type: string | null;
+	};
+
+	/**
+	 * Defer the decision until the promise settles. A rejected promise, or one
+	 * resolving to false, cancels the change.
+	 */
+	waitUntil(promise: Promise<unknown>): void;
+}
+
+/**
+ * Event detail for content-warning:hidden event
+ */
+export interface ContentWarningHiddenEvent extends CustomEvent {
+	detail: {
+		type: string | null;
+	};
+}
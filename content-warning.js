@@ -1,3 +1,404 @@
+import {
+	STORAGE_PREFIX,
+	localStorageAdapter,
+	sessionStorageAdapter,
+	cookieAdapter,
+} from './storage.js';
+import { ContentWarningPreferences } from './preferences.js';
+import { openSyncChannel } from './sync.js';
+import { cssTemplate } from './styles.js';
+import { MODES, VISIBLE_MODES, getLabelParts } from './rendering.js';
+import { defineType, getType, parseTypes, resolveSeverity } from './types.js';
+import {
+	registerLocale,
+	localize,
+	getLocaleStrings,
+	getElementLocale,
+	formatListParts,
+	watchLanguage,
+	unwatchLanguage,
+} from './locales.js';
+
+// Attributes that hold the real source of deferred media, and where they go on reveal
+const DEFERRED_ATTRIBUTES = [
+	['data-src', 'src'],
+	['data-srcset', 'srcset'],
+	['data-sizes', 'sizes'],
+	['data-poster', 'poster'],
+];
+const DEFERRED_SELECTOR = DEFERRED_ATTRIBUTES.map(([from]) => `[${from}]`).join(
+	', ',
+);
+
+// Stop waiting on deferred media after this long and reveal anyway
+const DEFERRED_LOAD_TIMEOUT = 10000;
+
+// The muted and autoplay state of covered media, restored on reveal
+const coveredMedia = new WeakMap();
+
+/**
+ * Turn a custom state on or off. Older Chromium only accepts the
+ * dashed form (`:--revealed`), so fall back to it.
+ * @param {CustomStateSet} states - The element's custom states
+ * @param {string} state - The state name
+ * @param {boolean} on - Whether the state applies
+ */
+function setState(states, state, on) {
+	try {
+		if (on) {
+			states.add(state);
+		} else {
+			states.delete(state);
+		}
+	} catch {
+		if (on) {
+			states.add(`--${state}`);
+		} else {
+			states.delete(`--${state}`);
+		}
+	}
+}
+
+// How revealed content is announced to screen readers
+const ANNOUNCE_MODES = ['summary', 'focus', 'clone'];
+
+// Clear the live region after this long so it isn't found (or read) again later
+const ANNOUNCEMENT_TIMEOUT = 5000;
+
+// Elements that shouldn't be reachable by keyboard in the announcement clone
+const FOCUSABLE_SELECTOR =
+	'a[href], area[href], button, input, select, textarea, iframe, audio[controls], video[controls], summary, [contenteditable], [tabindex]';
+
+// How the reader reveals the content
+const REVEAL_MODES = ['click', 'hold', 'confirm'];
+
+// The default hold-to-reveal duration in milliseconds
+const DEFAULT_HOLD_DURATION = 1000;
+
+// Overlay events that drive hold-to-reveal
+const HOLD_EVENTS = [
+	'pointerdown',
+	'pointerup',
+	'pointerleave',
+	'pointercancel',
+	'keydown',
+	'keyup',
+];
+
+// The SVG filter pixelate mode applies, and the size of its blocks in pixels
+const PIXELATE_FILTER_ID = 'content-warning-pixelate';
+const PIXEL_SIZE = 12;
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Animated reveals and hides, played with the View Transitions API
+const TRANSITIONS = ['fade', 'blur-out', 'slide'];
+
+// Used to give each transitioning warning a unique view-transition-name
+let transitionCount = 0;
+
+// What a warning does when the URL fragment points into it
+const FRAGMENT_BEHAVIORS = ['focus', 'reveal', 'none'];
+
+// Appended to a fragment (e.g. "#reply-42:reveal") to ask for a reveal
+const REVEAL_FRAGMENT_SUFFIX = ':reveal';
+
+/**
+ * Find the content warning an element belongs to
+ * @param {Element} element - A descendant element
+ * @returns {ContentWarningElement|null}
+ */
+function getOwningWarning(element) {
+	let node = element.parentElement;
+	while (node && !(node instanceof ContentWarningElement)) {
+		node = node.parentElement;
+	}
+	return node;
+}
+
+/**
+ * Wait for a media element to load (or fail). Lazy media isn't waited on:
+ * it only loads once it is shown.
+ * @param {Element} element - An img, video, audio, iframe or picture element
+ * @returns {Promise<void>}
+ */
+function whenMediaLoaded(element) {
+	// Pictures load through their img
+	const media =
+		element.localName === 'picture'
+			? element.querySelector('img')
+			: element;
+	if (!media) return Promise.resolve();
+
+	// Lazy media doesn't start loading while the content is hidden
+	if (media.getAttribute('loading') === 'lazy') return Promise.resolve();
+
+	let event = 'load';
+	if (media.localName === 'img') {
+		if (media.complete && media.getAttribute('src')) {
+			return Promise.resolve();
+		}
+	} else if (media.localName === 'video' || media.localName === 'audio') {
+		if (media.readyState >= 1 || media.preload === 'none') {
+			return Promise.resolve();
+		}
+		event = 'loadedmetadata';
+	} else if (media.localName !== 'iframe') {
+		return Promise.resolve();
+	}
+
+	return new Promise((resolve) => {
+		media.addEventListener(event, resolve, { once: true });
+		media.addEventListener('error', resolve, { once: true });
+	});
+}
+
+/**
+ * Pause and mute a media element and stop it autoplaying,
+ * remembering its original state for when it is uncovered
+ * @param {HTMLMediaElement} media - A video or audio element
+ */
+function coverMedia(media) {
+	if (!coveredMedia.has(media)) {
+		coveredMedia.set(media, {
+			muted: media.muted,
+			autoplay: media.hasAttribute('autoplay'),
+		});
+	}
+	media.removeAttribute('autoplay');
+	media.muted = true;
+	media.pause();
+}
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} name - The element name
+ * @param {Object<string, string|number>} attributes - The attributes to set
+ * @returns {SVGElement}
+ */
+function createSVGElement(name, attributes) {
+	const element = document.createElementNS(SVG_NAMESPACE, name);
+	for (const [attribute, value] of Object.entries(attributes)) {
+		element.setAttribute(attribute, value);
+	}
+	return element;
+}
+
+/**
+ * Add the pixelate filter to the document, once. It has to live in the
+ * light DOM, where slotted content resolves its url(#…) reference.
+ */
+function definePixelateFilter() {
+	if (document.getElementById(PIXELATE_FILTER_ID)) return;
+
+	const half = PIXEL_SIZE / 2;
+	const filter = createSVGElement('filter', {
+		id: PIXELATE_FILTER_ID,
+		x: 0,
+		y: 0,
+		width: 1,
+		height: 1,
+	});
+	// Sample one pixel per block, then grow each sample to fill its block
+	filter.append(
+		createSVGElement('feFlood', {
+			x: half - 1,
+			y: half - 1,
+			width: 2,
+			height: 2,
+		}),
+		createSVGElement('feComposite', {
+			width: PIXEL_SIZE,
+			height: PIXEL_SIZE,
+		}),
+		createSVGElement('feTile', { result: 'tiles' }),
+		createSVGElement('feComposite', {
+			in: 'SourceGraphic',
+			in2: 'tiles',
+			operator: 'in',
+		}),
+		createSVGElement('feMorphology', { operator: 'dilate', radius: half }),
+	);
+
+	const svg = createSVGElement('svg', {
+		'aria-hidden': 'true',
+		focusable: 'false',
+		width: 0,
+		height: 0,
+		style: 'position: absolute; overflow: hidden',
+	});
+	svg.appendChild(filter);
+	(document.body || document.documentElement).appendChild(svg);
+}
+
+/**
+ * Get the aspect ratio of the first media element with width and height attributes
+ * @param {Element[]} elements - The elements to search, including their descendants
+ * @returns {string|null} The ratio as a CSS value (e.g. "16 / 9")
+ */
+function getAspectRatio(elements) {
+	const selector = 'img, video, iframe, canvas, svg, object, embed';
+	for (const element of elements) {
+		const candidates = element.matches(selector)
+			? [element]
+			: element.querySelectorAll(selector);
+		for (const media of candidates) {
+			const width = parseFloat(media.getAttribute('width'));
+			const height = parseFloat(media.getAttribute('height'));
+			if (width > 0 && height > 0) {
+				return `${width} / ${height}`;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Parse a CSS time, e.g. "300ms" or "0.3s"
+ * @param {string} value - The CSS time
+ * @param {number} fallback - Returned when the value isn't a time
+ * @returns {number} The time in milliseconds
+ */
+function parseTime(value, fallback) {
+	const match = /^\s*([\d.]+)(m?s)\s*$/.exec(value);
+	if (!match) return fallback;
+	return parseFloat(match[1]) * (match[2] === 's' ? 1000 : 1);
+}
+
+// What can cover revealed content again, and how long each has to last first
+const REHIDE_DELAYS = new Map([
+	['offscreen', 1000],
+	['timeout', 30000],
+	['visibilitychange', 0],
+]);
+
+// Units accepted in rehide durations, in milliseconds
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000 };
+
+/**
+ * Parse a duration, e.g. "500ms", "30s", "5m" or "500" (milliseconds)
+ * @param {string} [value] - The duration
+ * @param {number} fallback - Returned when the value isn't a duration
+ * @returns {number} The duration in milliseconds
+ */
+function parseDuration(value, fallback) {
+	const match = /^(\d+(?:\.\d+)?)(ms|s|m)?$/.exec(value || '');
+	if (!match) return fallback;
+	return parseFloat(match[1]) * DURATION_UNITS[match[2] || 'ms'];
+}
+
+/**
+ * Parse the rehide attribute, e.g. "offscreen timeout=30s"
+ * @param {string|null} value - The attribute value
+ * @returns {Map<string, number>} The delay of each trigger, in milliseconds
+ */
+function parseRehide(value) {
+	const triggers = new Map();
+	for (const token of (value || '').trim().split(/\s+/)) {
+		const [name, duration] = token.split('=');
+		if (REHIDE_DELAYS.has(name)) {
+			triggers.set(
+				name,
+				parseDuration(duration, REHIDE_DELAYS.get(name)),
+			);
+		}
+	}
+	return triggers;
+}
+
+/**
+ * Get the keyframes for the old and new snapshots of a view transition
+ * @param {string} transition - "fade", "blur-out" or "slide"
+ * @param {boolean} reveal - Whether the content is being revealed (otherwise hidden)
+ * @param {string} blurAmount - How far "blur-out" blurs, as a CSS length
+ * @returns {{old: Keyframe[], new: Keyframe[]}}
+ */
+function getTransitionKeyframes(transition, reveal, blurAmount) {
+	switch (transition) {
+		case 'blur-out':
+			return {
+				old: [
+					{ opacity: 1, filter: 'blur(0)' },
+					{ opacity: 0, filter: `blur(${blurAmount})` },
+				],
+				new: [
+					{ opacity: 0, filter: `blur(${blurAmount})` },
+					{ opacity: 1, filter: 'blur(0)' },
+				],
+			};
+		case 'slide': {
+			// The new state wipes over the old one: upward on reveal, downward on hide
+			const from = reveal ? 'inset(100% 0 0 0)' : 'inset(0 0 100% 0)';
+			return {
+				old: [{ opacity: 1 }, { opacity: 1 }],
+				new: [
+					{ clipPath: from, mixBlendMode: 'normal' },
+					{ clipPath: 'inset(0)', mixBlendMode: 'normal' },
+				],
+			};
+		}
+		default:
+			return {
+				old: [{ opacity: 1 }, { opacity: 0 }],
+				new: [{ opacity: 0 }, { opacity: 1 }],
+			};
+	}
+}
+
+/**
+ * Create the placeholder shown in place of covered content
+ * @returns {HTMLDivElement}
+ */
+function createPlaceholder() {
+	const placeholder = document.createElement('div');
+	placeholder.setAttribute('part', 'placeholder');
+	placeholder.className = 'placeholder';
+	placeholder.hidden = true;
+
+	const slot = document.createElement('slot');
+	slot.name = 'placeholder';
+	placeholder.appendChild(slot);
+	return placeholder;
+}
+
+/**
+ * Build the list of type labels, e.g. "violence, self-harm, and spoilers",
+ * with each type in its own part
+ * @param {Array<Object>} list - The label list from getLabelParts()
+ * @returns {DocumentFragment}
+ */
+function createTypeList(list) {
+	const fragment = document.createDocumentFragment();
+
+	for (const item of list) {
+		if (!item.type) {
+			fragment.appendChild(document.createTextNode(item.value));
+			continue;
+		}
+
+		const span = document.createElement('span');
+		span.setAttribute('part', item.part);
+
+		if (item.icon) {
+			const icon = document.createElement('span');
+			icon.setAttribute('part', 'type-icon');
+			icon.className = 'type-icon';
+			icon.setAttribute('aria-hidden', 'true');
+			if (typeof item.icon === 'string') {
+				icon.textContent = item.icon;
+			} else {
+				icon.appendChild(item.icon.cloneNode(true));
+			}
+			span.appendChild(icon);
+		}
+
+		span.appendChild(document.createTextNode(item.label));
+		fragment.appendChild(span);
+	}
+
+	return fragment;
+}
+
 /**
  * ContentWarningElement - A web component for block and inline content warnings.
  *
@@ -6,138 +407,329 @@
  * @element content-warning
  *
  * @attr {string} type - Space-separated list of warning types (e.g., "violence spoilers")
- * @attr {string} label-prefix - The prefix text for the warning (default: "Content Warning")
- * @attr {string} label-suffix - The suffix text for the warning (default: "Click to reveal"). Set to "false" to hide.
+ * @attr {string} label-prefix - The prefix text for the warning (default: "Content Warning", localized)
+ * @attr {string} label-suffix - The suffix text for the warning (default: "Click to reveal", localized). Set to "false" to hide.
  * @attr {boolean} inline - Display the warning inline instead of as a block overlay
- * @attr {boolean} blur - Use blur visual effect instead of complete hiding (NOT Reader Mode safe)
+ * @attr {boolean} blur - Use blur visual effect instead of complete hiding (NOT Reader Mode safe). Shorthand for mode="blur".
+ * @attr {string} mode - How covered content is shown: "hidden" (default), "blur", "pixelate", "placeholder" (a solid block sized to the content) or "teaser" (the first few lines, faded out). Every mode but "hidden" and "placeholder" keeps the content on screen, so is NOT Reader Mode safe.
+ * @attr {string} theme - A built-in theme: "dark" (default), "light", "auto" (light or dark to match prefers-color-scheme), "subtle" or "high-contrast"
+ * @attr {string} severity - "low", "medium" or "high" (default: the highest severity of the registered types). High severity asks for confirmation before revealing.
+ * @attr {string} reveal-mode - How the reader reveals the content: "click", "hold" (press and hold the button) or "confirm" (a second "Yes, show me" step). Default: "confirm" for high severity, otherwise "click".
+ * @attr {number} hold-duration - How long to hold the button in "hold" mode, in milliseconds (default: 1000)
+ * @attr {string} announce - How a reveal is announced to screen readers: "summary" (default, e.g. "Content revealed: violence"), "focus" (move focus to the revealed content) or "clone" (read out a copy of the content)
+ * @attr {string} transition - Animate reveals and hides: "fade", "blur-out" or "slide". Uses the View Transitions API where available and is skipped under prefers-reduced-motion: reduce.
+ * @attr {string} rehide - Cover revealed content again automatically: any of "offscreen" (after it leaves the viewport), "timeout" and "visibilitychange" (when the tab is in the background). Each takes an optional delay, e.g. "offscreen=5s timeout=2m" (defaults: offscreen 1s, timeout 30s, visibilitychange 0).
+ * @attr {string} fragment - What to do when the URL fragment points at the warning or something inside it: "focus" (default; focus the button and explain why), "reveal" or "none". A "#id:reveal" fragment always asks for a reveal.
+ * @attr {boolean} revealed - Reflects (and controls) whether the content is revealed
+ * @attr {boolean} hideable - Show a "Hide again" button after the content is revealed
+ * @attr {string} hide-label - The text for the "Hide again" button (default: "Hide again", localized)
+ * @attr {string} persist - Remember the reveal decision. Optionally names a storage adapter: "local" (default), "session", "cookie" or a registered name
+ * @attr {string} persist-key - The key the reveal decision is stored under (default: the element's id)
+ * @attr {boolean} loading - Present while deferred media loads after a reveal (set by the component)
+ * @attr {boolean} play-on-reveal - Start slotted video and audio playing when the content is revealed
  *
- * @cssproperty [--content-warning-color] - Outline color for focus state
+ * @cssstate revealed - The content is revealed
+ * @cssstate blurred - The content is covered in blur mode
+ * @cssstate inline - The warning is displayed inline
+ *
+ * @cssproperty [--content-warning-bg] - Background of the warning overlay (default: rgba(0, 0, 0, 0.9))
+ * @cssproperty [--content-warning-bg-low] - Overlay background at low severity (default: rgba(0, 0, 0, 0.75))
+ * @cssproperty [--content-warning-bg-high] - Overlay background at high severity (default: #000)
+ * @cssproperty [--content-warning-blur-bg] - Overlay background in the blur, pixelate, placeholder and teaser modes (default: transparent)
+ * @cssproperty [--content-warning-blur-bg-high] - Overlay background in those modes at high severity (default: rgba(0, 0, 0, 0.6))
+ * @cssproperty [--content-warning-color] - Text color of the warning (default: #fff)
+ * @cssproperty [--content-warning-focus-color] - Focus outline color (default: the value of --content-warning-color)
+ * @cssproperty [--content-warning-accent-color] - Button border color at high severity (default: #ff6b6b)
+ * @cssproperty [--content-warning-button-bg] - Background of the warning buttons (default: transparent)
+ * @cssproperty [--content-warning-border] - Border of the warning buttons (default: 2px solid currentColor)
+ * @cssproperty [--content-warning-radius] - Corner radius of the warning buttons (default: 0)
+ * @cssproperty [--content-warning-padding] - Padding of the warning button (default: 1rem)
+ * @cssproperty [--content-warning-font-size] - Font size of the warning button (default: 1rem)
+ * @cssproperty [--content-warning-font-family] - Font family of the warning buttons (default: inherit)
  * @cssproperty [--content-warning-blur-amount] - Amount of blur in blur mode (default: 10px)
+ * @cssproperty [--content-warning-placeholder-bg] - Background of the placeholder in "placeholder" mode (default: #333)
+ * @cssproperty [--content-warning-placeholder-ratio] - Aspect ratio of the placeholder (default: from the width and height attributes of the first image, video or iframe, otherwise 16 / 9)
+ * @cssproperty [--content-warning-teaser-lines] - How many lines "teaser" mode shows (default: 3)
+ * @cssproperty [--content-warning-transition-duration] - How long reveal and hide transitions take (default: 300ms)
+ * @cssproperty [--content-warning-transition-easing] - The timing function of reveal and hide transitions (default: ease)
+ * @cssproperty [--content-warning-hold-color] - Fill color of the button as it is held in "hold" reveal mode (default: rgba(255, 255, 255, 0.25))
+ * @cssproperty [--content-warning-hold-progress] - Set on the button in "hold" mode: how far through the hold the reader is, from 0 to 1
  *
  * @description
  * Button label format: {prefix}: {type} {suffix}
  * Punctuation is controlled via CSS pseudo-elements for easy customization.
+ * Default strings follow the element's own or nearest ancestor lang attribute.
+ * Content inside a child <template>, and data-src, data-srcset, data-sizes and
+ * data-poster attributes, is only instantiated when the content is revealed.
+ * Video and audio inside the warning are paused and muted while it is covered.
  *
- * @fires content-warning:revealed - Fired when the content is revealed by the user
+ * @fires content-warning:beforereveal - Cancelable. Fired before the reader reveals the content; call event.waitUntil(promise) to defer the decision
+ * @fires content-warning:revealed - Fired when the content is revealed
+ * @fires content-warning:beforehide - Cancelable. Fired before the reader hides the content again; supports event.waitUntil(promise)
+ * @fires content-warning:hidden - Fired when revealed content is hidden again
  *
  * @slot - Default slot for the content that needs a warning
+ * @slot warning - Replaces the warning text in the button (default: "{prefix}: {type}"). The component keeps the suffix. Phrasing content only, as it is inside a button.
+ * @slot icon - An icon shown in the button ahead of the warning text (hidden from assistive technology)
+ * @slot description - An explanation shown on the overlay and read as part of the button's description
+ * @slot actions - Links or buttons shown on the overlay, e.g. to support resources. Using them doesn't reveal the content.
+ * @slot placeholder - A safe stand-in (e.g. a thumbnail) shown while the content is covered in the "hidden" and "placeholder" modes
  *
  * @csspart button - The warning button element
  * @csspart overlay - The warning overlay (same element as button)
  * @csspart label-prefix - The prefix text span (e.g., "Content Warning")
- * @csspart label-type - The warning type text span (e.g., "violence spoilers")
+ * @csspart label-type - The warning type text span (e.g., "violence and spoilers")
+ * @csspart type - Each warning type within label-type (also exposed as "type-{key}", e.g. "type-violence")
+ * @csspart type-icon - The icon of a registered type
+ * @csspart descriptions - The container for registered type descriptions on the overlay
+ * @csspart description - Each registered type description
  * @csspart label-suffix - The suffix text span (e.g., "Click to reveal")
+ * @csspart overlay-low - The overlay of a low severity warning
+ * @csspart overlay-medium - The overlay of a medium severity warning
+ * @csspart overlay-high - The overlay of a high severity warning
+ * @csspart confirm-button - The "Yes, show me" button of the confirmation step
+ * @csspart hide-button - The "Hide again" button shown after reveal (requires `hideable`)
+ * @csspart loading - The "Loading…" status shown while deferred media loads
+ * @csspart icon - The wrapper around the icon slot in the button
+ * @csspart actions - The wrapper around the actions slot on the overlay
+ * @csspart link-hint - Explains that a followed link points behind the warning
+ * @csspart placeholder - The placeholder shown while the content is covered in "placeholder" mode (or with a slotted placeholder)
  */
 export class ContentWarningElement extends HTMLElement {
+	/**
+	 * Page-wide per-type reader preferences ("show" auto-reveals, "hide" keeps covered)
+	 * @type {ContentWarningPreferences}
+	 */
+	static preferences = new ContentWarningPreferences();
+
+	/**
+	 * The query string parameter that reveals warnings by type, e.g.
+	 * `?cw-reveal=spoilers`. Set to null to turn it off.
+	 * @type {string|null}
+	 */
+	static revealParam = 'cw-reveal';
+
+	// The open cross-tab channel, while sync is enabled
+	static #sync = null;
+
+	// Set while applying a message from another tab, so it isn't sent back
+	static #isApplyingSync = false;
+
+	// Connected warnings, for applying synced reveals and hides
+	static #connected = new Set();
+
+	/**
+	 * Keep reveal decisions and reader preferences in step across the open
+	 * tabs of the site. Warnings with the same persist-key (or id) reveal and
+	 * hide together, and preference changes apply everywhere. Changes from
+	 * other tabs are automatic: they dispatch the usual events but aren't
+	 * announced, focused or animated.
+	 * @param {string} [name="content-warning"] - The channel name; only tabs using the same name sync
+	 */
+	static enableSync(name) {
+		if (ContentWarningElement.#sync) return;
+
+		const channel = openSyncChannel(name, (message) =>
+			ContentWarningElement.#applySyncMessage(message),
+		);
+		const handlePreferenceChange = (e) => {
+			if (!ContentWarningElement.#isApplyingSync) {
+				channel.post({ action: 'preference', ...e.detail });
+			}
+		};
+		ContentWarningElement.preferences.addEventListener(
+			'change',
+			handlePreferenceChange,
+		);
+
+		ContentWarningElement.#sync = {
+			post: (message) => channel.post(message),
+			close: () => {
+				channel.close();
+				ContentWarningElement.preferences.removeEventListener(
+					'change',
+					handlePreferenceChange,
+				);
+			},
+		};
+	}
+
+	/**
+	 * Stop syncing with other tabs
+	 */
+	static disableSync() {
+		if (!ContentWarningElement.#sync) return;
+
+		ContentWarningElement.#sync.close();
+		ContentWarningElement.#sync = null;
+	}
+
+	static #applySyncMessage(message) {
+		if (!message || typeof message !== 'object') return;
+
+		ContentWarningElement.#isApplyingSync = true;
+		try {
+			if (message.action === 'preference') {
+				ContentWarningElement.preferences.set(
+					message.type,
+					message.value,
+				);
+			} else if (
+				(message.action === 'reveal' || message.action === 'hide') &&
+				message.key
+			) {
+				for (const warning of ContentWarningElement.#connected) {
+					if (warning._getSyncKey() === message.key) {
+						warning._requestChange(message.action === 'reveal', {
+							automatic: true,
+						});
+					}
+				}
+			}
+		} catch {
+			// Ignore malformed messages (e.g. an invalid preference)
+		} finally {
+			ContentWarningElement.#isApplyingSync = false;
+		}
+	}
+
+	/**
+	 * Tell other tabs about a reveal or hide
+	 * @param {ContentWarningElement} warning - The warning that changed
+	 */
+	static #postChange(warning) {
+		const key = warning._getSyncKey();
+		if (
+			!ContentWarningElement.#sync ||
+			ContentWarningElement.#isApplyingSync ||
+			!key
+		)
+			return;
+
+		ContentWarningElement.#sync.post({
+			action: warning._internals.revealed ? 'reveal' : 'hide',
+			key,
+		});
+	}
+
+	// Storage adapters available to the persist attribute
+	static #storageAdapters = new Map([
+		['local', localStorageAdapter],
+		['session', sessionStorageAdapter],
+		['cookie', cookieAdapter],
+	]);
+
+	/**
+	 * Register a storage adapter for use with the persist attribute.
+	 * Adapters need synchronous get(key), set(key, value) and remove(key) methods.
+	 * Registering under an existing name (e.g. "local") replaces that adapter.
+	 * @param {string} name - The name used in the persist attribute
+	 * @param {{get: Function, set: Function, remove: Function}} adapter - The storage adapter
+	 */
+	static registerStorage(name, adapter) {
+		if (
+			!adapter ||
+			typeof adapter.get !== 'function' ||
+			typeof adapter.set !== 'function' ||
+			typeof adapter.remove !== 'function'
+		) {
+			throw new TypeError(
+				'Storage adapters must implement get(), set() and remove()',
+			);
+		}
+		ContentWarningElement.#storageAdapters.set(name, adapter);
+	}
+
+	/**
+	 * Look up a registered storage adapter
+	 * @param {string} name - The adapter name
+	 * @returns {Object|undefined}
+	 */
+	static getStorage(name) {
+		return ContentWarningElement.#storageAdapters.get(name);
+	}
+
+	/**
+	 * Register a warning type with a human-readable label and optional details.
+	 * Define types before warnings that use them render.
+	 * @param {string} key - The value used in the type attribute (e.g. "self-harm")
+	 * @param {Object} definition - See defineType() in types.js
+	 */
+	static defineType(key, definition) {
+		defineType(key, definition);
+	}
+
+	/**
+	 * Look up a registered warning type
+	 * @param {string} key - The value used in the type attribute
+	 * @returns {Object|undefined}
+	 */
+	static getType(key) {
+		return getType(key);
+	}
+
+	/**
+	 * Register (or extend) the default strings for a locale.
+	 * Keys: prefix, suffix, content, hide, revealAll, hideAll.
+	 * @param {string} locale - A BCP 47 language tag (e.g. "sv" or "pt-BR")
+	 * @param {Object<string, string>} strings - The strings to add or override
+	 */
+	static registerLocale(locale, strings) {
+		registerLocale(locale, strings);
+	}
+
 	// Cache the style element to avoid recreating it
 	static #styleElement = null;
 
 	static #getStyleElement() {
 		if (!this.#styleElement) {
 			this.#styleElement = document.createElement('style');
-			this.#styleElement.textContent = this.#cssTemplate;
+			this.#styleElement.textContent = cssTemplate;
 		}
 		return this.#styleElement.cloneNode(true);
 	}
 
-	static #cssTemplate = `
-		:host {
-			display: block;
-			position: relative;
-		}
-		:host([inline]) {
-			display: inline-block;
-			vertical-align: baseline;
-		}
-		:host([hidden]) {
-			display: none;
-		}
-		:host([inline]:not([revealed])) .content-wrapper {
-			display: none;
-		}
-		.content-wrapper {
-			display: contents;
-		}
-		/* Blur mode: visually obscured but present in DOM */
-		:host(:not([revealed])[blur]) .content-wrapper ::slotted(*) {
-			filter: blur(var(--content-warning-blur-amount, 10px));
-			user-select: none;
-			pointer-events: none;
-		}
-		/* Screen reader announcement - visually hidden */
-		.sr-announcement {
-			position: absolute;
-			width: 1px;
-			height: 1px;
-			padding: 0;
-			margin: -1px;
-			overflow: hidden;
-			clip: rect(0, 0, 0, 0);
-			white-space: nowrap;
-			border-width: 0;
-		}
-		.overlay {
-			position: absolute;
-			inset: 0;
-			display: flex;
-			flex-direction: column;
-			align-items: center;
-			justify-content: center;
-			background: rgba(0, 0, 0, 0.9);
-			cursor: pointer;
-			z-index: 1;
-		}
-		:host(:not([revealed])[blur]) .overlay {
-				background: transparent;
-		}
-		:host([inline]) .overlay {
-			position: static;
-			display: inline-flex;
-		}
-		button {
-			cursor: pointer;
-			margin: 0;
-			background: transparent;
-			color: #fff;
-			border: 2px solid currentColor;
-			padding: 1rem;
-			font-size: 1rem;
-			font-family: inherit;
-			box-sizing: border-box;
-			text-align: center;
-		}
-		:host([inline]) button {
-			padding: 0.25rem 0.5rem;
-			font-size: 0.875rem;
-		}
-		button:hover {
-			opacity: 0.95;
-		}
-		button:focus-visible {
-			outline: 2px solid var(--content-warning-color, #fff);
-			outline-offset: -4px;
-		}
-		:is(.label-prefix)::after {
-			content: ": ";
-		}
-		[part="label-type"]::before {
-			content: " ";
-		}
-		[part="label-suffix"]::before {
-			content: " ";
-		}
-	`;
-
 	static get observedAttributes() {
-		return ['type', 'label-prefix', 'label-suffix', 'blur'];
+		return [
+			'type',
+			'label-prefix',
+			'label-suffix',
+			'blur',
+			'mode',
+			'severity',
+			'revealed',
+			'hideable',
+			'hide-label',
+			'reveal-mode',
+			'rehide',
+			'inline',
+			'announce',
+		];
 	}
 
 	constructor() {
 		super();
-		this.attachShadow({ mode: 'open' });
+		// Keep a server-rendered (declarative) shadow root so it can be hydrated
+		if (!this.shadowRoot) {
+			this.attachShadow({ mode: 'open' });
+		}
+
+		// Custom states and default ARIA, where supported. Unlike host
+		// attributes, authors can't clobber these and their own role wins.
+		this._elementInternals =
+			typeof this.attachInternals === 'function'
+				? this.attachInternals()
+				: null;
 		this._internals = {
 			isRendered: false,
 			revealed: false,
+			pending: false,
+			loading: false,
+			confirming: false,
+			holdStart: null,
+			holdFrame: null,
+			announcementTimer: null,
+			stopRehide: null,
 			isInline: false,
 		};
 
@@ -145,13 +737,31 @@ export class ContentWarningElement extends HTMLElement {
 		this._refs = {
 			overlay: null,
 			button: null,
+			descriptions: null,
+			descriptionSlot: null,
+			actionsSlot: null,
+			concealedNote: null,
+			confirmButton: null,
+			hideButton: null,
+			loadingStatus: null,
+			linkHint: null,
 			wrapper: null,
 			announcement: null,
 			slot: null,
+			placeholder: null,
+			placeholderSlot: null,
 		};
 
 		// Bind event handlers
 		this._handleClick = this._handleClick.bind(this);
+		this._handleHold = this._handleHold.bind(this);
+		this._handleHideClick = this._handleHideClick.bind(this);
+		this._handlePreferenceChange = this._handlePreferenceChange.bind(this);
+		this._handleMediaPlay = this._handleMediaPlay.bind(this);
+		this._handleSlotChange = this._handleSlotChange.bind(this);
+		this._handleOverlaySlotChange =
+			this._handleOverlaySlotChange.bind(this);
+		this._handleHashChange = this._handleHashChange.bind(this);
 	}
 
 	connectedCallback() {
@@ -166,18 +776,77 @@ export class ContentWarningElement extends HTMLElement {
 		this._upgradeProperty('type');
 		this._upgradeProperty('labelPrefix');
 		this._upgradeProperty('labelSuffix');
+		this._upgradeProperty('severity');
+		this._upgradeProperty('revealed');
+		this._upgradeProperty('hideLabel');
+		this._upgradeProperty('persistKey');
+		this._upgradeProperty('revealMode');
+		this._upgradeProperty('holdDuration');
+		this._upgradeProperty('mode');
+		this._upgradeProperty('transition');
+		this._upgradeProperty('fragment');
+		this._upgradeProperty('rehide');
 
 		// Cache inline state
 		this._internals.isInline = this.hasAttribute('inline');
 
-		// Defer render to avoid blocking main thread
+		// Apply reader preferences, then any remembered reveal, before the first render
+		this._applyInitialState();
+		this._updateStates();
+
+		// Keep video and audio quiet until the reader reveals them.
+		// play doesn't bubble, so listen in the capture phase.
+		this.addEventListener('play', this._handleMediaPlay, true);
+		if (!this._internals.revealed) {
+			this._coverMedia();
+		} else {
+			this._startRehide();
+		}
+
+		// React to preference changes made while connected
+		ContentWarningElement.preferences.addEventListener(
+			'change',
+			this._handlePreferenceChange,
+		);
+
+		// Re-render default strings when a lang attribute changes
+		watchLanguage(this, () => this._updateLocale());
+
+		// Respond to links into the content
+		window.addEventListener('hashchange', this._handleHashChange);
+
+		ContentWarningElement.#connected.add(this);
+
+		// Hydrate a server-rendered shadow root right away; otherwise
+		// defer render to avoid blocking main thread
+		if (!this._internals.isRendered && this._hydrate()) {
+			return;
+		}
 		requestAnimationFrame(() => this.render());
 	}
 
 	disconnectedCallback() {
+		ContentWarningElement.preferences.removeEventListener(
+			'change',
+			this._handlePreferenceChange,
+		);
+		unwatchLanguage(this);
+		window.removeEventListener('hashchange', this._handleHashChange);
+		ContentWarningElement.#connected.delete(this);
+		this.removeEventListener('play', this._handleMediaPlay, true);
+		this._clearAnnouncement();
+		this._stopRehide();
+
 		// Clean up event listener
 		if (this._refs.overlay) {
-			this._refs.overlay.removeEventListener('click', this._handleClick);
+			this._removeOverlayListeners(this._refs.overlay);
+		}
+		this._cancelHold();
+		if (this._refs.hideButton) {
+			this._refs.hideButton.removeEventListener(
+				'click',
+				this._handleHideClick,
+			);
 		}
 	}
 
@@ -188,6 +857,8 @@ export class ContentWarningElement extends HTMLElement {
 
 		switch (name) {
 			case 'type':
+			case 'severity':
+			case 'reveal-mode':
 			case 'label-prefix':
 			case 'label-suffix':
 				// Update the warning message
@@ -196,10 +867,45 @@ export class ContentWarningElement extends HTMLElement {
 				}
 				break;
 			case 'blur':
-				// Update hiding mechanism when blur mode changes
+			case 'mode':
+				// Update hiding mechanism when the mode changes
 				if (this._internals.isRendered && !this._internals.revealed) {
 					this._updateContentHiding();
 				}
+				this._updateStates();
+				break;
+			case 'inline':
+				this._internals.isInline = newValue !== null;
+				this._updateStates();
+				break;
+			case 'announce':
+				this._updateAnnouncementRegion();
+				break;
+			case 'revealed':
+				// Keep internal state in sync when the attribute is toggled externally
+				if (newValue !== null && !this._internals.revealed) {
+					this._reveal();
+				} else if (newValue === null) {
+					this.hide();
+				}
+				break;
+			case 'hideable':
+				// Add or remove the "Hide again" button on revealed content
+				if (this._internals.isRendered && this._internals.revealed) {
+					this._updateHideButton();
+				}
+				break;
+			case 'hide-label':
+				if (this._refs.hideButton) {
+					this._refs.hideButton.textContent =
+						newValue || this._getStrings().hide;
+				}
+				break;
+			case 'rehide':
+				// Restart (or stop) watching revealed content
+				if (this._internals.revealed && this.isConnected) {
+					this._startRehide();
+				}
 				break;
 		}
 	}
@@ -234,6 +940,14 @@ export class ContentWarningElement extends HTMLElement {
 		}
 	}
 
+	/**
+	 * The warning types, split from the type attribute
+	 * @returns {string[]}
+	 */
+	get types() {
+		return this._getTypes();
+	}
+
 	/**
 	 * Label prefix property.
 	 * Reflects between property and attribute to keep them in sync.
@@ -267,95 +981,1488 @@ export class ContentWarningElement extends HTMLElement {
 	}
 
 	/**
-	 * Check if the content has been revealed
+	 * Severity property.
+	 * Reflects between property and attribute to keep them in sync.
 	 */
-	get revealed() {
-		return this._internals.revealed;
+	get severity() {
+		return this.getAttribute('severity');
 	}
 
-	/**
-	 * Handle click events to reveal content
-	 * @private
-	 */
-	_handleClick(e) {
-		if (!this._internals.revealed) {
-			this._reveal();
+	set severity(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('severity');
+		} else {
+			this.setAttribute('severity', value);
 		}
 	}
 
 	/**
-	 * Reveal the content
-	 * @private
+	 * Reveal mode property.
+	 * Reflects between property and attribute to keep them in sync.
 	 */
-	_reveal() {
-		this._internals.revealed = true;
+	get revealMode() {
+		return this.getAttribute('reveal-mode');
+	}
 
-		// Remove hiding attributes from wrapper
-		if (this._refs.wrapper) {
-			this._refs.wrapper.removeAttribute('hidden');
-			this._refs.wrapper.removeAttribute('inert');
-			this._refs.wrapper.removeAttribute('aria-hidden');
+	set revealMode(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('reveal-mode');
+		} else {
+			this.setAttribute('reveal-mode', value);
 		}
+	}
 
-		// Announce content to screen readers
-		this._announceReveal();
+	/**
+	 * Hold duration property, in milliseconds.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get holdDuration() {
+		const duration = parseFloat(this.getAttribute('hold-duration'));
+		return duration >= 0 ? duration : DEFAULT_HOLD_DURATION;
+	}
 
-		// Remove the overlay (which contains the button)
-		if (this._refs.overlay) {
-			this._refs.overlay.remove();
-			this._refs.overlay = null;
-			this._refs.button = null;
+	set holdDuration(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('hold-duration');
+		} else {
+			this.setAttribute('hold-duration', value);
 		}
+	}
 
-		// Mark as revealed for CSS
-		this.setAttribute('revealed', '');
+	/**
+	 * Mode property.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get mode() {
+		return this.getAttribute('mode');
+	}
 
-		// Set role for accessibility
-		this.setAttribute('role', 'alert');
+	set mode(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('mode');
+		} else {
+			this.setAttribute('mode', value);
+		}
+	}
 
-		// Dispatch revealed event
-		this.dispatchEvent(
-			new CustomEvent('content-warning:revealed', {
-				detail: { type: this.type },
-				bubbles: true,
-				composed: true,
-			}),
-		);
+	/**
+	 * Transition property.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get transition() {
+		return this.getAttribute('transition');
+	}
 
-		// Focus the content
-		this.focus();
+	set transition(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('transition');
+		} else {
+			this.setAttribute('transition', value);
+		}
 	}
 
 	/**
-	 * Update the warning message in the button
-	 * @private
+	 * Rehide property.
+	 * Reflects between property and attribute to keep them in sync.
 	 */
-	_updateWarningMessage() {
-		if (!this._refs.button) return;
+	get rehide() {
+		return this.getAttribute('rehide');
+	}
 
-		// Calculate values once
-		const prefix = this.labelPrefix || 'Content Warning';
-		const types = this.type || 'content';
-		const suffix =
-			this.labelSuffix !== null && this.labelSuffix !== 'false'
-				? this.labelSuffix || 'Click to reveal'
-				: null;
+	set rehide(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('rehide');
+		} else {
+			this.setAttribute('rehide', value);
+		}
+	}
+
+	/**
+	 * Fragment property.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get fragment() {
+		return this.getAttribute('fragment');
+	}
+
+	set fragment(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('fragment');
+		} else {
+			this.setAttribute('fragment', value);
+		}
+	}
+
+	/**
+	 * Hide label property.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get hideLabel() {
+		return this.getAttribute('hide-label');
+	}
+
+	set hideLabel(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('hide-label');
+		} else {
+			this.setAttribute('hide-label', value);
+		}
+	}
+
+	/**
+	 * Whether the content has been revealed.
+	 * Setting it reveals or hides the content and reflects to the `revealed` attribute.
+	 */
+	get revealed() {
+		return this._internals.revealed;
+	}
+
+	set revealed(value) {
+		if (value) {
+			this.reveal();
+		} else {
+			this.hide();
+		}
+	}
+
+	/**
+	 * Persist key property.
+	 * Reflects between property and attribute to keep them in sync.
+	 */
+	get persistKey() {
+		return this.getAttribute('persist-key');
+	}
+
+	set persistKey(value) {
+		if (value === null || value === undefined) {
+			this.removeAttribute('persist-key');
+		} else {
+			this.setAttribute('persist-key', value);
+		}
+	}
+
+	/**
+	 * Get the storage adapter and key used to persist the reveal decision
+	 * @returns {{adapter: Object, key: string}|null} Null when persistence is off or unconfigured
+	 * @private
+	 */
+	_getPersistence() {
+		if (!this.hasAttribute('persist')) return null;
+
+		const id = this.persistKey || this.id;
+		const adapter = ContentWarningElement.getStorage(
+			this.getAttribute('persist') || 'local',
+		);
+		if (!id || !adapter) return null;
+
+		return { adapter, key: `${STORAGE_PREFIX}${id}` };
+	}
+
+	/**
+	 * The key that matches this warning with warnings in other tabs
+	 * @returns {string|null}
+	 * @private
+	 */
+	_getSyncKey() {
+		return this.persistKey || this.id || null;
+	}
+
+	/**
+	 * Save or forget the reveal decision
+	 * @private
+	 */
+	_persistState() {
+		const persistence = this._getPersistence();
+		if (!persistence) return;
+
+		if (this._internals.revealed) {
+			persistence.adapter.set(persistence.key, 'revealed');
+		} else {
+			persistence.adapter.remove(persistence.key);
+		}
+	}
+
+	/**
+	 * Get the individual warning types
+	 * @returns {string[]}
+	 * @private
+	 */
+	_getTypes() {
+		return parseTypes(this.type);
+	}
+
+	/**
+	 * Resolve the reader preference for this element's types
+	 * @returns {"show"|"hide"|null}
+	 * @private
+	 */
+	_getPreference() {
+		return ContentWarningElement.preferences.resolve(this._getTypes());
+	}
+
+	/**
+	 * Set the initial state from reader preferences and any saved reveal decision
+	 * without announcing or dispatching events.
+	 * @private
+	 */
+	_applyInitialState() {
+		const preference = this._getPreference();
+		let revealed = this._internals.revealed;
+
+		if (preference === 'hide') {
+			revealed = false;
+		} else if (preference === 'show') {
+			revealed = true;
+		} else if (!revealed) {
+			const persistence = this._getPersistence();
+			revealed =
+				(!!persistence &&
+					persistence.adapter.get(persistence.key) === 'revealed') ||
+				this._isRevealedByQuery();
+		}
+
+		// Set internal state first so the attribute change is a no-op
+		this._internals.revealed = revealed;
+		this.toggleAttribute('revealed', revealed);
+
+		// Content revealed from the start doesn't wait on a click to load
+		if (revealed) {
+			this._loadDeferredContent();
+		}
+	}
+
+	/**
+	 * Check whether the query string reveals every type of this warning,
+	 * e.g. `?cw-reveal=spoilers,violence`
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isRevealedByQuery() {
+		const param = ContentWarningElement.revealParam;
+		const types = this._getTypes();
+		if (!param || !types.length || !this._canRevealFromURL()) {
+			return false;
+		}
+
+		const requested = new URLSearchParams(window.location.search)
+			.getAll(param)
+			.flatMap((value) => value.split(/[\s,]+/));
+		return types.every((type) => requested.includes(type));
+	}
+
+	/**
+	 * Links may only reveal warnings that reveal with a single click;
+	 * confirm and hold modes always need the reader's own decision
+	 * @returns {boolean}
+	 * @private
+	 */
+	_canRevealFromURL() {
+		return this._getRevealMode() === 'click';
+	}
+
+	/**
+	 * Focus or reveal the warning when the URL fragment points at it or into it
+	 * @private
+	 */
+	_handleHashChange() {
+		const behavior = FRAGMENT_BEHAVIORS.includes(this.fragment)
+			? this.fragment
+			: 'focus';
+		if (behavior === 'none' || this._internals.revealed) return;
+
+		let id = window.location.hash.slice(1);
+		try {
+			id = decodeURIComponent(id);
+		} catch {
+			// A bare "%" (as in "#50%-off") isn't an escape, so use it as written
+		}
+		const requestsReveal = id.endsWith(REVEAL_FRAGMENT_SUFFIX);
+		if (requestsReveal) {
+			id = id.slice(0, -REVEAL_FRAGMENT_SUFFIX.length);
+		}
+		if (!id) return;
+
+		const root = this.getRootNode();
+		const target =
+			typeof root.getElementById === 'function'
+				? root.getElementById(id)
+				: document.getElementById(id);
+		if (!target || !this.contains(target)) return;
+
+		if (
+			(requestsReveal || behavior === 'reveal') &&
+			this._canRevealFromURL()
+		) {
+			Promise.resolve(this._requestChange(true)).then((revealed) => {
+				if (revealed && target !== this) {
+					target.scrollIntoView?.();
+				}
+			});
+			return;
+		}
+
+		// Only the outermost covered warning can be reached
+		for (let node = getOwningWarning(this); node; ) {
+			if (!node.revealed) return;
+			node = getOwningWarning(node);
+		}
+		this._showLinkHint();
+		this._refs.button?.focus();
+	}
+
+	/**
+	 * Explain that the link the reader followed points behind the warning
+	 * @private
+	 */
+	_showLinkHint() {
+		if (!this._refs.overlay || this._refs.linkHint) return;
+
+		const hint = document.createElement('p');
+		hint.setAttribute('part', 'link-hint');
+		hint.className = 'link-hint';
+		hint.setAttribute('role', 'status');
+		hint.textContent = this._getStrings().linked;
+		this._refs.button.after(hint);
+		this._refs.linkHint = hint;
+	}
+
+	/**
+	 * Reveal or hide live content when a relevant preference changes
+	 * @param {CustomEvent} e - The preferences change event
+	 * @private
+	 */
+	_handlePreferenceChange(e) {
+		if (!this._getTypes().includes(e.detail.type)) return;
+
+		const preference = this._getPreference();
+		if (preference === 'show' && !this._internals.revealed) {
+			this._reveal({ automatic: true });
+		} else if (preference === 'hide' && this._internals.revealed) {
+			this._hide({ automatic: true });
+		}
+	}
+
+	/**
+	 * Focus the warning button while the content is covered, otherwise the
+	 * element itself
+	 * @param {FocusOptions} [options]
+	 */
+	focus(options) {
+		if (!this._internals.revealed && this._refs.button) {
+			this._refs.button.focus(options);
+		} else {
+			super.focus(options);
+		}
+	}
+
+	/**
+	 * Reveal the content (no-op if it is already revealed, or while a
+	 * requested change waits on a before-event listener)
+	 */
+	reveal() {
+		if (!this._internals.revealed && !this._isWaiting()) {
+			this._reveal();
+		}
+	}
+
+	/**
+	 * Cover the content with the warning again (no-op if it is not revealed,
+	 * or while a requested change waits on a before-event listener)
+	 */
+	hide() {
+		if (this._isWaiting()) return;
+
+		if (this._internals.revealed) {
+			this._hide();
+		} else if (this._internals.loading) {
+			// Abandon a reveal that is waiting on deferred media
+			this._setLoading(false);
+		}
+	}
+
+	/**
+	 * Toggle between the revealed and hidden states
+	 * @param {boolean} [force] - Reveal when true, hide when false
+	 * @returns {boolean} Whether the content is revealed afterward (false while deferred media loads)
+	 */
+	toggle(force) {
+		const reveal = force === undefined ? !this._internals.revealed : force;
+		if (reveal) {
+			this.reveal();
+		} else {
+			this.hide();
+		}
+		return this._internals.revealed;
+	}
+
+	/**
+	 * Handle click events to reveal content
+	 * @private
+	 */
+	_handleClick(e) {
+		if (this._isFromOverlaySlot(e)) return;
+
+		const mode = this._getRevealMode();
+
+		// Holding the button reveals; clicking it does nothing
+		if (mode === 'hold') return;
+
+		// Confirm mode needs a second, explicit step
+		if (mode === 'confirm') {
+			if (!this._internals.confirming) {
+				this._showConfirmation();
+				return;
+			}
+			if (!e.composedPath().includes(this._refs.confirmButton)) {
+				return;
+			}
+		}
+
+		this._requestChange(true);
+	}
+
+	/**
+	 * Check whether an event comes from author content slotted into the
+	 * overlay's description or actions, such as a support link
+	 * @param {Event} e - A click, pointer or key event
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isFromOverlaySlot(e) {
+		const path = e.composedPath();
+		return [this._refs.descriptionSlot, this._refs.actionsSlot].some(
+			(slot) => slot && path.includes(slot),
+		);
+	}
+
+	/**
+	 * Resolve the reveal mode from the attribute, defaulting to "confirm" for
+	 * high severity warnings and "click" for everything else
+	 * @returns {"click"|"hold"|"confirm"}
+	 * @private
+	 */
+	_getRevealMode() {
+		if (REVEAL_MODES.includes(this.revealMode)) {
+			return this.revealMode;
+		}
+		return this._getSeverity() === 'high' ? 'confirm' : 'click';
+	}
+
+	/**
+	 * Start or stop holding to reveal
+	 * @param {PointerEvent|KeyboardEvent} e - A pointer or key event on the overlay
+	 * @private
+	 */
+	_handleHold(e) {
+		if (this._getRevealMode() !== 'hold' || this._isFromOverlaySlot(e)) {
+			return;
+		}
+
+		switch (e.type) {
+			case 'pointerdown':
+				// Only the primary button (or a touch or pen contact)
+				if (e.button === 0) {
+					this._startHold();
+				}
+				break;
+			case 'keydown':
+				if (e.key === ' ' || e.key === 'Enter') {
+					// Don't let the key activate the button as a click
+					e.preventDefault();
+					if (!e.repeat) {
+						this._startHold();
+					}
+				}
+				break;
+			case 'keyup':
+				if (e.key === ' ' || e.key === 'Enter') {
+					e.preventDefault();
+					this._cancelHold();
+				}
+				break;
+			default:
+				// pointerup, pointerleave and pointercancel let go early
+				this._cancelHold();
+		}
+	}
+
+	/**
+	 * Start tracking a hold, revealing once it lasts the hold duration
+	 * @private
+	 */
+	_startHold() {
+		if (this._internals.holdStart !== null || this._internals.pending) {
+			return;
+		}
+		this._internals.holdStart = performance.now();
+
+		const tick = () => {
+			const elapsed = performance.now() - this._internals.holdStart;
+			const duration = this.holdDuration;
+			const progress = duration ? Math.min(elapsed / duration, 1) : 1;
+			this._setHoldProgress(progress);
+
+			if (progress < 1) {
+				this._internals.holdFrame = requestAnimationFrame(tick);
+				return;
+			}
+
+			this._internals.holdStart = null;
+			this._internals.holdFrame = null;
+			Promise.resolve(this._requestChange(true)).then((revealed) => {
+				// Start over if a listener canceled the reveal
+				if (!revealed) {
+					this._setHoldProgress(0);
+				}
+			});
+		};
+		this._internals.holdFrame = requestAnimationFrame(tick);
+	}
+
+	/**
+	 * Stop tracking a hold and reset its progress
+	 * @private
+	 */
+	_cancelHold() {
+		if (this._internals.holdFrame !== null) {
+			cancelAnimationFrame(this._internals.holdFrame);
+		}
+		this._internals.holdStart = null;
+		this._internals.holdFrame = null;
+		this._setHoldProgress(0);
+	}
+
+	/**
+	 * Expose the hold progress to CSS
+	 * @param {number} progress - From 0 to 1
+	 * @private
+	 */
+	_setHoldProgress(progress) {
+		const button = this._refs.button;
+		if (!button) return;
+
+		if (progress > 0) {
+			button.style.setProperty(
+				'--content-warning-hold-progress',
+				String(progress),
+			);
+		} else {
+			button.style.removeProperty('--content-warning-hold-progress');
+		}
+	}
+
+	/**
+	 * Resolve the severity from the attribute, or the highest severity of the registered types
+	 * @returns {"low"|"medium"|"high"|null}
+	 * @private
+	 */
+	_getSeverity() {
+		return resolveSeverity(this._getTypes(), this.severity);
+	}
+
+	/**
+	 * Reflect the severity on the overlay for styling
+	 * @private
+	 */
+	_updateSeverity() {
+		const overlay = this._refs.overlay;
+		if (!overlay) return;
+
+		const severity = this._getSeverity();
+		overlay.className = severity
+			? `overlay severity-${severity}`
+			: 'overlay';
+		overlay.setAttribute(
+			'part',
+			severity ? `overlay overlay-${severity}` : 'overlay',
+		);
+
+		if (this._getRevealMode() !== 'confirm') {
+			this._hideConfirmation();
+		}
+	}
+
+	/**
+	 * Show the "Yes, show me" step inside the overlay
+	 * @private
+	 */
+	_showConfirmation() {
+		if (!this._refs.overlay || this._internals.confirming) return;
+
+		const confirmButton = document.createElement('button');
+		confirmButton.setAttribute('part', 'confirm-button');
+		confirmButton.className = 'confirm-button';
+		confirmButton.type = 'button';
+		confirmButton.textContent = this._getStrings().confirm;
+		this._refs.button.after(confirmButton);
+		this._refs.button.setAttribute('aria-expanded', 'true');
+
+		this._refs.confirmButton = confirmButton;
+		this._internals.confirming = true;
+
+		confirmButton.focus();
+	}
+
+	/**
+	 * Remove the confirmation step
+	 * @private
+	 */
+	_hideConfirmation() {
+		if (this._refs.confirmButton) {
+			this._refs.confirmButton.remove();
+			this._refs.confirmButton = null;
+		}
+		if (this._refs.button) {
+			this._refs.button.removeAttribute('aria-expanded');
+		}
+		this._internals.confirming = false;
+	}
+
+	/**
+	 * Handle click events on the "Hide again" button
+	 * @private
+	 */
+	_handleHideClick(e) {
+		Promise.resolve(this._requestChange(false)).then((hidden) => {
+			// Return focus to the warning button that replaced the content
+			if (hidden && this._refs.button) {
+				this._refs.button.focus();
+			}
+		});
+	}
+
+	/**
+	 * Reveal the content as if the reader had clicked the warning button:
+	 * content-warning:beforereveal fires first and can cancel or delay it.
+	 * @returns {Promise<boolean>} Whether the content was revealed
+	 */
+	async requestReveal() {
+		return this._requestChange(true);
+	}
+
+	/**
+	 * Hide the content as if the reader had clicked the "Hide again" button:
+	 * content-warning:beforehide fires first and can cancel or delay it.
+	 * @returns {Promise<boolean>} Whether the content was hidden
+	 */
+	async requestHide() {
+		return this._requestChange(false);
+	}
+
+	/**
+	 * Dispatch the cancelable before-event and reveal or hide if it is allowed.
+	 * Completes synchronously unless a listener calls waitUntil().
+	 * @param {boolean} reveal - Reveal when true, hide when false
+	 * @param {Object} [options] - Passed to _reveal()
+	 * @returns {boolean|Promise<boolean>} Whether the state changed
+	 * @private
+	 */
+	_requestChange(reveal, options) {
+		if (this._internals.revealed === reveal || this._internals.pending) {
+			return false;
+		}
+
+		const apply = (allowed) => {
+			if (!allowed || this._internals.revealed === reveal) return false;
+			if (!reveal) {
+				this._hide(options);
+				return true;
+			}
+
+			// Settle once deferred media has loaded, if there is any
+			const loading = this._reveal(options);
+			return loading
+				? loading.then(() => this._internals.revealed)
+				: true;
+		};
+
+		const result = this._dispatchBeforeEvent(
+			reveal
+				? 'content-warning:beforereveal'
+				: 'content-warning:beforehide',
+		);
+		if (typeof result === 'boolean') {
+			return apply(result);
+		}
+
+		this._setPending(true);
+		return result.then((allowed) => {
+			this._setPending(false);
+			return apply(allowed);
+		});
+	}
+
+	/**
+	 * Dispatch a cancelable before-event whose listeners may defer the decision
+	 * with event.waitUntil(promise). A rejected promise, or one resolving to
+	 * false, cancels the change.
+	 * @param {string} name - The event name
+	 * @returns {boolean|Promise<boolean>} Whether the change may proceed
+	 * @private
+	 */
+	_dispatchBeforeEvent(name) {
+		const promises = [];
+		let dispatching = true;
+
+		const event = new CustomEvent(name, {
+			detail: { type: this.type },
+			bubbles: true,
+			composed: true,
+			cancelable: true,
+		});
+		event.waitUntil = (promise) => {
+			if (!dispatching) {
+				throw new DOMException(
+					'waitUntil() must be called while the event is dispatching',
+					'InvalidStateError',
+				);
+			}
+			promises.push(promise);
+		};
+
+		const allowed = this.dispatchEvent(event);
+		dispatching = false;
+
+		if (!allowed) return false;
+		if (promises.length === 0) return true;
+
+		return Promise.all(promises).then(
+			(results) => !results.includes(false),
+			() => false,
+		);
+	}
+
+	/**
+	 * Check whether a requested change is waiting on a before-event listener
+	 * (rather than on deferred media, which hide() can abandon)
+	 * @returns {boolean}
+	 * @private
+	 */
+	_isWaiting() {
+		return this._internals.pending && !this._internals.loading;
+	}
+
+	/**
+	 * Flag that a reveal or hide is waiting on a before-event listener
+	 * @param {boolean} pending - Whether a change is pending
+	 * @private
+	 */
+	_setPending(pending) {
+		this._internals.pending = pending;
+		for (const button of [
+			this._refs.button,
+			this._refs.confirmButton,
+			this._refs.hideButton,
+		]) {
+			if (!button) continue;
+			if (pending) {
+				button.setAttribute('aria-busy', 'true');
+			} else {
+				button.removeAttribute('aria-busy');
+			}
+		}
+	}
+
+	/**
+	 * Reveal the content. When there is deferred content, it is instantiated
+	 * first and the overlay shows a loading state until its media has loaded.
+	 * @param {Object} [options]
+	 * @param {boolean} [options.automatic=false] - Revealed by a preference rather than the reader:
+	 *   skips the announcement, focus and persistence
+	 * @param {boolean} [options.persist] - Remember the decision with persist
+	 *   (defaults to true unless the reveal is automatic)
+	 * @returns {Promise|undefined} Settles once deferred media has loaded, if there was any
+	 * @private
+	 */
+	_reveal(options = {}) {
+		if (this._internals.loading) return undefined;
+
+		// Before the first render there is no overlay to show a loading state on
+		const loading = this._loadDeferredContent();
+		if (loading && this._internals.isRendered) {
+			this._setLoading(true);
+			return loading.then(() => {
+				// Canceled with hide() while loading
+				if (!this._internals.loading) return;
+				this._setLoading(false);
+				this._reveal(options);
+			});
+		}
+
+		const { automatic = false, persist = !automatic } = options;
+		this._internals.revealed = true;
+		this._startRehide();
+
+		// Remove the overlay and hiding attributes, animating if asked to
+		const updated = this._transition(true, options);
+
+		// Let covered media play again
+		this._uncoverMedia();
+
+		// Announce content to screen readers
+		if (!automatic) {
+			this._announceReveal();
+		}
+
+		// Clone announcements also make the host an alert, as they always have
+		// (an author's role attribute wins)
+		if (this._elementInternals && this._getAnnounceMode() === 'clone') {
+			this._elementInternals.role = 'alert';
+		}
+
+		// Remember the decision if requested
+		if (persist) {
+			this._persistState();
+		}
+
+		// Dispatch revealed event
+		this.dispatchEvent(
+			new CustomEvent('content-warning:revealed', {
+				detail: { type: this.type },
+				bubbles: true,
+				composed: true,
+			}),
+		);
+		ContentWarningElement.#postChange(this);
+
+		// Focus the content once it is shown
+		if (!automatic) {
+			if (updated) {
+				updated.then(() => this._focusRevealed());
+			} else {
+				this._focusRevealed();
+			}
+		}
+		return undefined;
+	}
+
+	/**
+	 * Resolve the transition to animate reveals and hides with
+	 * @returns {string|null} Null for an instant change: no (valid) transition
+	 *   attribute, no View Transitions support or a reduced motion preference
+	 * @private
+	 */
+	_getTransition() {
+		const transition = this.getAttribute('transition');
+		if (
+			!TRANSITIONS.includes(transition) ||
+			typeof document.startViewTransition !== 'function' ||
+			window.matchMedia?.('(prefers-reduced-motion: reduce)').matches
+		) {
+			return null;
+		}
+		return transition;
+	}
+
+	/**
+	 * Bring the overlay, content and revealed attribute in line with the
+	 * revealed state, in a view transition when the transition attribute asks
+	 * for one. Automatic (bulk, preference and synced) changes are instant.
+	 * @param {boolean} reveal - Whether the content is being revealed (otherwise hidden)
+	 * @param {Object} [options]
+	 * @param {boolean} [options.automatic=false] - Whether the change was automatic
+	 * @returns {Promise|null} Settles once the DOM has changed, or null when it changed right away
+	 * @private
+	 */
+	_transition(reveal, { automatic = false } = {}) {
+		const transition = this._getTransition();
+		if (
+			!transition ||
+			automatic ||
+			!this._internals.isRendered ||
+			!this.isConnected
+		) {
+			this._updateRevealedView();
+			return null;
+		}
+
+		// Name the host so it is snapshotted apart from the rest of the page
+		const name = `content-warning-${++transitionCount}`;
+		const previousName = this.style.getPropertyValue(
+			'view-transition-name',
+		);
+		this.style.setProperty('view-transition-name', name);
+
+		const styles = getComputedStyle(this);
+		const timing = {
+			duration: parseTime(
+				styles.getPropertyValue('--_cw-transition-duration'),
+				300,
+			),
+			easing:
+				styles.getPropertyValue('--_cw-transition-easing').trim() ||
+				'ease',
+		};
+		const keyframes = getTransitionKeyframes(
+			transition,
+			reveal,
+			styles.getPropertyValue('--content-warning-blur-amount').trim() ||
+				'10px',
+		);
+
+		const viewTransition = document.startViewTransition(() =>
+			this._updateRevealedView(),
+		);
+		viewTransition.ready
+			.then(() => {
+				for (const snapshot of ['old', 'new']) {
+					document.documentElement.animate(keyframes[snapshot], {
+						...timing,
+						pseudoElement: `::view-transition-${snapshot}(${name})`,
+					});
+				}
+			})
+			// Rejects when the transition is skipped, e.g. by another one starting
+			.catch(() => {});
+
+		const restoreName = () => {
+			if (previousName) {
+				this.style.setProperty('view-transition-name', previousName);
+			} else {
+				this.style.removeProperty('view-transition-name');
+			}
+		};
+		viewTransition.finished.then(restoreName, restoreName);
+
+		return viewTransition.updateCallbackDone;
+	}
+
+	/**
+	 * Show or remove the overlay, content hiding, revealed attribute and
+	 * "Hide again" button to match the revealed state
+	 * @private
+	 */
+	_updateRevealedView() {
+		const revealed = this._internals.revealed;
+
+		if (revealed) {
+			this._removeOverlay();
+		} else if (this._internals.isRendered && !this._refs.overlay) {
+			this._createOverlay();
+			this._updateWarningMessage();
+		}
+
+		// Restore or remove hidden/inert or the mode's treatment
+		this._updateContentHiding();
+
+		// Mark as revealed for CSS
+		this.toggleAttribute('revealed', revealed);
+		this._updateStates();
+
+		// Offer a way back if requested
+		this._updateHideButton();
+	}
+
+	/**
+	 * Expose the revealed, blurred and inline custom states for styling
+	 * with :state(), e.g. `content-warning:state(revealed)`
+	 * @private
+	 */
+	_updateStates() {
+		const states = this._elementInternals?.states;
+		if (!states) return;
+
+		const revealed = this._internals.revealed;
+		setState(states, 'revealed', revealed);
+		setState(states, 'blurred', !revealed && this._getMode() === 'blur');
+		setState(states, 'inline', this.hasAttribute('inline'));
+	}
+
+	/**
+	 * Get the video and audio elements this warning covers
+	 * @returns {HTMLMediaElement[]}
+	 * @private
+	 */
+	_getMedia() {
+		return Array.from(this.querySelectorAll('video, audio')).filter(
+			(media) => getOwningWarning(media) === this,
+		);
+	}
+
+	/**
+	 * Pause and mute covered media and stop it autoplaying
+	 * @private
+	 */
+	_coverMedia() {
+		this._getMedia().forEach(coverMedia);
+	}
+
+	/**
+	 * Restore covered media, playing anything that autoplays (or everything with play-on-reveal)
+	 * @private
+	 */
+	_uncoverMedia() {
+		const playOnReveal = this.hasAttribute('play-on-reveal');
+
+		for (const media of this._getMedia()) {
+			const state = coveredMedia.get(media);
+			if (state) {
+				coveredMedia.delete(media);
+				media.muted = state.muted;
+				if (state.autoplay) {
+					media.setAttribute('autoplay', '');
+				}
+			}
+
+			if (playOnReveal || state?.autoplay) {
+				// Browsers may block unmuted playback; the controls still work
+				Promise.resolve(media.play()).catch(() => {});
+			}
+		}
+	}
+
+	/**
+	 * Pause media that starts playing while the content is covered
+	 * @param {Event} e - The play event
+	 * @private
+	 */
+	_handleMediaPlay(e) {
+		const media = e.target;
+		if (this._internals.revealed || getOwningWarning(media) !== this) {
+			return;
+		}
+		coverMedia(media);
+	}
+
+	/**
+	 * Cover media that is added while the content is covered
+	 * @private
+	 */
+	_handleSlotChange() {
+		if (!this._internals.revealed) {
+			this._coverMedia();
+		}
+		// The placeholder follows the content's size and any slotted stand-in
+		this._updateContentHiding();
+	}
+
+	/**
+	 * Instantiate child templates and swap in deferred media sources
+	 * @returns {Promise|null} Settles once the new media has loaded (or failed),
+	 *   or null when there was nothing deferred
+	 * @private
+	 */
+	_loadDeferredContent() {
+		const media = [];
+
+		// Skip server-rendered shadow roots the browser didn't attach (inserted
+		// with innerHTML, say): they are the element's own markup, not content
+		for (const template of this.querySelectorAll(
+			':scope > template:not([shadowrootmode]):not([shadowroot])',
+		)) {
+			const fragment = document.importNode(template.content, true);
+			media.push(
+				...fragment.querySelectorAll('img, video, audio, iframe'),
+			);
+			template.replaceWith(fragment);
+		}
+
+		for (const element of this.querySelectorAll(DEFERRED_SELECTOR)) {
+			// Nested warnings load their own content when they are revealed
+			if (getOwningWarning(element) !== this) continue;
+
+			for (const [from, to] of DEFERRED_ATTRIBUTES) {
+				if (element.hasAttribute(from)) {
+					element.setAttribute(to, element.getAttribute(from));
+					element.removeAttribute(from);
+				}
+			}
+
+			// <source> elements only take effect once their media element reloads
+			const target =
+				element.localName === 'source'
+					? element.parentElement
+					: element;
+			if (target && !media.includes(target)) {
+				media.push(target);
+				if (element !== target && typeof target.load === 'function') {
+					target.load();
+				}
+			}
+		}
+
+		if (media.length === 0) return null;
+
+		return Promise.race([
+			Promise.all(media.map((element) => whenMediaLoaded(element))),
+			new Promise((resolve) =>
+				setTimeout(resolve, DEFERRED_LOAD_TIMEOUT),
+			),
+		]);
+	}
+
+	/**
+	 * Show or clear the loading state on the overlay while deferred media loads
+	 * @param {boolean} loading - Whether deferred media is loading
+	 * @private
+	 */
+	_setLoading(loading) {
+		this._internals.loading = loading;
+		this._setPending(loading);
+		this.toggleAttribute('loading', loading);
+		if (this._elementInternals) {
+			this._elementInternals.ariaBusy = loading ? 'true' : null;
+		}
+
+		if (loading && this._refs.overlay && !this._refs.loadingStatus) {
+			const status = document.createElement('div');
+			status.setAttribute('part', 'loading');
+			status.setAttribute('role', 'status');
+			status.className = 'loading';
+			status.textContent = this._getStrings().loading;
+			this._refs.overlay.appendChild(status);
+			this._refs.loadingStatus = status;
+		} else if (!loading && this._refs.loadingStatus) {
+			this._refs.loadingStatus.remove();
+			this._refs.loadingStatus = null;
+		}
+	}
+
+	/**
+	 * Cover the content again
+	 * @param {Object} [options]
+	 * @param {boolean} [options.automatic=false] - Whether the change was automatic (e.g. a "hide" preference)
+	 * @param {boolean} [options.persist] - Forget a decision saved with persist
+	 *   (defaults to true unless the hide is automatic)
+	 * @param {boolean} [options.rehide=false] - Covered again by the rehide attribute: other tabs aren't told
+	 * @private
+	 */
+	_hide(options = {}) {
+		const { automatic = false, persist = !automatic } = options;
+		this._internals.revealed = false;
+		this._stopRehide();
+
+		// Clear the announcement so it isn't read again later
+		this._clearAnnouncement();
+
+		// Rebuild the overlay in front of the content, animating if asked to
+		this._transition(false, options);
+
+		// Silence any media that was playing
+		this._coverMedia();
+
+		if (this._elementInternals) {
+			this._elementInternals.role = null;
+		}
+
+		// Only the reader hiding it forgets the decision
+		if (persist) {
+			this._persistState();
+		}
+
+		this.dispatchEvent(
+			new CustomEvent('content-warning:hidden', {
+				detail: { type: this.type },
+				bubbles: true,
+				composed: true,
+			}),
+		);
+
+		// Rehiding is about this screen, so leave other tabs alone
+		if (!options.rehide) {
+			ContentWarningElement.#postChange(this);
+		}
+	}
+
+	/**
+	 * Watch revealed content for the rehide attribute's triggers.
+	 * Content revealed by a "show" preference stays revealed.
+	 * @private
+	 */
+	_startRehide() {
+		this._stopRehide();
+
+		const triggers = parseRehide(this.getAttribute('rehide'));
+		if (triggers.size === 0 || this._getPreference() === 'show') return;
+
+		// Each trigger covers the content once it has lasted for its delay
+		const timers = new Map();
+		const start = (trigger) => {
+			if (timers.has(trigger)) return;
+			const delay = triggers.get(trigger);
+			if (delay > 0) {
+				timers.set(
+					trigger,
+					setTimeout(() => this._rehide(), delay),
+				);
+			} else {
+				// Background tabs throttle timers, so don't wait on one
+				this._rehide();
+			}
+		};
+		const stop = (trigger) => {
+			clearTimeout(timers.get(trigger));
+			timers.delete(trigger);
+		};
+
+		if (triggers.has('timeout')) {
+			timers.set(
+				'timeout',
+				setTimeout(() => this._rehide(), triggers.get('timeout')),
+			);
+		}
+
+		let observer = null;
+		if (
+			triggers.has('offscreen') &&
+			typeof IntersectionObserver === 'function'
+		) {
+			// Only count leaving the viewport, not content revealed out of view
+			let seen = false;
+			observer = new IntersectionObserver((entries) => {
+				const { isIntersecting } = entries[entries.length - 1];
+				if (isIntersecting) {
+					seen = true;
+					stop('offscreen');
+				} else if (seen) {
+					start('offscreen');
+				}
+			});
+			observer.observe(this);
+		}
+
+		const handleVisibilityChange = () => {
+			if (document.visibilityState === 'hidden') {
+				start('visibilitychange');
+			} else {
+				stop('visibilitychange');
+			}
+		};
+		if (triggers.has('visibilitychange')) {
+			document.addEventListener(
+				'visibilitychange',
+				handleVisibilityChange,
+			);
+		}
+
+		this._internals.stopRehide = () => {
+			timers.forEach((timer) => clearTimeout(timer));
+			observer?.disconnect();
+			document.removeEventListener(
+				'visibilitychange',
+				handleVisibilityChange,
+			);
+		};
+	}
+
+	/**
+	 * Stop watching for the rehide attribute's triggers
+	 * @private
+	 */
+	_stopRehide() {
+		if (this._internals.stopRehide) {
+			this._internals.stopRehide();
+			this._internals.stopRehide = null;
+		}
+	}
+
+	/**
+	 * Cover the content again for the rehide attribute. content-warning:beforehide
+	 * still fires; if a listener cancels, the triggers are watched again.
+	 * @private
+	 */
+	_rehide() {
+		this._stopRehide();
+
+		const hadFocus =
+			document.activeElement === this ||
+			this.contains(document.activeElement);
+		Promise.resolve(
+			this._requestChange(false, { automatic: true, rehide: true }),
+		).then((hidden) => {
+			if (!hidden) {
+				if (this._internals.revealed && this.isConnected) {
+					this._startRehide();
+				}
+				return;
+			}
+
+			// Don't strand focus inside the covered content
+			if (hadFocus && this._refs.button) {
+				this._refs.button.focus();
+			}
+		});
+	}
+
+	/**
+	 * Create the overlay and button and insert them ahead of the content
+	 * @private
+	 */
+	_createOverlay() {
+		const overlay = document.createElement('div');
+		overlay.setAttribute('part', 'overlay');
+		overlay.className = 'overlay';
+
+		const button = document.createElement('button');
+		button.setAttribute('part', 'button');
+		// Explain what is hidden, followed by any type descriptions
+		button.setAttribute('aria-describedby', 'concealed-note descriptions');
+		overlay.appendChild(button);
+
+		const descriptions = document.createElement('div');
+		descriptions.setAttribute('part', 'descriptions');
+		descriptions.id = 'descriptions';
+		descriptions.className = 'descriptions';
+		descriptions.hidden = true;
+		const descriptionSlot = document.createElement('slot');
+		descriptionSlot.name = 'description';
+		descriptionSlot.addEventListener(
+			'slotchange',
+			this._handleOverlaySlotChange,
+		);
+		descriptions.appendChild(descriptionSlot);
+		overlay.appendChild(descriptions);
+
+		const actions = document.createElement('div');
+		actions.setAttribute('part', 'actions');
+		actions.className = 'actions';
+		const actionsSlot = document.createElement('slot');
+		actionsSlot.name = 'actions';
+		actions.appendChild(actionsSlot);
+		overlay.appendChild(actions);
+
+		// Only read as the button's description, never shown
+		const concealedNote = document.createElement('span');
+		concealedNote.id = 'concealed-note';
+		concealedNote.hidden = true;
+		overlay.appendChild(concealedNote);
+
+		this.shadowRoot.insertBefore(overlay, this._refs.wrapper);
+		this._addOverlayListeners(overlay);
+
+		this._refs.overlay = overlay;
+		this._refs.button = button;
+		this._refs.descriptions = descriptions;
+		this._refs.descriptionSlot = descriptionSlot;
+		this._refs.actionsSlot = actionsSlot;
+		this._refs.concealedNote = concealedNote;
+		this._refs.confirmButton = null;
+		this._internals.confirming = false;
+	}
+
+	/**
+	 * Listen for clicks and holds on the overlay
+	 * @param {HTMLElement} overlay - The overlay
+	 * @private
+	 */
+	_addOverlayListeners(overlay) {
+		overlay.addEventListener('click', this._handleClick);
+		for (const type of HOLD_EVENTS) {
+			overlay.addEventListener(type, this._handleHold);
+		}
+	}
+
+	/**
+	 * Stop listening to the overlay
+	 * @param {HTMLElement} overlay - The overlay
+	 * @private
+	 */
+	_removeOverlayListeners(overlay) {
+		overlay.removeEventListener('click', this._handleClick);
+		for (const type of HOLD_EVENTS) {
+			overlay.removeEventListener(type, this._handleHold);
+		}
+	}
+
+	/**
+	 * Remove the overlay and its listeners
+	 * @private
+	 */
+	_removeOverlay() {
+		if (this._refs.overlay) {
+			this._cancelHold();
+			this._removeOverlayListeners(this._refs.overlay);
+			this._refs.overlay.remove();
+			this._refs.overlay = null;
+			this._refs.button = null;
+			this._refs.descriptions = null;
+			this._refs.descriptionSlot = null;
+			this._refs.actionsSlot = null;
+			this._refs.concealedNote = null;
+			this._refs.confirmButton = null;
+			this._refs.loadingStatus = null;
+			this._refs.linkHint = null;
+			this._internals.confirming = false;
+		}
+	}
+
+	/**
+	 * Add or remove the "Hide again" button based on state and the hideable attribute
+	 * @private
+	 */
+	_updateHideButton() {
+		const shouldShow =
+			this._internals.isRendered &&
+			this._internals.revealed &&
+			this.hasAttribute('hideable');
+
+		if (shouldShow && !this._refs.hideButton) {
+			const hideButton = document.createElement('button');
+			hideButton.setAttribute('part', 'hide-button');
+			hideButton.className = 'hide-button';
+			hideButton.type = 'button';
+			hideButton.textContent = this.hideLabel || this._getStrings().hide;
+			hideButton.addEventListener('click', this._handleHideClick);
+			this._refs.wrapper.after(hideButton);
+			this._refs.hideButton = hideButton;
+		} else if (!shouldShow && this._refs.hideButton) {
+			this._refs.hideButton.removeEventListener(
+				'click',
+				this._handleHideClick,
+			);
+			this._refs.hideButton.remove();
+			this._refs.hideButton = null;
+		}
+	}
+
+	/**
+	 * Update the warning message in the button
+	 * @private
+	 */
+	_updateWarningMessage() {
+		if (!this._refs.button) return;
+
+		// Calculate values once
+		const strings = this._getStrings();
+		const types = this._getTypes();
+		const { prefix, suffix, list } = getLabelParts({
+			types,
+			locale: this._getLocale(),
+			prefix: this.labelPrefix,
+			suffix: this.labelSuffix,
+			revealMode: this._getRevealMode(),
+		});
 
 		// Use DocumentFragment to batch DOM operations
 		const fragment = document.createDocumentFragment();
 
+		// Slotted icons are decorative; the label names the button
+		const icon = document.createElement('span');
+		icon.setAttribute('part', 'icon');
+		icon.className = 'icon';
+		icon.setAttribute('aria-hidden', 'true');
+		const iconSlot = document.createElement('slot');
+		iconSlot.name = 'icon';
+		icon.appendChild(iconSlot);
+		fragment.appendChild(icon);
+
+		// The prefix and types are the fallback content of the warning slot
+		const warningSlot = document.createElement('slot');
+		warningSlot.name = 'warning';
+		fragment.appendChild(warningSlot);
+
 		// Add prefix
 		const prefixSpan = document.createElement('span');
 		prefixSpan.setAttribute('part', 'label-prefix');
 		prefixSpan.className = 'label-prefix';
 		prefixSpan.textContent = prefix;
-		fragment.appendChild(prefixSpan);
+		warningSlot.appendChild(prefixSpan);
 
-		// Add type
+		// Add types as a readable list
 		const typeSpan = document.createElement('span');
 		typeSpan.setAttribute('part', 'label-type');
-		typeSpan.textContent = types;
-		fragment.appendChild(typeSpan);
+		typeSpan.appendChild(createTypeList(list));
+		warningSlot.appendChild(typeSpan);
 
 		// Add suffix if present
 		if (suffix) {
@@ -368,20 +2475,176 @@ export class ContentWarningElement extends HTMLElement {
 		// Single DOM update
 		this._refs.button.textContent = '';
 		this._refs.button.appendChild(fragment);
+
+		if (this._refs.concealedNote) {
+			this._refs.concealedNote.textContent = strings.concealed;
+		}
+
+		this._updateDescriptions(types);
+		this._updateSeverity();
+	}
+
+	/**
+	 * Get the display labels of types, localized for the element
+	 * @param {string[]} types - The warning types
+	 * @returns {string[]}
+	 * @private
+	 */
+	_getTypeLabels(types) {
+		return types.map((type) => {
+			const definition = getType(type);
+			return definition ? this._localize(definition.label) : type;
+		});
+	}
+
+	/**
+	 * Show the descriptions of registered types on the overlay
+	 * @param {string[]} types - The warning types
+	 * @private
+	 */
+	_updateDescriptions(types) {
+		const container = this._refs.descriptions;
+		if (!container) return;
+
+		container.textContent = '';
+		for (const type of types) {
+			const definition = getType(type);
+			if (!definition?.description) continue;
+
+			const paragraph = document.createElement('p');
+			paragraph.setAttribute('part', 'description');
+			paragraph.textContent = this._localize(definition.description);
+			container.appendChild(paragraph);
+		}
+
+		// Slotted descriptions follow the registered ones
+		if (this._refs.descriptionSlot) {
+			container.appendChild(this._refs.descriptionSlot);
+		}
+		this._handleOverlaySlotChange();
+	}
+
+	/**
+	 * Show the descriptions container when there are registered or slotted descriptions
+	 * @private
+	 */
+	_handleOverlaySlotChange() {
+		const container = this._refs.descriptions;
+		if (!container) return;
+
+		container.hidden =
+			!container.querySelector('[part="description"]') &&
+			!this._refs.descriptionSlot?.assignedElements().length;
+	}
+
+	/**
+	 * Resolve the language of the element from its own or the nearest ancestor lang attribute
+	 * @returns {string}
+	 * @private
+	 */
+	_getLocale() {
+		return getElementLocale(this);
+	}
+
+	/**
+	 * Get the default strings for the element's locale
+	 * @returns {Object<string, string>}
+	 * @private
+	 */
+	_getStrings() {
+		return getLocaleStrings(this._getLocale());
+	}
+
+	/**
+	 * Refresh rendered strings after the element's language changes
+	 * @private
+	 */
+	_updateLocale() {
+		if (!this._internals.isRendered) return;
+
+		if (!this._internals.revealed) {
+			this._updateWarningMessage();
+		}
+		if (this._refs.hideButton && !this.hideLabel) {
+			this._refs.hideButton.textContent = this._getStrings().hide;
+		}
+		if (this._refs.linkHint) {
+			this._refs.linkHint.textContent = this._getStrings().linked;
+		}
+	}
+
+	/**
+	 * Pick the best string for the element's locale from a string or an object keyed by locale
+	 * @param {string|Object<string, string>} value - The string or localized strings
+	 * @returns {string}
+	 * @private
+	 */
+	_localize(value) {
+		return localize(value, this._getLocale());
+	}
+
+	/**
+	 * Resolve the mode from the mode attribute, falling back to the blur attribute
+	 * @returns {"hidden"|"blur"|"pixelate"|"placeholder"|"teaser"}
+	 * @private
+	 */
+	_getMode() {
+		const mode = this.getAttribute('mode');
+		if (MODES.includes(mode)) return mode;
+		return this.hasAttribute('blur') ? 'blur' : 'hidden';
 	}
 
 	/**
-	 * Update content hiding based on blur mode
+	 * Update content hiding based on revealed state and mode
 	 * @private
 	 */
 	_updateContentHiding() {
 		if (!this._refs.wrapper) return;
 
 		const wrapper = this._refs.wrapper;
-		const isBlurMode = this.hasAttribute('blur');
+		const revealed = this._internals.revealed;
+		const hasCustomPlaceholder =
+			this._refs.placeholderSlot?.assignedElements().length > 0;
+
+		// A slotted placeholder stands in for fully hidden content
+		let mode = this._getMode();
+		if (mode === 'hidden' && hasCustomPlaceholder) {
+			mode = 'placeholder';
+		}
+
+		// The stylesheet keys each treatment off data-mode
+		if (revealed) {
+			wrapper.removeAttribute('data-mode');
+		} else {
+			wrapper.dataset.mode = mode;
+		}
+		if (this._refs.overlay) {
+			this._refs.overlay.dataset.mode = mode;
+		}
+		if (!revealed && mode === 'pixelate') {
+			definePixelateFilter();
+		}
+
+		const placeholder = this._refs.placeholder;
+		if (placeholder) {
+			placeholder.hidden = revealed || mode !== 'placeholder';
+			placeholder.classList.toggle('custom', hasCustomPlaceholder);
+			const ratio = getAspectRatio(
+				this._refs.slot?.assignedElements({ flatten: true }) ?? [],
+			);
+			if (ratio) {
+				placeholder.style.setProperty('--_cw-aspect-ratio', ratio);
+			} else {
+				placeholder.style.removeProperty('--_cw-aspect-ratio');
+			}
+		}
 
 		// Batch attribute operations
-		if (isBlurMode) {
+		if (revealed) {
+			wrapper.removeAttribute('hidden');
+			wrapper.removeAttribute('inert');
+			wrapper.removeAttribute('aria-hidden');
+		} else if (VISIBLE_MODES.includes(mode)) {
 			wrapper.removeAttribute('hidden');
 			wrapper.removeAttribute('inert');
 			wrapper.setAttribute('aria-hidden', 'true');
@@ -392,78 +2655,252 @@ export class ContentWarningElement extends HTMLElement {
 		}
 	}
 
+	/**
+	 * Resolve the announcement strategy from the announce attribute
+	 * @returns {"summary"|"focus"|"clone"}
+	 * @private
+	 */
+	_getAnnounceMode() {
+		const mode = this.getAttribute('announce');
+		return ANNOUNCE_MODES.includes(mode) ? mode : 'summary';
+	}
+
+	/**
+	 * Make the live region polite, or assertive for clone announcements
+	 * @private
+	 */
+	_updateAnnouncementRegion() {
+		const announcement = this._refs.announcement;
+		if (!announcement) return;
+
+		const clone = this._getAnnounceMode() === 'clone';
+		announcement.setAttribute('role', clone ? 'alert' : 'status');
+		announcement.setAttribute('aria-live', clone ? 'assertive' : 'polite');
+	}
+
 	/**
 	 * Announce revealed content to screen readers
 	 * @private
 	 */
 	_announceReveal() {
-		if (!this._refs.announcement || !this._refs.slot) return;
+		const announcement = this._refs.announcement;
+		if (!announcement) return;
 
-		// Clone slotted content into announcement region
-		const slottedElements = this._refs.slot.assignedElements({
-			flatten: true,
-		});
+		const mode = this._getAnnounceMode();
 
-		if (slottedElements.length === 0) return;
+		// Moving focus announces the content itself
+		if (mode === 'focus') return;
 
-		// Use DocumentFragment for efficient batch cloning
-		const fragment = document.createDocumentFragment();
-		for (let i = 0; i < slottedElements.length; i++) {
-			fragment.appendChild(slottedElements[i].cloneNode(true));
-		}
+		if (mode === 'summary') {
+			const strings = this._getStrings();
+			const types = this._getTypes();
+			const summary = types.length
+				? `${strings.revealed}: ${formatListParts(
+						this._getLocale(),
+						this._getTypeLabels(types),
+					)
+						.map((part) => part.value)
+						.join('')}`
+				: strings.revealed;
+			announcement.textContent = summary;
+		} else {
+			if (!this._refs.slot) return;
 
-		// Single DOM update
-		this._refs.announcement.textContent = '';
-		this._refs.announcement.appendChild(fragment);
+			// Clone slotted content into announcement region
+			const slottedElements = this._refs.slot.assignedElements({
+				flatten: true,
+			});
+			if (slottedElements.length === 0) return;
+
+			// Use DocumentFragment for efficient batch cloning
+			const fragment = document.createDocumentFragment();
+			for (let i = 0; i < slottedElements.length; i++) {
+				fragment.appendChild(slottedElements[i].cloneNode(true));
+			}
 
-		// Note: No cleanup timer - content remains for screen reader users
-		// who may navigate to it later
+			// The copy is only there to be read: no duplicate IDs or extra tab stops
+			for (const element of fragment.querySelectorAll('[id]')) {
+				element.removeAttribute('id');
+			}
+			for (const element of fragment.querySelectorAll(
+				FOCUSABLE_SELECTOR,
+			)) {
+				element.setAttribute('tabindex', '-1');
+			}
+
+			// Single DOM update
+			announcement.textContent = '';
+			announcement.appendChild(fragment);
+		}
+
+		// Empty the region once it has been read
+		clearTimeout(this._internals.announcementTimer);
+		this._internals.announcementTimer = setTimeout(
+			() => this._clearAnnouncement(),
+			ANNOUNCEMENT_TIMEOUT,
+		);
 	}
 
-	render() {
-		// Cache attribute values
-		const prefix = this.labelPrefix || 'Content Warning';
-		const types = this.type || 'content';
-		const suffix = this.labelSuffix;
-		const showSuffix = suffix !== 'false';
-		const suffixText = suffix || 'Click to reveal';
+	/**
+	 * Empty the live region
+	 * @private
+	 */
+	_clearAnnouncement() {
+		clearTimeout(this._internals.announcementTimer);
+		this._internals.announcementTimer = null;
+		if (this._refs.announcement) {
+			this._refs.announcement.textContent = '';
+		}
+	}
 
-		// Use cached style element
-		const styleEl = ContentWarningElement.#getStyleElement();
+	/**
+	 * Move focus to the revealed content: the first slotted element in
+	 * "focus" announce mode, otherwise the host
+	 * @private
+	 */
+	_focusRevealed() {
+		const target =
+			this._getAnnounceMode() === 'focus'
+				? this._refs.slot?.assignedElements({ flatten: true })[0]
+				: null;
+		if (!target) {
+			this.focus();
+			return;
+		}
 
-		// Build button label HTML in one go
-		const buttonLabel = `<span class="label-prefix" part="label-prefix">${prefix}</span><span part="label-type">${types}</span>${showSuffix ? `<span part="label-suffix">${suffixText}</span>` : ''}`;
+		// Make the element focusable just this once
+		if (!target.matches(FOCUSABLE_SELECTOR)) {
+			target.setAttribute('tabindex', '-1');
+			target.addEventListener(
+				'blur',
+				() => target.removeAttribute('tabindex'),
+				{ once: true },
+			);
+		}
+		target.focus();
+	}
 
-		// Build shadow DOM structure
+	/**
+	 * Adopt a server-rendered (declarative) shadow root instead of rebuilding it
+	 * @returns {boolean} Whether there was a shadow root to hydrate
+	 * @private
+	 */
+	_hydrate() {
 		const shadowRoot = this.shadowRoot;
-		shadowRoot.innerHTML = `
-		<div part="overlay" class="overlay">
-			<button part="button">${buttonLabel}</button>
-		</div>
-		<div class="content-wrapper">
-			<slot></slot>
-		</div>
-		<div role="alert" aria-live="assertive" class="sr-announcement"></div>
-	`;
-
-		// Prepend style element
-		shadowRoot.prepend(styleEl);
-
-		// Cache DOM references in one pass
-		this._refs.overlay = shadowRoot.querySelector('.overlay');
-		this._refs.button = shadowRoot.querySelector('button');
-		this._refs.wrapper = shadowRoot.querySelector('.content-wrapper');
+		const wrapper = shadowRoot.querySelector('.content-wrapper');
+		if (!wrapper) return false;
+
+		// Cache DOM references
+		const overlay = shadowRoot.querySelector('.overlay');
+		this._refs.overlay = overlay;
+		this._refs.button = overlay?.querySelector('[part="button"]') ?? null;
+		this._refs.descriptions =
+			overlay?.querySelector('.descriptions') ?? null;
+		this._refs.descriptionSlot =
+			overlay?.querySelector('slot[name="description"]') ?? null;
+		this._refs.descriptionSlot?.addEventListener(
+			'slotchange',
+			this._handleOverlaySlotChange,
+		);
+		this._refs.actionsSlot =
+			overlay?.querySelector('slot[name="actions"]') ?? null;
+		this._refs.concealedNote =
+			overlay?.querySelector('#concealed-note') ?? null;
+		this._refs.confirmButton = null;
+		this._refs.wrapper = wrapper;
 		this._refs.announcement = shadowRoot.querySelector('.sr-announcement');
-		this._refs.slot = shadowRoot.querySelector('slot');
+		this._updateAnnouncementRegion();
+		this._refs.slot = wrapper.querySelector('slot');
+		this._refs.slot?.addEventListener('slotchange', this._handleSlotChange);
+		this._refs.placeholder =
+			shadowRoot.querySelector('.placeholder') ??
+			shadowRoot.insertBefore(createPlaceholder(), wrapper);
+		this._refs.placeholderSlot =
+			this._refs.placeholder.querySelector('slot');
+		this._refs.placeholderSlot?.addEventListener(
+			'slotchange',
+			this._handleSlotChange,
+		);
+		this._refs.hideButton = null;
 
-		// Add event listener
-		if (this._refs.overlay) {
-			this._refs.overlay.addEventListener('click', this._handleClick);
+		this._internals.isRendered = true;
+
+		if (this._internals.revealed) {
+			// Revealed since the server rendered (e.g. a saved decision)
+			this._removeOverlay();
+			this._updateHideButton();
+		} else if (overlay && this._refs.button) {
+			this._addOverlayListeners(overlay);
+			// Refresh labels in case attributes or locale differ from the server
+			this._updateWarningMessage();
+		} else {
+			this._createOverlay();
+			this._updateWarningMessage();
 		}
 
-		// Apply initial content hiding
 		this._updateContentHiding();
 
+		// Respond to a link into the content that loaded the page
+		this._handleHashChange();
+		return true;
+	}
+
+	render() {
+		// Use cached style element
+		const styleEl = ContentWarningElement.#getStyleElement();
+
+		// Build the shadow DOM with DOM APIs rather than innerHTML so attribute
+		// values are never parsed as markup and no Trusted Types policy is needed
+		const wrapper = document.createElement('div');
+		wrapper.className = 'content-wrapper';
+		const slot = document.createElement('slot');
+		slot.addEventListener('slotchange', this._handleSlotChange);
+		wrapper.appendChild(slot);
+
+		const placeholder = createPlaceholder();
+		const placeholderSlot = placeholder.querySelector('slot');
+		placeholderSlot.addEventListener('slotchange', this._handleSlotChange);
+
+		const announcement = document.createElement('div');
+		announcement.className = 'sr-announcement';
+
+		// Single DOM update
+		this.shadowRoot.replaceChildren(
+			styleEl,
+			placeholder,
+			wrapper,
+			announcement,
+		);
+
+		// Cache DOM references
+		this._refs.overlay = null;
+		this._refs.button = null;
+		this._refs.descriptions = null;
+		this._refs.descriptionSlot = null;
+		this._refs.actionsSlot = null;
+		this._refs.concealedNote = null;
+		this._refs.wrapper = wrapper;
+		this._refs.announcement = announcement;
+		this._refs.slot = slot;
+		this._refs.placeholder = placeholder;
+		this._refs.placeholderSlot = placeholderSlot;
+		this._updateAnnouncementRegion();
+		this._refs.hideButton = null;
+
 		this._internals.isRendered = true;
+
+		if (this._internals.revealed) {
+			// Revealed before the first render (e.g. via the revealed attribute)
+			this._updateHideButton();
+		} else {
+			this._createOverlay();
+			this._updateWarningMessage();
+
+			// Apply initial content hiding
+			this._updateContentHiding();
+
+			// Respond to a link into the content that loaded the page
+			this._handleHashChange();
+		}
 	}
 }
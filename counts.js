@@ -0,0 +1,24 @@
+/**
+ * Counts of content warnings, shared by the group and summary elements.
+ */
+
+/**
+ * Count content warnings, in total, revealed and by type
+ * @param {Iterable<ContentWarningElement>} warnings - The warnings to count
+ * @returns {{total: number, revealed: number, types: Object<string, number>}}
+ */
+export function countWarnings(warnings) {
+	const counts = { total: 0, revealed: 0, types: {} };
+
+	for (const warning of warnings) {
+		counts.total++;
+		if (warning.revealed) {
+			counts.revealed++;
+		}
+		for (const type of warning.types) {
+			counts.types[type] = (counts.types[type] || 0) + 1;
+		}
+	}
+
+	return counts;
+}
@@ -1,6 +1,8 @@
 import { ContentWarningElement } from './content-warning.js';
+import { ContentWarningGroupElement } from './content-warning-group.js';
+import { ContentWarningSummaryElement } from './content-warning-summary.js';
 
-export function defineComponentName(tagName = 'content-warning') {
+function defineElement(tagName, constructor) {
 	const hasWindow = typeof window !== 'undefined';
 	const registry = hasWindow ? window.customElements : undefined;
 
@@ -9,10 +11,26 @@ export function defineComponentName(tagName = 'content-warning') {
 	}
 
 	if (!registry.get(tagName)) {
-		registry.define(tagName, ContentWarningElement);
+		registry.define(tagName, constructor);
 	}
 
 	return true;
 }
 
+export function defineComponentName(tagName = 'content-warning') {
+	return defineElement(tagName, ContentWarningElement);
+}
+
+export function defineGroupComponentName(tagName = 'content-warning-group') {
+	return defineElement(tagName, ContentWarningGroupElement);
+}
+
+export function defineSummaryComponentName(
+	tagName = 'content-warning-summary',
+) {
+	return defineElement(tagName, ContentWarningSummaryElement);
+}
+
 defineComponentName();
+defineGroupComponentName();
+defineSummaryComponentName();
@@ -1 +1,3 @@
 export { ContentWarningElement } from './content-warning.js';
+export { ContentWarningGroupElement } from './content-warning-group.js';
+export { ContentWarningSummaryElement } from './content-warning-summary.js';
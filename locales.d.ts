@@ -0,0 +1,79 @@
+/**
+ * Default strings for a locale
+ */
+export interface ContentWarningLocaleStrings {
+	/** The label prefix ("Content Warning") */
+	prefix: string;
+	/** The label suffix ("Click to reveal") */
+	suffix: string;
+	/** The label suffix in "hold" reveal mode ("Press and hold to reveal") */
+	holdSuffix: string;
+	/** The type shown when none is set ("content") */
+	content: string;
+	/** Describes the warning button, explaining that the content is hidden */
+	concealed: string;
+	/** The "Hide again" button */
+	hide: string;
+	/** Announced to screen readers on reveal, followed by the types ("Content revealed: violence") */
+	revealed: string;
+	/** The group "Reveal all" button */
+	revealAll: string;
+	/** The group "Hide all" button */
+	hideAll: string;
+	/** The "Yes, show me" button that confirms revealing high severity content */
+	confirm: string;
+	/** The status shown while deferred media loads after a reveal */
+	loading: string;
+	/** Shown when a followed link points at content behind the warning */
+	linked: string;
+	/** The heading of the warnings index ("Content warnings on this page") */
+	summary: string;
+	/** Describes the warnings index keyboard shortcuts */
+	summaryShortcuts: string;
+}
+
+/**
+ * Register (or extend) the strings for a locale
+ */
+export function registerLocale(
+	locale: string,
+	strings: Partial<ContentWarningLocaleStrings>,
+): void;
+
+/**
+ * Pick the best string for a locale from a string or an object keyed by locale
+ */
+export function localize(
+	value: string | Record<string, string>,
+	locale: string,
+): string;
+
+/**
+ * Get the strings for a locale, falling back to the base language, then English
+ */
+export function getLocaleStrings(
+	locale: string | null | undefined,
+): ContentWarningLocaleStrings;
+
+/**
+ * Split a list into parts using Intl.ListFormat
+ */
+export function formatListParts(
+	locale: string,
+	items: string[],
+): Array<{ type: 'element' | 'literal'; value: string }>;
+
+/**
+ * Resolve an element's language from its own or the nearest ancestor lang attribute
+ */
+export function getElementLocale(element: Element): string;
+
+/**
+ * Call back whenever a lang attribute changes anywhere in the document
+ */
+export function watchLanguage(element: Element, callback: () => void): void;
+
+/**
+ * Stop calling back for an element
+ */
+export function unwatchLanguage(element: Element): void;
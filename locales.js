@@ -0,0 +1,315 @@
+/**
+ * Locale bundles for the strings content warnings render.
+ *
+ * Each bundle may define any of these keys; missing keys fall back to English:
+ * - prefix: The label prefix ("Content Warning")
+ * - suffix: The label suffix ("Click to reveal")
+ * - holdSuffix: The label suffix in "hold" reveal mode ("Press and hold to reveal")
+ * - content: The type shown when none is set ("content")
+ * - concealed: Describes the warning button, explaining that the content is hidden
+ * - hide: The "Hide again" button
+ * - revealed: Announced to screen readers on reveal, followed by the types ("Content revealed: violence")
+ * - revealAll: The group "Reveal all" button
+ * - hideAll: The group "Hide all" button
+ * - confirm: The "Yes, show me" button that confirms revealing high severity content
+ * - loading: The status shown while deferred media loads after a reveal
+ * - linked: Shown when a followed link points at content behind the warning
+ * - summary: The heading of the warnings index ("Content warnings on this page")
+ * - summaryShortcuts: Describes the warnings index keyboard shortcuts
+ */
+
+const bundles = new Map([
+	[
+		'en',
+		{
+			prefix: 'Content Warning',
+			suffix: 'Click to reveal',
+			holdSuffix: 'Press and hold to reveal',
+			content: 'content',
+			concealed:
+				'The content behind this warning is hidden until you reveal it.',
+			hide: 'Hide again',
+			revealed: 'Content revealed',
+			revealAll: 'Reveal all',
+			hideAll: 'Hide all',
+			confirm: 'Yes, show me',
+			loading: 'Loading…',
+			linked: 'The link you followed points to content behind this warning.',
+			summary: 'Content warnings on this page',
+			summaryShortcuts:
+				'Alt+Shift+N moves to the next warning, Alt+Shift+P to the previous one and Alt+Shift+S past the one you are in.',
+		},
+	],
+	[
+		'es',
+		{
+			prefix: 'Advertencia de contenido',
+			suffix: 'Haz clic para revelar',
+			holdSuffix: 'Mantén pulsado para revelar',
+			content: 'contenido',
+			concealed:
+				'El contenido tras esta advertencia está oculto hasta que lo reveles.',
+			hide: 'Ocultar de nuevo',
+			revealed: 'Contenido revelado',
+			revealAll: 'Mostrar todo',
+			hideAll: 'Ocultar todo',
+			confirm: 'Sí, mostrar',
+			loading: 'Cargando…',
+			linked: 'El enlace que seguiste lleva a contenido tras esta advertencia.',
+			summary: 'Advertencias de contenido en esta página',
+			summaryShortcuts:
+				'Alt+Mayús+N lleva a la siguiente advertencia, Alt+Mayús+P a la anterior y Alt+Mayús+S salta la advertencia en la que estás.',
+		},
+	],
+	[
+		'fr',
+		{
+			prefix: 'Avertissement',
+			suffix: 'Cliquez pour révéler',
+			holdSuffix: 'Maintenez appuyé pour révéler',
+			content: 'contenu',
+			concealed:
+				'Le contenu derrière cet avertissement reste masqué jusqu’à ce que vous le révéliez.',
+			hide: 'Masquer à nouveau',
+			revealed: 'Contenu révélé',
+			revealAll: 'Tout afficher',
+			hideAll: 'Tout masquer',
+			confirm: 'Oui, afficher',
+			loading: 'Chargement…',
+			linked: 'Le lien que vous avez suivi mène à un contenu derrière cet avertissement.',
+			summary: 'Avertissements sur cette page',
+			summaryShortcuts:
+				'Alt+Maj+N mène à l’avertissement suivant, Alt+Maj+P au précédent et Alt+Maj+S après celui où vous êtes.',
+		},
+	],
+	[
+		'de',
+		{
+			prefix: 'Inhaltswarnung',
+			suffix: 'Zum Anzeigen klicken',
+			holdSuffix: 'Zum Anzeigen gedrückt halten',
+			content: 'Inhalt',
+			concealed:
+				'Der Inhalt hinter dieser Warnung bleibt verborgen, bis Sie ihn anzeigen.',
+			hide: 'Wieder ausblenden',
+			revealed: 'Inhalt angezeigt',
+			revealAll: 'Alle anzeigen',
+			hideAll: 'Alle ausblenden',
+			confirm: 'Ja, anzeigen',
+			loading: 'Wird geladen…',
+			linked: 'Der Link, dem Sie gefolgt sind, führt zu Inhalten hinter dieser Warnung.',
+			summary: 'Inhaltswarnungen auf dieser Seite',
+			summaryShortcuts:
+				'Alt+Umschalt+N springt zur nächsten Warnung, Alt+Umschalt+P zur vorherigen und Alt+Umschalt+S hinter die aktuelle.',
+		},
+	],
+	[
+		'it',
+		{
+			prefix: 'Avviso sui contenuti',
+			suffix: 'Fai clic per mostrare',
+			holdSuffix: 'Tieni premuto per mostrare',
+			content: 'contenuto',
+			concealed:
+				'Il contenuto dietro questo avviso resta nascosto finché non lo mostri.',
+			hide: 'Nascondi di nuovo',
+			revealed: 'Contenuto mostrato',
+			revealAll: 'Mostra tutto',
+			hideAll: 'Nascondi tutto',
+			confirm: 'Sì, mostra',
+			loading: 'Caricamento…',
+			linked: 'Il link che hai seguito porta a contenuti dietro questo avviso.',
+			summary: 'Avvisi sui contenuti in questa pagina',
+			summaryShortcuts:
+				'Alt+Maiusc+N porta all’avviso successivo, Alt+Maiusc+P al precedente e Alt+Maiusc+S oltre quello in cui ti trovi.',
+		},
+	],
+	[
+		'pt',
+		{
+			prefix: 'Aviso de conteúdo',
+			suffix: 'Clique para revelar',
+			holdSuffix: 'Mantenha pressionado para revelar',
+			content: 'conteúdo',
+			concealed:
+				'O conteúdo por trás deste aviso fica oculto até que você o revele.',
+			hide: 'Ocultar novamente',
+			revealed: 'Conteúdo revelado',
+			revealAll: 'Mostrar tudo',
+			hideAll: 'Ocultar tudo',
+			confirm: 'Sim, mostrar',
+			loading: 'Carregando…',
+			linked: 'O link que você seguiu leva a um conteúdo por trás deste aviso.',
+			summary: 'Avisos de conteúdo nesta página',
+			summaryShortcuts:
+				'Alt+Shift+N leva ao próximo aviso, Alt+Shift+P ao anterior e Alt+Shift+S para depois do aviso em que você está.',
+		},
+	],
+	[
+		'nl',
+		{
+			prefix: 'Inhoudswaarschuwing',
+			suffix: 'Klik om te tonen',
+			holdSuffix: 'Ingedrukt houden om te tonen',
+			content: 'inhoud',
+			concealed:
+				'De inhoud achter deze waarschuwing blijft verborgen tot je hem toont.',
+			hide: 'Weer verbergen',
+			revealed: 'Inhoud getoond',
+			revealAll: 'Alles tonen',
+			hideAll: 'Alles verbergen',
+			confirm: 'Ja, tonen',
+			loading: 'Laden…',
+			linked: 'De link die je volgde verwijst naar inhoud achter deze waarschuwing.',
+			summary: 'Inhoudswaarschuwingen op deze pagina',
+			summaryShortcuts:
+				'Alt+Shift+N gaat naar de volgende waarschuwing, Alt+Shift+P naar de vorige en Alt+Shift+S voorbij de waarschuwing waarin je bent.',
+		},
+	],
+	[
+		'ja',
+		{
+			prefix: 'コンテンツに関する警告',
+			suffix: 'クリックして表示',
+			holdSuffix: '長押しして表示',
+			content: 'コンテンツ',
+			concealed:
+				'この警告の下のコンテンツは、表示するまで隠されています。',
+			hide: 'もう一度隠す',
+			revealed: 'コンテンツを表示しました',
+			revealAll: 'すべて表示',
+			hideAll: 'すべて隠す',
+			confirm: 'はい、表示する',
+			loading: '読み込み中…',
+			linked: 'たどったリンクは、この警告の下のコンテンツを指しています。',
+			summary: 'このページのコンテンツに関する警告',
+			summaryShortcuts:
+				'Alt+Shift+N で次の警告へ、Alt+Shift+P で前の警告へ、Alt+Shift+S で現在の警告の後へ移動します。',
+		},
+	],
+]);
+
+/**
+ * Register (or extend) the strings for a locale
+ * @param {string} locale - A BCP 47 language tag (e.g. "sv" or "pt-BR")
+ * @param {Object<string, string>} strings - The strings to add or override
+ */
+export function registerLocale(locale, strings) {
+	const key = locale.toLowerCase();
+	bundles.set(key, { ...bundles.get(key), ...strings });
+}
+
+/**
+ * Get the strings for a locale, falling back to the base language, then English
+ * @param {string} locale - A BCP 47 language tag
+ * @returns {Object<string, string>}
+ */
+export function getLocaleStrings(locale) {
+	const key = (locale || 'en').toLowerCase();
+	const language = key.split('-')[0];
+	return {
+		...bundles.get('en'),
+		...bundles.get(language),
+		...bundles.get(key),
+	};
+}
+
+/**
+ * Pick the best string for a locale from a string or an object keyed by locale,
+ * falling back to the base language, then English, then the first value
+ * @param {string|Object<string, string>} value - The string or localized strings
+ * @param {string} locale - A BCP 47 language tag
+ * @returns {string}
+ */
+export function localize(value, locale) {
+	if (typeof value === 'string') return value;
+
+	const language = locale.split('-')[0];
+	return (
+		value[locale] ??
+		value[language] ??
+		value.en ??
+		Object.values(value)[0] ??
+		''
+	);
+}
+
+/**
+ * Split a list into parts using Intl.ListFormat, e.g. "a, b and c".
+ * Falls back to English-style joining where Intl.ListFormat is unavailable.
+ * @param {string} locale - A BCP 47 language tag
+ * @param {string[]} items - The list items
+ * @returns {Array<{type: "element"|"literal", value: string}>}
+ */
+export function formatListParts(locale, items) {
+	if (typeof Intl !== 'undefined' && Intl.ListFormat) {
+		try {
+			return new Intl.ListFormat(locale, {
+				style: 'long',
+				type: 'conjunction',
+			}).formatToParts(items);
+		} catch {
+			// Invalid locale; use the fallback
+		}
+	}
+
+	const parts = [];
+	items.forEach((item, index) => {
+		if (index > 0) {
+			parts.push({
+				type: 'literal',
+				value: index === items.length - 1 ? ' and ' : ', ',
+			});
+		}
+		parts.push({ type: 'element', value: item });
+	});
+	return parts;
+}
+
+/**
+ * Resolve an element's language from its own or the nearest ancestor lang attribute
+ * @param {Element} element - The element
+ * @returns {string}
+ */
+export function getElementLocale(element) {
+	const source = element.closest('[lang]');
+	return (source && source.getAttribute('lang')) || 'en';
+}
+
+// Elements waiting on lang changes, with the callback to run for each
+const watchers = new Map();
+let languageObserver = null;
+
+/**
+ * Call back whenever a lang attribute changes anywhere in the document.
+ * One observer is shared by every watcher.
+ * @param {Element} element - The element to watch for
+ * @param {Function} callback - Called when a lang attribute changes
+ */
+export function watchLanguage(element, callback) {
+	watchers.set(element, callback);
+
+	if (!languageObserver && typeof MutationObserver !== 'undefined') {
+		languageObserver = new MutationObserver(() => {
+			watchers.forEach((watcher) => watcher());
+		});
+		languageObserver.observe(document.documentElement, {
+			attributes: true,
+			attributeFilter: ['lang'],
+			subtree: true,
+		});
+	}
+}
+
+/**
+ * Stop calling back for an element
+ * @param {Element} element - The element to stop watching for
+ */
+export function unwatchLanguage(element) {
+	watchers.delete(element);
+
+	if (watchers.size === 0 && languageObserver) {
+		languageObserver.disconnect();
+		languageObserver = null;
+	}
+}
@@ -0,0 +1,10 @@
+import type { ContentWarningMarkdownOptions } from './markdown.js';
+
+/**
+ * markdown-it plugin: render `:::cw` containers and `||inline||` spoilers as
+ * <content-warning> elements
+ */
+export function markdownItContentWarning(
+	md: any,
+	options?: ContentWarningMarkdownOptions,
+): void;
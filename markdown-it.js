@@ -0,0 +1,236 @@
+/**
+ * markdown-it plugin for <content-warning>: `:::cw violence spoilers`
+ * containers and `||inline||` spoilers, using the same syntax and attribute
+ * vocabulary as the remark and rehype plugins in markdown.js.
+ *
+ * Safe to run in Node, and doesn't depend on markdown-it itself.
+ */
+import {
+	resolveOptions,
+	parseWarningInfo,
+	getInlineAttributes,
+	matchOpeningFence,
+	isClosingFence,
+} from './markdown.js';
+import { serializeAttributes } from './ssr.js';
+
+const DELIMITER = '||';
+
+// Opens or closes a fenced code block
+const CODE_FENCE = /^(?:`{3,}|~{3,})/;
+
+/**
+ * Block rule for `:::cw` containers, which nest and run to the end of their
+ * parent when left open
+ * @param {Object} options - Resolved plugin options
+ * @returns {Function} A markdown-it block rule
+ */
+function createContainerRule(options) {
+	return (state, startLine, endLine, silent) => {
+		// Four spaces of indent make a code block
+		if (state.sCount[startLine] - state.blkIndent >= 4) return false;
+
+		const getLine = (line) =>
+			state.src.slice(
+				state.bMarks[line] + state.tShift[line],
+				state.eMarks[line],
+			);
+		const info = matchOpeningFence(getLine(startLine), options.name);
+		if (info === null) return false;
+		if (silent) return true;
+
+		let nextLine = startLine;
+		let depth = 0;
+		let isClosed = false;
+		// The fence of a code block the scan is in, whose lines aren't fences
+		let codeFence = null;
+		while (++nextLine < endLine) {
+			const text = getLine(nextLine);
+			// Less indent than the container ends it (in a list item, say)
+			if (text && state.sCount[nextLine] < state.blkIndent) break;
+			if (state.sCount[nextLine] - state.blkIndent >= 4) continue;
+
+			const [fence] = CODE_FENCE.exec(text) || [];
+			if (codeFence) {
+				if (
+					fence &&
+					fence[0] === codeFence[0] &&
+					fence.length >= codeFence.length &&
+					!text.slice(fence.length).trim()
+				) {
+					codeFence = null;
+				}
+				continue;
+			}
+			if (
+				fence &&
+				!(fence[0] === '`' && text.includes('`', fence.length))
+			) {
+				codeFence = fence;
+				continue;
+			}
+
+			if (matchOpeningFence(text, options.name) !== null) {
+				depth++;
+			} else if (isClosingFence(text)) {
+				if (depth === 0) {
+					isClosed = true;
+					break;
+				}
+				depth--;
+			}
+		}
+
+		const parentType = state.parentType;
+		const lineMax = state.lineMax;
+		state.parentType = 'content_warning';
+		state.lineMax = nextLine;
+
+		const open = state.push('content_warning_open', options.tagName, 1);
+		open.block = true;
+		open.markup = ':::';
+		open.info = info;
+		open.map = [startLine, nextLine];
+		open.meta = { attributes: parseWarningInfo(info, options) };
+
+		state.md.block.tokenize(state, startLine + 1, nextLine);
+
+		const close = state.push('content_warning_close', options.tagName, -1);
+		close.block = true;
+		close.markup = ':::';
+
+		state.parentType = parentType;
+		state.lineMax = lineMax;
+		state.line = nextLine + (isClosed ? 1 : 0);
+		return true;
+	};
+}
+
+/**
+ * Wrap `||inline||` runs in an inline token's children. A run can span
+ * emphasis and links but not start inside one and end outside it; an
+ * unpaired delimiter stays text.
+ * @param {Object[]} children - Inline tokens
+ * @param {Function} Token - markdown-it's Token class
+ * @param {Object} options - Resolved plugin options
+ * @returns {Object[]}
+ */
+function wrapSpoilers(children, Token, options) {
+	const createText = (content) => {
+		const token = new Token('text', '', 0);
+		token.content = content;
+		return token;
+	};
+
+	const result = [];
+	let open = -1;
+	let openLevel = 0;
+	let level = 0;
+	for (const token of children) {
+		level += Math.min(token.nesting, 0);
+		if (open !== -1 && level < openLevel) {
+			result[open] = createText(DELIMITER);
+			open = -1;
+		}
+
+		if (token.type !== 'text' || !token.content.includes(DELIMITER)) {
+			result.push(token);
+			level += Math.max(token.nesting, 0);
+			continue;
+		}
+
+		token.content.split(DELIMITER).forEach((content, index) => {
+			if (index > 0) {
+				if (
+					open === -1 ||
+					openLevel !== level ||
+					open === result.length - 1
+				) {
+					// Open a run (an empty one, "||||", is restarted)
+					if (open !== -1) {
+						result[open] = createText(DELIMITER);
+					}
+					open = result.length;
+					openLevel = level;
+					result.push(null);
+				} else {
+					const inner = result.splice(open + 1);
+					const start = new Token(
+						'content_warning_inline_open',
+						options.tagName,
+						1,
+					);
+					start.markup = DELIMITER;
+					start.meta = { attributes: getInlineAttributes(options) };
+					const end = new Token(
+						'content_warning_inline_close',
+						options.tagName,
+						-1,
+					);
+					end.markup = DELIMITER;
+					result.splice(open, 1, start, ...inner, end);
+					open = -1;
+				}
+			}
+			if (content) result.push(createText(content));
+		});
+	}
+	if (open !== -1) {
+		result[open] = createText(DELIMITER);
+	}
+
+	// Rejoin text split around unpaired delimiters
+	const tokens = [];
+	for (const token of result) {
+		const last = tokens[tokens.length - 1];
+		if (token.type === 'text' && last && last.type === 'text') {
+			tokens[tokens.length - 1] = createText(
+				last.content + token.content,
+			);
+		} else {
+			tokens.push(token);
+		}
+	}
+	return tokens;
+}
+
+/**
+ * markdown-it plugin: render `:::cw` containers and `||inline||` spoilers as
+ * <content-warning> elements
+ * @param {Object} md - The markdown-it instance
+ * @param {Object} [options] - See resolveOptions() in markdown.js
+ */
+export function markdownItContentWarning(md, options) {
+	const resolved = resolveOptions(options);
+
+	md.block.ruler.before(
+		'fence',
+		'content_warning',
+		createContainerRule(resolved),
+		{
+			alt: ['paragraph', 'reference', 'blockquote', 'list'],
+		},
+	);
+
+	md.core.ruler.after('inline', 'content_warning_inline', (state) => {
+		for (const token of state.tokens) {
+			if (token.type === 'inline' && token.children) {
+				token.children = wrapSpoilers(
+					token.children,
+					state.Token,
+					resolved,
+				);
+			}
+		}
+	});
+
+	const renderOpen = (tokens, index) =>
+		`<${tokens[index].tag}${serializeAttributes(tokens[index].meta.attributes)}>`;
+	md.renderer.rules.content_warning_open = (tokens, index) =>
+		`${renderOpen(tokens, index)}\n`;
+	md.renderer.rules.content_warning_close = (tokens, index) =>
+		`</${tokens[index].tag}>\n`;
+	md.renderer.rules.content_warning_inline_open = renderOpen;
+	md.renderer.rules.content_warning_inline_close = (tokens, index) =>
+		`</${tokens[index].tag}>`;
+}
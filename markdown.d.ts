@@ -0,0 +1,78 @@
+/**
+ * Options for the Markdown plugins
+ */
+export interface ContentWarningMarkdownOptions {
+	/** The container name, as in `:::cw` (default: "cw") */
+	name?: string;
+	/** The tag name the element is defined as (default: "content-warning") */
+	tagName?: string;
+	/** Add the `hidden` attribute to keep content out of Reader Mode (default: true) */
+	hidden?: boolean;
+	/** The type of `||inline||` warnings, or null for none (default: "spoilers") */
+	inlineType?: string | null;
+}
+
+/**
+ * Attributes by attribute name; `true` is a boolean attribute
+ */
+export type ContentWarningMarkdownAttributes = Record<string, string | true>;
+
+/**
+ * Boolean attributes of <content-warning> that can be set by name
+ */
+export const BOOLEAN_ATTRIBUTES: string[];
+
+/**
+ * Attributes of <content-warning> that can be set with name=value
+ */
+export const VALUE_ATTRIBUTES: string[];
+
+/**
+ * Fill in the defaults for plugin options
+ */
+export function resolveOptions(
+	options?: ContentWarningMarkdownOptions,
+): Required<ContentWarningMarkdownOptions>;
+
+/**
+ * Turn the words after a container name into element attributes
+ * @param info - e.g. `violence spoilers blur severity=high`
+ */
+export function parseWarningInfo(
+	info: string,
+	options?: ContentWarningMarkdownOptions,
+): ContentWarningMarkdownAttributes;
+
+/**
+ * Get the attributes of an `||inline||` warning
+ */
+export function getInlineAttributes(
+	options?: ContentWarningMarkdownOptions,
+): ContentWarningMarkdownAttributes;
+
+/**
+ * Match a line that opens a container, returning the info after the name
+ * (or null if the line doesn't open a container)
+ */
+export function matchOpeningFence(line: string, name: string): string | null;
+
+/**
+ * Check whether a line closes a container
+ */
+export function isClosingFence(line: string): boolean;
+
+/**
+ * remark plugin: turn `:::cw` containers and `||inline||` spoilers into
+ * <content-warning> elements (with remark-rehype)
+ */
+export function remarkContentWarning(
+	options?: ContentWarningMarkdownOptions,
+): (tree: any) => void;
+
+/**
+ * rehype plugin: turn `:::cw` containers and `||inline||` spoilers in HTML
+ * into <content-warning> elements
+ */
+export function rehypeContentWarning(
+	options?: ContentWarningMarkdownOptions,
+): (tree: any) => void;
@@ -0,0 +1,691 @@
+/**
+ * Markdown authoring for <content-warning>: remark and rehype plugins, and the
+ * helpers the markdown-it plugin shares.
+ *
+ * Two syntaxes become content warnings:
+ * - Containers: a `:::cw violence spoilers` line, the content, then a `:::` line
+ * - Inline spoilers: `||spoiler text||`
+ *
+ * The words after `:::cw` use the element's own attribute vocabulary: boolean
+ * attribute names (`blur`, `hideable`…) and `name=value` pairs
+ * (`mode=pixelate`, `severity=high`, `label-prefix="Heads up"`) set
+ * attributes, and any other word is a warning type.
+ *
+ * Safe to import in Node: nothing here touches the DOM, and the plugins don't
+ * depend on the libraries they plug into.
+ */
+
+/**
+ * Boolean attributes of <content-warning> that can be set by name
+ */
+export const BOOLEAN_ATTRIBUTES = [
+	'blur',
+	'inline',
+	'hidden',
+	'hideable',
+	'persist',
+	'play-on-reveal',
+];
+
+/**
+ * Attributes of <content-warning> that can be set with name=value
+ */
+export const VALUE_ATTRIBUTES = [
+	'id',
+	'lang',
+	'type',
+	'label-prefix',
+	'label-suffix',
+	'mode',
+	'theme',
+	'severity',
+	'reveal-mode',
+	'hold-duration',
+	'announce',
+	'transition',
+	'fragment',
+	'rehide',
+	'hide-label',
+	'persist',
+	'persist-key',
+];
+
+// Marks each end of an inline spoiler
+const DELIMITER = '||';
+
+// Splits container info into words and name=value pairs (values may be quoted)
+const INFO_TOKENS = /[^\s=]+=(?:"[^"]*"|'[^']*'|\S*)|\S+/g;
+
+const CLOSING_FENCE = /^:::\s*$/;
+
+/**
+ * Fill in the defaults for plugin options
+ * @param {Object} [options]
+ * @param {string} [options.name="cw"] - The container name, as in `:::cw`
+ * @param {string} [options.tagName="content-warning"] - The tag name the element is defined as
+ * @param {boolean} [options.hidden=true] - Add the `hidden` attribute, which keeps the content out of Reader Mode until the element boots
+ * @param {string|null} [options.inlineType="spoilers"] - The type of `||inline||` warnings (null for none)
+ * @returns {{name: string, tagName: string, hidden: boolean, inlineType: string|null}}
+ */
+export function resolveOptions({
+	name = 'cw',
+	tagName = 'content-warning',
+	hidden = true,
+	inlineType = 'spoilers',
+} = {}) {
+	return { name, tagName, hidden, inlineType };
+}
+
+/**
+ * Add a type (or types) to the attributes, after any already there
+ * @param {Object<string, string|boolean>} attributes - The attributes to change
+ * @param {string} type - Space-separated types
+ */
+function addTypes(attributes, type) {
+	attributes.type = [attributes.type, type].filter(Boolean).join(' ');
+}
+
+/**
+ * Turn the words after a container name into element attributes
+ * @param {string} info - e.g. `violence spoilers blur severity=high`
+ * @param {Object} [options] - Plugin options
+ * @returns {Object<string, string|true>} Attributes by attribute name; `true` is a boolean attribute
+ */
+export function parseWarningInfo(info, options) {
+	const { hidden } = resolveOptions(options);
+	const attributes = {};
+	const types = [];
+
+	for (const token of info.match(INFO_TOKENS) || []) {
+		const separator = token.indexOf('=');
+		if (separator > 0) {
+			const name = token.slice(0, separator);
+			const value = token
+				.slice(separator + 1)
+				.replace(/^(["'])(.*)\1$/, '$2');
+			if (name === 'type') {
+				addTypes(attributes, value);
+			} else if (VALUE_ATTRIBUTES.includes(name)) {
+				attributes[name] = value;
+			}
+		} else if (BOOLEAN_ATTRIBUTES.includes(token)) {
+			attributes[token] = true;
+		} else {
+			types.push(token);
+		}
+	}
+
+	if (types.length) {
+		addTypes(attributes, types.join(' '));
+	}
+	if (hidden) {
+		attributes.hidden = true;
+	}
+	// Lead with the type, as authors usually do
+	return attributes.type
+		? { type: attributes.type, ...attributes }
+		: attributes;
+}
+
+/**
+ * Get the attributes of an `||inline||` warning
+ * @param {Object} [options] - Plugin options
+ * @returns {Object<string, string|true>}
+ */
+export function getInlineAttributes(options) {
+	const { hidden, inlineType } = resolveOptions(options);
+	const attributes = {};
+	if (inlineType) {
+		attributes.type = inlineType;
+	}
+	attributes.inline = true;
+	if (hidden) {
+		attributes.hidden = true;
+	}
+	return attributes;
+}
+
+/**
+ * Match a line that opens a container, e.g. `:::cw violence`
+ * @param {string} line - The line
+ * @param {string} name - The container name
+ * @returns {string|null} The info after the name, or null if the line doesn't open a container
+ */
+export function matchOpeningFence(line, name) {
+	const trimmed = line.trim();
+	const prefix = `:::${name}`;
+	if (!trimmed.startsWith(prefix)) return null;
+
+	const info = trimmed.slice(prefix.length);
+	// ":::cwx" is another container
+	if (info && !/^\s/.test(info)) return null;
+	return info.trim();
+}
+
+/**
+ * Check whether a line closes a container
+ * @param {string} line - The line
+ * @returns {boolean}
+ */
+export function isClosingFence(line) {
+	return CLOSING_FENCE.test(line.trim());
+}
+
+/**
+ * Convert attributes to hast properties. hast knows `hidden` is boolean, but
+ * not the element's own boolean attributes, so those get an empty value.
+ * @param {Object<string, string|true>} attributes
+ * @returns {Object<string, string|true>}
+ */
+function toProperties(attributes) {
+	const properties = {};
+	for (const [name, value] of Object.entries(attributes)) {
+		properties[name] = value === true && name !== 'hidden' ? '' : value;
+	}
+	return properties;
+}
+
+/**
+ * Append text to a list of inline nodes, joining it to a text node at the end
+ * @param {Object[]} nodes - The nodes to append to
+ * @param {string} value - The text
+ */
+function appendText(nodes, value) {
+	const last = nodes[nodes.length - 1];
+	if (last && last.type === 'text') {
+		nodes[nodes.length - 1] = { type: 'text', value: last.value + value };
+	} else if (value) {
+		nodes.push({ type: 'text', value });
+	}
+}
+
+/**
+ * Split a paragraph's inline nodes into lines. Text keeps the line of the
+ * source it came from, when the tree has positions.
+ * @param {Object[]} children - The paragraph's children
+ * @returns {Object[][]}
+ */
+function splitLines(children) {
+	const lines = [[]];
+	for (const node of children) {
+		if (node.type !== 'text') {
+			lines[lines.length - 1].push(node);
+			continue;
+		}
+		node.value.split('\n').forEach((value, index) => {
+			if (index > 0) lines.push([]);
+			if (!value) return;
+			const text = { type: 'text', value };
+			if (node.position) {
+				text.position = {
+					start: { line: node.position.start.line + index },
+				};
+			}
+			lines[lines.length - 1].push(text);
+		});
+	}
+	return lines;
+}
+
+/**
+ * Join lines of inline nodes back together
+ * @param {Object[][]} lines
+ * @returns {Object[]}
+ */
+function joinLines(lines) {
+	const nodes = [];
+	lines.forEach((line, index) => {
+		if (index > 0) appendText(nodes, '\n');
+		for (const node of line) {
+			if (node.type === 'text') {
+				appendText(nodes, node.value);
+			} else {
+				nodes.push(node);
+			}
+		}
+	});
+	return nodes;
+}
+
+/**
+ * Get the text of a line made only of text
+ * @param {Object[]} line - The line's nodes
+ * @returns {string|null} Null when the line has other nodes (e.g. emphasis)
+ */
+function getLineText(line) {
+	return line.every((node) => node.type === 'text')
+		? line.map((node) => node.value).join('')
+		: null;
+}
+
+/**
+ * Wrap the flow content between `:::cw` and `:::` lines. Fences are lines of
+ * paragraphs, as Markdown parsers without container support leave them there.
+ * Containers nest, and one left open runs to the end of its parent.
+ * @param {Object[]} children - Flow content
+ * @param {Object} adapter - Builds nodes for the tree (mdast or hast)
+ * @param {Object} options - Plugin options
+ * @returns {Object[]}
+ */
+function wrapContainers(children, adapter, options) {
+	const stack = [{ children: [] }];
+	const append = (node) => stack[stack.length - 1].children.push(node);
+	const close = () => {
+		const container = stack.pop();
+		append(adapter.createBlock(container.attributes, container.children));
+	};
+
+	for (const child of children) {
+		if (!adapter.isParagraph(child)) {
+			append(child);
+			continue;
+		}
+
+		const lines = splitLines(child.children).map((line) => {
+			const text = (adapter.getLineText || getLineText)(line);
+			return {
+				line,
+				info:
+					text === null
+						? null
+						: matchOpeningFence(text, options.name),
+				closing: text !== null && isClosingFence(text),
+			};
+		});
+		if (
+			!lines.some(
+				({ info, closing }) =>
+					info !== null || (closing && stack.length > 1),
+			)
+		) {
+			append(child);
+			continue;
+		}
+
+		let paragraph = [];
+		const flush = () => {
+			if (paragraph.length) {
+				append(adapter.createParagraph(joinLines(paragraph), child));
+				paragraph = [];
+			}
+		};
+		for (const { line, info, closing } of lines) {
+			if (info !== null) {
+				flush();
+				stack.push({
+					attributes: parseWarningInfo(info, options),
+					children: [],
+				});
+			} else if (closing && stack.length > 1) {
+				flush();
+				close();
+			} else {
+				paragraph.push(line);
+			}
+		}
+		flush();
+	}
+
+	while (stack.length > 1) {
+		close();
+	}
+	return stack[0].children;
+}
+
+/**
+ * Wrap `||inline||` runs among sibling nodes. A run can span other inline
+ * nodes (e.g. emphasis) but not leave its parent; an unpaired delimiter stays text.
+ * @param {Object[]} children - Sibling nodes
+ * @param {Object} adapter - Builds nodes for the tree (mdast or hast)
+ * @param {Object} options - Plugin options
+ * @returns {Object[]}
+ */
+function wrapSpoilers(children, adapter, options) {
+	if (
+		!children.some(
+			(node) => node.type === 'text' && node.value.includes(DELIMITER),
+		)
+	) {
+		return children;
+	}
+
+	const result = [];
+	let open = -1;
+	for (const node of children) {
+		if (node.type !== 'text' || !node.value.includes(DELIMITER)) {
+			result.push(node);
+			continue;
+		}
+
+		node.value.split(DELIMITER).forEach((value, index) => {
+			if (index > 0) {
+				if (open === -1 || open === result.length - 1) {
+					// Open a run (an empty one, "||||", is restarted)
+					if (open !== -1) {
+						result[open] = { type: 'text', value: DELIMITER };
+					}
+					open = result.length;
+					result.push({ type: 'delimiter' });
+				} else {
+					const content = result.splice(open);
+					content.shift();
+					result.push(
+						adapter.createInline(
+							getInlineAttributes(options),
+							content,
+						),
+					);
+					open = -1;
+				}
+			}
+			if (value) result.push({ type: 'text', value });
+		});
+	}
+	if (open !== -1) {
+		result[open] = { type: 'text', value: DELIMITER };
+	}
+
+	// Rejoin text split around unpaired delimiters
+	const nodes = [];
+	for (const node of result) {
+		if (node.type === 'text') {
+			appendText(nodes, node.value);
+		} else {
+			nodes.push(node);
+		}
+	}
+	return nodes;
+}
+
+/**
+ * Transform a tree, innermost content first
+ * @param {Object} node - The node to transform
+ * @param {Object} adapter - Builds nodes for the tree (mdast or hast)
+ * @param {Object} options - Plugin options
+ */
+function transform(node, adapter, options) {
+	if (!Array.isArray(node.children) || adapter.skip(node)) return;
+
+	for (const child of node.children) {
+		transform(child, adapter, options);
+	}
+	adapter.visit?.(node);
+
+	if (node.children.some((child) => adapter.isParagraph(child))) {
+		node.children = wrapContainers(node.children, adapter, options);
+	}
+	node.children = wrapSpoilers(node.children, adapter, options);
+}
+
+/**
+ * Get the plain text of a node
+ * @param {Object} node - An mdast or hast node
+ * @returns {string}
+ */
+function toText(node) {
+	if (typeof node.value === 'string') return node.value;
+	return (node.children || []).map(toText).join('');
+}
+
+/**
+ * Turn a remark-directive node named after the container into a warning.
+ * The label holds types and flags like the words after `:::cw`, and
+ * `{attributes}` use the same vocabulary.
+ * @param {Object} node - A containerDirective or textDirective node
+ * @param {Object} options - Plugin options
+ */
+function applyDirective(node, options) {
+	let info = '';
+	const [label] = node.children;
+	if (node.type === 'containerDirective' && label?.data?.directiveLabel) {
+		info = toText(node.children.shift());
+	}
+
+	const attributes = parseWarningInfo(info, options);
+	if (node.type === 'textDirective') {
+		attributes.inline = true;
+	}
+	for (const [name, value] of Object.entries(node.attributes || {})) {
+		if (BOOLEAN_ATTRIBUTES.includes(name) && !value) {
+			attributes[name] = true;
+		} else if (name === 'type') {
+			addTypes(attributes, value);
+		} else if (VALUE_ATTRIBUTES.includes(name)) {
+			attributes[name] = value;
+		}
+	}
+
+	node.data = {
+		...node.data,
+		hName: options.tagName,
+		hProperties: toProperties(attributes),
+	};
+}
+
+// mdast nodes whose content lines can continue lazily, and where that content starts
+const LAZY_CONTAINERS = ['listItem', 'blockquote'];
+
+/**
+ * Find the fence on a line of Markdown source. Inline markup in it (as in
+ * `:::cw violence *graphic*`) is still as written there, where remark has
+ * already parsed the paragraph's text.
+ * @param {string} [sourceLine] - The line, with any quote markers or indent
+ * @returns {{text: string, column: number}|null} The line from the fence on, and the column the fence is at
+ */
+function sliceFence(sourceLine) {
+	const start = sourceLine?.indexOf(':::') ?? -1;
+	return start === -1
+		? null
+		: { text: sourceLine.slice(start), column: start + 1 };
+}
+
+/**
+ * Split a paragraph in a list item or block quote at a `:::cw` line that
+ * only belongs to it as a lazy continuation line: one that starts left of
+ * the paragraph's own content, as in `- item` followed by `:::cw spoilers`.
+ * markdown-it ends the list or quote there instead, as it does for fences.
+ * @param {Object} paragraph - An mdast paragraph
+ * @param {string[]} source - The lines of the Markdown source
+ * @param {Object} options - Plugin options
+ * @returns {{column: number, rest: Object}|null} The column the fence is at and a paragraph of the lines from it on, or null when there isn't one
+ */
+function splitLazyFence(paragraph, source, options) {
+	const { children, position } = paragraph;
+	if (!position) return null;
+
+	for (const [index, node] of children.entries()) {
+		if (node.type !== 'text' || !node.position) continue;
+
+		const lines = node.value.split('\n');
+		for (let line = 1; line < lines.length; line++) {
+			if (!lines[line].trimStart().startsWith(':::')) continue;
+
+			const fence = sliceFence(
+				source[node.position.start.line + line - 1],
+			);
+			if (
+				!fence ||
+				matchOpeningFence(fence.text, options.name) === null
+			) {
+				continue;
+			}
+			const { column } = fence;
+			if (column >= position.start.column) return null;
+
+			paragraph.children = [
+				...children.slice(0, index),
+				{ type: 'text', value: lines.slice(0, line).join('\n') },
+			];
+			return {
+				column,
+				rest: {
+					type: 'paragraph',
+					children: [
+						{
+							type: 'text',
+							value: lines.slice(line).join('\n'),
+							position: {
+								start: {
+									line: node.position.start.line + line,
+								},
+							},
+						},
+						...children.slice(index + 1),
+					],
+				},
+			};
+		}
+	}
+	return null;
+}
+
+/**
+ * Move `:::cw` lines that remark reads as lazy continuation lines (see
+ * splitLazyFence()) out of the list items and quotes they start left of,
+ * splitting lists around them
+ * @param {Object} node - An mdast node
+ * @param {string[]} source - The lines of the Markdown source
+ * @param {Object} options - Plugin options
+ * @returns {{column: number, nodes: Object[]}|null} Flow content to put after the node, when it has to leave it
+ */
+function liftLazyFences(node, source, options) {
+	if (!Array.isArray(node.children)) return null;
+
+	const isLazy = LAZY_CONTAINERS.includes(node.type);
+	for (let index = 0; index < node.children.length; index++) {
+		const child = node.children[index];
+		let lifted = null;
+		if (isLazy && child.type === 'paragraph') {
+			const split = splitLazyFence(child, source, options);
+			lifted = split && { column: split.column, nodes: [split.rest] };
+		} else {
+			lifted = liftLazyFences(child, source, options);
+		}
+		if (!lifted) continue;
+
+		const rest = node.children.splice(index + 1);
+		if (node.type === 'list') {
+			// The items after the fence make a list of their own
+			if (rest.length) {
+				const list = { ...node, children: rest };
+				if (node.ordered && node.start != null) {
+					list.start = node.start + index + 1;
+				}
+				lifted.nodes.push(list);
+			}
+			return lifted;
+		}
+		if (isLazy && lifted.column < node.children[0].position?.start.column) {
+			lifted.nodes.push(...rest);
+			return lifted;
+		}
+		node.children.push(...lifted.nodes, ...rest);
+		index += lifted.nodes.length;
+	}
+	return null;
+}
+
+/**
+ * remark plugin: turn `:::cw` containers and `||inline||` spoilers into
+ * <content-warning> elements when the tree becomes HTML (with remark-rehype).
+ * Also handles `:::cw{…}` and `:cw[…]{…}` nodes from remark-directive.
+ * @param {Object} [options] - See resolveOptions()
+ * @returns {(tree: Object) => void}
+ */
+export function remarkContentWarning(options) {
+	const resolved = resolveOptions(options);
+	const createDirective = (type, attributes, children) => ({
+		type,
+		name: resolved.name,
+		attributes: Object.fromEntries(
+			Object.entries(attributes).map(([name, value]) => [
+				name,
+				value === true ? '' : value,
+			]),
+		),
+		children,
+		data: {
+			hName: resolved.tagName,
+			hProperties: toProperties(attributes),
+		},
+	});
+
+	let source = [];
+	const adapter = {
+		skip: () => false,
+		// Match fences against the source, as markdown-it does
+		getLineText(line) {
+			const text = getLineText(line);
+			const [first] = line;
+			const last = line[line.length - 1];
+			if (
+				text !== null ||
+				first.type !== 'text' ||
+				!first.value.trimStart().startsWith(':::')
+			) {
+				return text;
+			}
+
+			const number = first.position?.start.line;
+			if ((last.position?.end ?? last.position?.start)?.line !== number) {
+				return null;
+			}
+			return sliceFence(source[number - 1])?.text ?? null;
+		},
+		visit(node) {
+			if (
+				(node.type === 'containerDirective' ||
+					node.type === 'textDirective') &&
+				node.name === resolved.name &&
+				!node.data?.hName
+			) {
+				applyDirective(node, resolved);
+			}
+		},
+		isParagraph: (node) => node.type === 'paragraph',
+		createParagraph: (children) => ({ type: 'paragraph', children }),
+		createBlock: (attributes, children) =>
+			createDirective('containerDirective', attributes, children),
+		createInline: (attributes, children) =>
+			createDirective('textDirective', attributes, children),
+	};
+
+	return (tree, file) => {
+		source = String(file ?? '').split('\n');
+		liftLazyFences(tree, source, resolved);
+		transform(tree, adapter, resolved);
+	};
+}
+
+// Elements whose text is never Markdown
+const RAW_ELEMENTS = ['code', 'pre', 'script', 'style', 'textarea'];
+
+/**
+ * rehype plugin: turn `:::cw` containers (left in paragraphs) and
+ * `||inline||` spoilers in HTML into <content-warning> elements
+ * @param {Object} [options] - See resolveOptions()
+ * @returns {(tree: Object) => void}
+ */
+export function rehypeContentWarning(options) {
+	const resolved = resolveOptions(options);
+	const createElement = (attributes, children) => ({
+		type: 'element',
+		tagName: resolved.tagName,
+		properties: toProperties(attributes),
+		children,
+	});
+
+	const adapter = {
+		skip: (node) =>
+			node.type === 'element' && RAW_ELEMENTS.includes(node.tagName),
+		isParagraph: (node) => node.type === 'element' && node.tagName === 'p',
+		createParagraph: (children, paragraph) => ({
+			...paragraph,
+			children,
+		}),
+		createBlock: createElement,
+		createInline: createElement,
+	};
+
+	return (tree) => transform(tree, adapter, resolved);
+}
@@ -0,0 +1,62 @@
+import type { ContentWarningStorageAdapter } from './storage.js';
+
+export type ContentWarningPreference = 'show' | 'hide';
+
+/**
+ * A registry of per-type reader preferences.
+ * "show" auto-reveals a type, "hide" keeps it covered.
+ *
+ * @fires change - Fired when a preference changes
+ */
+export class ContentWarningPreferences extends EventTarget {
+	/**
+	 * Get the preference for a type
+	 */
+	get(type: string): ContentWarningPreference | null;
+
+	/**
+	 * Set the preference for a type (null clears it)
+	 */
+	set(type: string, value: ContentWarningPreference | null): void;
+
+	/**
+	 * Check whether a type has a preference
+	 */
+	has(type: string): boolean;
+
+	/**
+	 * Clear the preference for a type
+	 */
+	delete(type: string): void;
+
+	/**
+	 * Clear every preference
+	 */
+	clear(): void;
+
+	/**
+	 * List every type/preference pair
+	 */
+	entries(): Array<[string, ContentWarningPreference]>;
+
+	/**
+	 * Resolve the preference for a set of types.
+	 * "hide" on any type wins; "show" applies only when every type is shown.
+	 */
+	resolve(types: string[]): ContentWarningPreference | null;
+
+	/**
+	 * Load preferences from a storage adapter and save them there on every change
+	 */
+	persist(adapter: ContentWarningStorageAdapter): void;
+}
+
+/**
+ * Event detail for the preferences change event
+ */
+export interface ContentWarningPreferenceChangeEvent extends CustomEvent {
+	detail: {
+		type: string;
+		value: ContentWarningPreference | null;
+	};
+}
@@ -0,0 +1,132 @@
+import { STORAGE_PREFIX } from './storage.js';
+
+const VALUES = ['show', 'hide'];
+
+/**
+ * ContentWarningPreferences - A registry of per-type reader preferences.
+ *
+ * Each warning type can be set to "show" (auto-reveal) or "hide" (always keep
+ * covered). Types without a preference behave normally.
+ *
+ * @fires change - Fired when a preference changes. Detail: `{ type, value }` (value is null when cleared)
+ */
+export class ContentWarningPreferences extends EventTarget {
+	#values = new Map();
+	#storage = null;
+	#storageKey = `${STORAGE_PREFIX}preferences`;
+
+	/**
+	 * Get the preference for a type
+	 * @param {string} type - The warning type
+	 * @returns {"show"|"hide"|null}
+	 */
+	get(type) {
+		return this.#values.get(type) ?? null;
+	}
+
+	/**
+	 * Set the preference for a type
+	 * @param {string} type - The warning type
+	 * @param {"show"|"hide"|null} value - The preference (null clears it)
+	 */
+	set(type, value) {
+		if (value === null || value === undefined) {
+			this.delete(type);
+			return;
+		}
+		if (!VALUES.includes(value)) {
+			throw new TypeError(
+				`Content warning preferences must be "show" or "hide", received "${value}"`,
+			);
+		}
+		if (this.#values.get(type) === value) return;
+
+		this.#values.set(type, value);
+		this.#changed(type, value);
+	}
+
+	/**
+	 * Check whether a type has a preference
+	 * @param {string} type - The warning type
+	 * @returns {boolean}
+	 */
+	has(type) {
+		return this.#values.has(type);
+	}
+
+	/**
+	 * Clear the preference for a type
+	 * @param {string} type - The warning type
+	 */
+	delete(type) {
+		if (this.#values.delete(type)) {
+			this.#changed(type, null);
+		}
+	}
+
+	/**
+	 * Clear every preference
+	 */
+	clear() {
+		for (const type of [...this.#values.keys()]) {
+			this.delete(type);
+		}
+	}
+
+	/**
+	 * List every type/preference pair
+	 * @returns {Array<[string, string]>}
+	 */
+	entries() {
+		return [...this.#values.entries()];
+	}
+
+	/**
+	 * Resolve the preference for a set of types.
+	 * "hide" on any type wins; "show" applies only when every type is shown.
+	 * @param {string[]} types - The warning types
+	 * @returns {"show"|"hide"|null}
+	 */
+	resolve(types) {
+		if (types.length === 0) return null;
+
+		const values = types.map((type) => this.get(type));
+		if (values.includes('hide')) return 'hide';
+		if (values.every((value) => value === 'show')) return 'show';
+		return null;
+	}
+
+	/**
+	 * Load preferences from a storage adapter and save them there on every change
+	 * @param {{get: Function, set: Function, remove: Function}} adapter - The storage adapter
+	 */
+	persist(adapter) {
+		this.#storage = adapter;
+
+		let stored = {};
+		try {
+			stored = JSON.parse(adapter.get(this.#storageKey)) || {};
+		} catch {
+			// Ignore malformed data
+		}
+
+		for (const [type, value] of Object.entries(stored)) {
+			if (VALUES.includes(value)) {
+				this.set(type, value);
+			}
+		}
+	}
+
+	#changed(type, value) {
+		if (this.#storage) {
+			this.#storage.set(
+				this.#storageKey,
+				JSON.stringify(Object.fromEntries(this.#values)),
+			);
+		}
+
+		this.dispatchEvent(
+			new CustomEvent('change', { detail: { type, value } }),
+		);
+	}
+}
@@ -0,0 +1,59 @@
+/**
+ * Rendering rules for <content-warning>, shared by the element, the
+ * server-side renderer and the audit so they can't drift apart.
+ *
+ * Safe to import in Node: nothing here touches the DOM.
+ */
+import { getType } from './types.js';
+import { getLocaleStrings, localize, formatListParts } from './locales.js';
+
+// How covered content is shown; the blur attribute is shorthand for "blur"
+export const MODES = ['hidden', 'blur', 'pixelate', 'placeholder', 'teaser'];
+
+// Modes that keep the (obscured) content on screen rather than hiding it
+export const VISIBLE_MODES = ['blur', 'pixelate', 'teaser'];
+
+/**
+ * Work out what the warning button says: the prefix, the list of types
+ * formatted for the locale, and the suffix
+ * @param {Object} options
+ * @param {string[]} options.types - The warning types
+ * @param {string} options.locale - The locale to render
+ * @param {string|null} [options.prefix] - The label-prefix attribute
+ * @param {string|null} [options.suffix] - The label-suffix attribute; "false" shows none
+ * @param {string} [options.revealMode] - The resolved reveal mode
+ * @returns {{prefix: string, suffix: string|null, list: Array<{value: string}|{type: string, part: string, label: string, icon?: string|Node}>}}
+ *   The list holds literal text (`value`) and the types, each with its part
+ *   names, localized label and icon; with no types it's the generic "content"
+ */
+export function getLabelParts({ types, locale, prefix, suffix, revealMode }) {
+	const strings = getLocaleStrings(locale);
+	const defaultSuffix =
+		revealMode === 'hold' ? strings.holdSuffix : strings.suffix;
+	const label = {
+		prefix: prefix || strings.prefix,
+		suffix: suffix !== 'false' ? suffix || defaultSuffix : null,
+		list: [{ value: strings.content }],
+	};
+	if (!types.length) return label;
+
+	const definitions = types.map((type) => getType(type));
+	const labels = types.map((type, index) =>
+		definitions[index] ? localize(definitions[index].label, locale) : type,
+	);
+	let index = 0;
+
+	label.list = formatListParts(locale, labels).map((part) => {
+		if (part.type === 'literal') return { value: part.value };
+
+		const type = types[index];
+		return {
+			type,
+			// Expose "type-{key}" too when the key is a valid part name
+			part: /^[\w-]+$/.test(type) ? `type type-${type}` : 'type',
+			label: labels[index],
+			icon: definitions[index++]?.icon,
+		};
+	});
+	return label;
+}
@@ -0,0 +1,37 @@
+/**
+ * Attributes to render, by attribute name. `true` renders a boolean
+ * attribute; `false`, `null` and `undefined` are skipped.
+ */
+export type ContentWarningSSRAttributes = Record<
+	string,
+	string | boolean | null | undefined
+>;
+
+/**
+ * Escape text for use in HTML text and attribute values
+ */
+export function escapeHTML(value: unknown): string;
+
+/**
+ * Serialize attributes for an HTML start tag, each with a leading space
+ */
+export function serializeAttributes(
+	attributes: ContentWarningSSRAttributes,
+): string;
+
+/**
+ * Render the declarative shadow root for a content warning
+ */
+export function renderShadowRoot(
+	attributes?: ContentWarningSSRAttributes,
+): string;
+
+/**
+ * Render a complete content warning with a declarative shadow root
+ * @param content - The (trusted) HTML to put behind the warning
+ */
+export function renderToString(
+	content?: string,
+	attributes?: ContentWarningSSRAttributes,
+	options?: { tagName?: string },
+): string;
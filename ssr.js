@@ -0,0 +1,174 @@
+/**
+ * Server-side rendering for <content-warning>.
+ *
+ * Emits the element with a declarative shadow root (`<template shadowrootmode="open">`)
+ * so the warning is visible before (or without) JavaScript. The element hydrates
+ * the existing shadow root when it upgrades instead of rebuilding it.
+ *
+ * Safe to import in Node: nothing here touches the DOM.
+ */
+import { cssTemplate } from './styles.js';
+import { MODES, VISIBLE_MODES, getLabelParts } from './rendering.js';
+import { getType, parseTypes, resolveSeverity } from './types.js';
+import { getLocaleStrings, localize } from './locales.js';
+
+/**
+ * Escape text for use in HTML text and attribute values
+ * @param {*} value - The value to escape
+ * @returns {string}
+ */
+export function escapeHTML(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&#39;');
+}
+
+/**
+ * Serialize an attributes object. `true` renders a boolean attribute;
+ * `false`, `null` and `undefined` are skipped.
+ * @param {Object<string, string|boolean|null|undefined>} attributes
+ * @returns {string}
+ */
+export function serializeAttributes(attributes) {
+	return Object.entries(attributes)
+		.filter(([, value]) => value !== false && value != null)
+		.map(([name, value]) =>
+			value === true ? ` ${name}` : ` ${name}="${escapeHTML(value)}"`,
+		)
+		.join('');
+}
+
+/**
+ * Render the button label, mirroring the element's own rendering
+ * @param {Object} attributes - The element's attributes
+ * @param {string} locale - The locale to render
+ * @returns {string}
+ */
+function renderLabel(attributes, locale) {
+	const { prefix, suffix, list } = getLabelParts({
+		types: parseTypes(attributes.type),
+		locale,
+		prefix: attributes['label-prefix'],
+		suffix: attributes['label-suffix'],
+		revealMode: attributes['reveal-mode'],
+	});
+
+	// Icons that are nodes can't be serialized, so only text icons render
+	const typeList = list
+		.map((item) => {
+			if (!item.type) return escapeHTML(item.value);
+
+			const icon =
+				typeof item.icon === 'string'
+					? `<span part="type-icon" class="type-icon" aria-hidden="true">${escapeHTML(item.icon)}</span>`
+					: '';
+			return `<span part="${item.part}">${icon}${escapeHTML(item.label)}</span>`;
+		})
+		.join('');
+
+	return (
+		`<span part="icon" class="icon" aria-hidden="true"><slot name="icon"></slot></span>` +
+		`<slot name="warning">` +
+		`<span part="label-prefix" class="label-prefix">${escapeHTML(prefix)}</span>` +
+		`<span part="label-type">${typeList}</span>` +
+		`</slot>` +
+		(suffix ? `<span part="label-suffix">${escapeHTML(suffix)}</span>` : '')
+	);
+}
+
+/**
+ * Render the overlay descriptions of registered types
+ * @param {Object} attributes - The element's attributes
+ * @param {string} locale - The locale to render
+ * @returns {string}
+ */
+function renderDescriptions(attributes, locale) {
+	const descriptions = parseTypes(attributes.type)
+		.map((type) => getType(type)?.description)
+		.filter(Boolean)
+		.map(
+			(description) =>
+				`<p part="description">${escapeHTML(localize(description, locale))}</p>`,
+		)
+		.join('');
+
+	return `<div part="descriptions" id="descriptions" class="descriptions"${descriptions ? '' : ' hidden'}>${descriptions}<slot name="description"></slot></div>`;
+}
+
+/**
+ * Render the declarative shadow root for a content warning
+ * @param {Object<string, string|boolean|null|undefined>} [attributes] - The element's attributes, by attribute name (e.g. `{ type: 'violence', blur: true }`)
+ * @returns {string} A `<template shadowrootmode="open">` string
+ */
+export function renderShadowRoot(attributes = {}) {
+	const locale = attributes.lang || 'en';
+	const revealed = attributes.revealed === true || attributes.revealed === '';
+	const blur = attributes.blur === true || attributes.blur === '';
+	let mode = MODES.includes(attributes.mode)
+		? attributes.mode
+		: blur
+			? 'blur'
+			: 'hidden';
+	// Pixelate relies on a filter the element adds to the document, so it
+	// renders as hidden until the element hydrates
+	if (mode === 'pixelate') mode = 'hidden';
+	const severity = resolveSeverity(
+		parseTypes(attributes.type),
+		attributes.severity,
+	);
+
+	let overlay = '';
+	if (!revealed) {
+		const overlayClass = severity
+			? `overlay severity-${severity}`
+			: 'overlay';
+		const overlayPart = severity
+			? `overlay overlay-${severity}`
+			: 'overlay';
+		overlay =
+			`<div part="${overlayPart}" class="${overlayClass}" data-mode="${mode}">` +
+			`<button part="button" aria-describedby="concealed-note descriptions">${renderLabel(attributes, locale)}</button>` +
+			renderDescriptions(attributes, locale) +
+			`<div part="actions" class="actions"><slot name="actions"></slot></div>` +
+			`<span id="concealed-note" hidden>${escapeHTML(getLocaleStrings(locale).concealed)}</span>` +
+			`</div>`;
+	}
+
+	let hiding = '';
+	if (!revealed) {
+		hiding = VISIBLE_MODES.includes(mode)
+			? ` data-mode="${mode}" aria-hidden="true"`
+			: ` data-mode="${mode}" hidden inert`;
+	}
+
+	return (
+		`<template shadowrootmode="open">` +
+		`<style>${cssTemplate}</style>` +
+		`<div part="placeholder" class="placeholder"${!revealed && mode === 'placeholder' ? '' : ' hidden'}><slot name="placeholder"></slot></div>` +
+		overlay +
+		`<div class="content-wrapper"${hiding}><slot></slot></div>` +
+		(attributes.announce === 'clone'
+			? `<div class="sr-announcement" role="alert" aria-live="assertive"></div>`
+			: `<div class="sr-announcement" role="status" aria-live="polite"></div>`) +
+		`</template>`
+	);
+}
+
+/**
+ * Render a complete content warning with a declarative shadow root
+ * @param {string} content - The (trusted) HTML to put behind the warning
+ * @param {Object<string, string|boolean|null|undefined>} [attributes] - The element's attributes, by attribute name
+ * @param {Object} [options]
+ * @param {string} [options.tagName="content-warning"] - The tag name the element is defined as
+ * @returns {string}
+ */
+export function renderToString(
+	content = '',
+	attributes = {},
+	{ tagName = 'content-warning' } = {},
+) {
+	return `<${tagName}${serializeAttributes(attributes)}>${renderShadowRoot(attributes)}${content}</${tagName}>`;
+}
@@ -0,0 +1,34 @@
+/**
+ * A synchronous key/value store used to persist reveal decisions
+ */
+export interface ContentWarningStorageAdapter {
+	get(key: string): string | null;
+	set(key: string, value: string): void;
+	remove(key: string): void;
+}
+
+/**
+ * Prefix applied to every key the element stores
+ */
+export const STORAGE_PREFIX: string;
+
+/**
+ * Create an adapter backed by a Web Storage object (localStorage, sessionStorage)
+ * @param getStorage - Returns the Storage object to use
+ */
+export function createWebStorageAdapter(
+	getStorage: () => Storage,
+): ContentWarningStorageAdapter;
+
+/**
+ * Create an adapter backed by document.cookie
+ */
+export function createCookieAdapter(options?: {
+	path?: string;
+	maxAge?: number;
+	sameSite?: 'Strict' | 'Lax' | 'None';
+}): ContentWarningStorageAdapter;
+
+export const localStorageAdapter: ContentWarningStorageAdapter;
+export const sessionStorageAdapter: ContentWarningStorageAdapter;
+export const cookieAdapter: ContentWarningStorageAdapter;
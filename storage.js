@@ -0,0 +1,89 @@
+/**
+ * Storage adapters for persisting content warning reveal decisions.
+ *
+ * An adapter is any object with synchronous `get(key)`, `set(key, value)` and
+ * `remove(key)` methods. They must be synchronous so the element can restore
+ * its state before first paint.
+ */
+
+/**
+ * Prefix applied to every key the element stores
+ */
+export const STORAGE_PREFIX = 'content-warning:';
+
+/**
+ * Create an adapter backed by a Web Storage object (localStorage, sessionStorage).
+ * Storage access can throw (privacy modes, sandboxed iframes), so failures are
+ * treated as "nothing stored".
+ * @param {() => Storage} getStorage - Returns the Storage object to use
+ * @returns {{get: Function, set: Function, remove: Function}}
+ */
+export function createWebStorageAdapter(getStorage) {
+	return {
+		get(key) {
+			try {
+				return getStorage().getItem(key);
+			} catch {
+				return null;
+			}
+		},
+		set(key, value) {
+			try {
+				getStorage().setItem(key, value);
+			} catch {
+				// Storage is full or unavailable
+			}
+		},
+		remove(key) {
+			try {
+				getStorage().removeItem(key);
+			} catch {
+				// Storage is unavailable
+			}
+		},
+	};
+}
+
+/**
+ * Create an adapter backed by document.cookie
+ * @param {Object} [options]
+ * @param {string} [options.path="/"] - Cookie path
+ * @param {number} [options.maxAge=31536000] - Cookie lifetime in seconds (default: 1 year)
+ * @param {string} [options.sameSite="Lax"] - SameSite policy
+ * @returns {{get: Function, set: Function, remove: Function}}
+ */
+export function createCookieAdapter({
+	path = '/',
+	maxAge = 31536000,
+	sameSite = 'Lax',
+} = {}) {
+	return {
+		get(key) {
+			const name = `${encodeURIComponent(key)}=`;
+			const cookie = document.cookie
+				.split(';')
+				.map((part) => part.trim())
+				.find((part) => part.startsWith(name));
+			// Treat emptied cookies as missing
+			return cookie
+				? decodeURIComponent(cookie.slice(name.length)) || null
+				: null;
+		},
+		set(key, value) {
+			document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; path=${path}; max-age=${maxAge}; SameSite=${sameSite}`;
+		},
+		remove(key) {
+			document.cookie = `${encodeURIComponent(key)}=; path=${path}; max-age=0; SameSite=${sameSite}`;
+		},
+	};
+}
+
+export const localStorageAdapter = createWebStorageAdapter(
+	() => window.localStorage,
+);
+
+export const sessionStorageAdapter = createWebStorageAdapter(
+	() => window.sessionStorage,
+);
+
+export const cookieAdapter = createCookieAdapter();
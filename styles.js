@@ -0,0 +1,337 @@
+/**
+ * Shadow DOM styles for <content-warning>, shared by the element and the
+ * server-side renderer.
+ *
+ * Every themable value reads a public --content-warning-* custom property,
+ * falling back to a private --_cw-* one. Themes only set the private ones,
+ * so a public property always wins over the theme.
+ */
+export const cssTemplate = `
+	:host {
+		display: block;
+		position: relative;
+
+		/* The default (dark) theme */
+		--_cw-bg: rgba(0, 0, 0, 0.9);
+		--_cw-bg-low: rgba(0, 0, 0, 0.75);
+		--_cw-bg-high: #000;
+		--_cw-blur-bg: transparent;
+		--_cw-blur-bg-high: rgba(0, 0, 0, 0.6);
+		--_cw-color: #fff;
+		--_cw-accent-color: #ff6b6b;
+		--_cw-button-bg: transparent;
+		--_cw-hold-color: rgba(255, 255, 255, 0.25);
+		--_cw-placeholder-bg: #333;
+		--_cw-border: 2px solid currentColor;
+		--_cw-radius: 0;
+		--_cw-padding: 1rem;
+		--_cw-font-size: 1rem;
+
+		/* Resolved here for the script, which times reveal and hide transitions with them */
+		--_cw-transition-duration: var(--content-warning-transition-duration, 300ms);
+		--_cw-transition-easing: var(--content-warning-transition-easing, ease);
+	}
+	:host([theme="light"]) {
+		--_cw-bg: rgba(255, 255, 255, 0.92);
+		--_cw-bg-low: rgba(255, 255, 255, 0.8);
+		--_cw-bg-high: #fff;
+		--_cw-blur-bg-high: rgba(255, 255, 255, 0.6);
+		--_cw-color: #1a1a1a;
+		--_cw-accent-color: #c62828;
+		--_cw-hold-color: rgba(0, 0, 0, 0.15);
+		--_cw-placeholder-bg: #e0e0e0;
+	}
+	@media (prefers-color-scheme: light) {
+		:host([theme="auto"]) {
+			--_cw-bg: rgba(255, 255, 255, 0.92);
+			--_cw-bg-low: rgba(255, 255, 255, 0.8);
+			--_cw-bg-high: #fff;
+			--_cw-blur-bg-high: rgba(255, 255, 255, 0.6);
+			--_cw-color: #1a1a1a;
+			--_cw-accent-color: #c62828;
+			--_cw-hold-color: rgba(0, 0, 0, 0.15);
+			--_cw-placeholder-bg: #e0e0e0;
+		}
+	}
+	:host([theme="subtle"]) {
+		--_cw-bg: rgba(0, 0, 0, 0.55);
+		--_cw-bg-low: rgba(0, 0, 0, 0.4);
+		--_cw-bg-high: rgba(0, 0, 0, 0.8);
+		--_cw-border: 1px solid currentColor;
+		--_cw-radius: 0.25rem;
+		--_cw-padding: 0.5rem 1rem;
+		--_cw-font-size: 0.875rem;
+	}
+	:host([theme="high-contrast"]) {
+		--_cw-bg: #000;
+		--_cw-bg-low: #000;
+		--_cw-bg-high: #000;
+		--_cw-blur-bg: #000;
+		--_cw-blur-bg-high: #000;
+		--_cw-color: #fff;
+		--_cw-accent-color: #ff0;
+		--_cw-hold-color: rgba(255, 255, 0, 0.4);
+		--_cw-border: 3px solid currentColor;
+	}
+	:host([inline]) {
+		display: inline-block;
+		vertical-align: baseline;
+	}
+	:host([hidden]) {
+		display: none;
+	}
+	:host([inline]:not([revealed])) .content-wrapper {
+		display: none;
+	}
+	.content-wrapper {
+		display: contents;
+	}
+	/* Blur and pixelate modes: visually obscured but present in DOM */
+	.content-wrapper[data-mode="blur"] ::slotted(*) {
+		filter: blur(var(--content-warning-blur-amount, 10px));
+	}
+	.content-wrapper[data-mode="pixelate"] ::slotted(*) {
+		filter: url(#content-warning-pixelate);
+	}
+	.content-wrapper:is([data-mode="blur"], [data-mode="pixelate"])
+		::slotted(*) {
+		user-select: none;
+		pointer-events: none;
+	}
+	/* Teaser mode: the first few lines, fading out */
+	.content-wrapper[data-mode="teaser"] {
+		display: block;
+		max-height: calc(var(--content-warning-teaser-lines, 3) * 1.5em);
+		max-height: calc(var(--content-warning-teaser-lines, 3) * 1lh);
+		overflow: hidden;
+		-webkit-mask-image: linear-gradient(to bottom, #000 25%, transparent);
+		mask-image: linear-gradient(to bottom, #000 25%, transparent);
+		user-select: none;
+		pointer-events: none;
+	}
+	/* Placeholder mode: a solid block the size of the content, or a slotted stand-in */
+	.placeholder {
+		display: block;
+	}
+	.placeholder:not(.custom) {
+		aspect-ratio: var(--content-warning-placeholder-ratio, var(--_cw-aspect-ratio, 16 / 9));
+		background: var(--content-warning-placeholder-bg, var(--_cw-placeholder-bg));
+	}
+	.placeholder[hidden],
+	:host([inline]) .placeholder {
+		display: none;
+	}
+	/* Screen reader announcement - visually hidden */
+	.sr-announcement {
+		position: absolute;
+		width: 1px;
+		height: 1px;
+		padding: 0;
+		margin: -1px;
+		overflow: hidden;
+		clip: rect(0, 0, 0, 0);
+		white-space: nowrap;
+		border-width: 0;
+	}
+	.overlay {
+		position: absolute;
+		inset: 0;
+		display: flex;
+		flex-direction: column;
+		align-items: center;
+		justify-content: center;
+		background: var(--content-warning-bg, var(--_cw-bg));
+		color: var(--content-warning-color, var(--_cw-color));
+		cursor: pointer;
+		z-index: 1;
+	}
+	/* Modes that show something behind the overlay */
+	.overlay:is(
+		[data-mode="blur"],
+		[data-mode="pixelate"],
+		[data-mode="placeholder"],
+		[data-mode="teaser"]
+	) {
+		background: var(--content-warning-blur-bg, var(--_cw-blur-bg));
+	}
+	:host([inline]) .overlay {
+		position: static;
+		display: inline-flex;
+	}
+	button {
+		cursor: pointer;
+		margin: 0;
+		background: var(--content-warning-button-bg, var(--_cw-button-bg));
+		color: var(--content-warning-color, var(--_cw-color));
+		border: var(--content-warning-border, var(--_cw-border));
+		border-radius: var(--content-warning-radius, var(--_cw-radius));
+		padding: var(--content-warning-padding, var(--_cw-padding));
+		font-size: var(--content-warning-font-size, var(--_cw-font-size));
+		font-family: var(--content-warning-font-family, inherit);
+		box-sizing: border-box;
+		text-align: center;
+	}
+	:host([inline]) button {
+		padding: 0.25rem 0.5rem;
+		font-size: 0.875rem;
+	}
+	button:hover {
+		opacity: 0.95;
+	}
+	button:focus-visible {
+		outline: 2px solid
+			var(
+				--content-warning-focus-color,
+				var(--content-warning-color, var(--_cw-color))
+			);
+		outline-offset: -4px;
+	}
+	:is(.label-prefix)::after {
+		content: ": ";
+	}
+	[part="label-type"]::before {
+		content: " ";
+	}
+	[part="label-suffix"]::before {
+		content: " ";
+	}
+	.type-icon,
+	.icon ::slotted(*) {
+		margin-inline-end: 0.25em;
+	}
+	.icon ::slotted(*) {
+		vertical-align: middle;
+	}
+	.descriptions {
+		max-width: 40em;
+		margin-block-start: 0.75rem;
+		font-size: 0.875rem;
+		text-align: center;
+	}
+	.descriptions p {
+		margin: 0.25rem 0;
+	}
+	:host([inline]) .descriptions {
+		display: none;
+	}
+	/* Author links and buttons, e.g. support resources */
+	.actions {
+		display: flex;
+		flex-wrap: wrap;
+		justify-content: center;
+		column-gap: 1rem;
+	}
+	.actions ::slotted(*) {
+		margin-block-start: 0.75rem;
+	}
+	.actions ::slotted(a) {
+		color: inherit;
+	}
+	:host([inline]) .actions {
+		display: inline-flex;
+		column-gap: 0.5em;
+	}
+	:host([inline]) .actions ::slotted(*) {
+		margin-block-start: 0;
+		margin-inline-start: 0.25em;
+	}
+	/* Severity levels */
+	.overlay.severity-low {
+		background: var(--content-warning-bg-low, var(--_cw-bg-low));
+	}
+	.overlay.severity-high {
+		background: var(--content-warning-bg-high, var(--_cw-bg-high));
+	}
+	.severity-medium button,
+	.severity-high button {
+		border-color: var(--content-warning-accent-color, var(--_cw-accent-color));
+	}
+	.severity-high button {
+		border-width: 3px;
+	}
+	.severity-high [part="button"] {
+		font-weight: bold;
+	}
+	.overlay.severity-high:is(
+		[data-mode="blur"],
+		[data-mode="pixelate"],
+		[data-mode="placeholder"],
+		[data-mode="teaser"]
+	) {
+		background: var(--content-warning-blur-bg-high, var(--_cw-blur-bg-high));
+	}
+	/* Hold to reveal: fill the button as the reader holds it */
+	:host([reveal-mode="hold"]) [part="button"] {
+		background-image: linear-gradient(
+			to right,
+			var(--content-warning-hold-color, var(--_cw-hold-color))
+				calc(var(--content-warning-hold-progress, 0) * 100%),
+			transparent 0
+		);
+		touch-action: none;
+		user-select: none;
+		-webkit-user-select: none;
+		-webkit-touch-callout: none;
+	}
+	.confirm-button {
+		margin-block-start: 0.75rem;
+	}
+	:host([inline]) .confirm-button {
+		margin-block-start: 0;
+		margin-inline-start: 0.25em;
+	}
+	.loading,
+	.link-hint {
+		margin-block-start: 0.75rem;
+		margin-block-end: 0;
+		font-size: 0.875rem;
+	}
+	:host([loading]) .overlay {
+		cursor: progress;
+	}
+	:host([inline]) .loading,
+	:host([inline]) .link-hint {
+		margin-block-start: 0;
+		margin-inline-start: 0.25em;
+	}
+	.hide-button {
+		position: absolute;
+		inset-block-start: 0.5rem;
+		inset-inline-end: 0.5rem;
+		z-index: 1;
+		padding: 0.25rem 0.5rem;
+		font-size: 0.875rem;
+		background: var(--content-warning-bg, var(--_cw-bg));
+	}
+	:host([inline]) .hide-button {
+		position: static;
+		margin-inline-start: 0.25em;
+		padding: 0 0.25rem;
+		font-size: 0.75rem;
+	}
+	/* Windows High Contrast and other forced color modes: use system colors */
+	@media (forced-colors: active) {
+		.overlay,
+		.overlay[data-mode],
+		.hide-button {
+			background: Canvas;
+			color: CanvasText;
+		}
+		button,
+		.severity-medium button,
+		.severity-high button {
+			background: ButtonFace;
+			color: ButtonText;
+			border-color: ButtonText;
+		}
+		button:focus-visible {
+			outline-color: Highlight;
+		}
+		/* Forced colors drop the gradient, so show hold progress with the border */
+		:host([reveal-mode="hold"]) [part="button"] {
+			border-block-end-width: calc(
+				2px + var(--content-warning-hold-progress, 0) * 6px
+			);
+		}
+	}
+`;
@@ -0,0 +1,23 @@
+/**
+ * A channel to the other tabs of the same origin
+ */
+export interface ContentWarningSyncChannel {
+	post(message: object): void;
+	close(): void;
+}
+
+/**
+ * The channel name used when none is given ("content-warning")
+ */
+export const DEFAULT_SYNC_CHANNEL: string;
+
+/**
+ * Open a channel to the other tabs of the same origin, using a BroadcastChannel
+ * where one is available and storage events otherwise
+ * @param name - The channel name; only tabs using the same name hear each other
+ * @param onMessage - Called with each message another tab posts
+ */
+export function openSyncChannel(
+	name: string | undefined,
+	onMessage: (message: any) => void,
+): ContentWarningSyncChannel;
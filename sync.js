@@ -0,0 +1,60 @@
+/**
+ * Cross-tab messaging for content warnings.
+ *
+ * Messages go to every other tab (and window) of the same origin listening on
+ * the same channel name, through a BroadcastChannel where one is available and
+ * storage events otherwise. Senders never hear their own messages.
+ */
+import { STORAGE_PREFIX, localStorageAdapter } from './storage.js';
+
+/**
+ * The channel name used when none is given
+ */
+export const DEFAULT_SYNC_CHANNEL = 'content-warning';
+
+/**
+ * Open a channel to the other tabs of the same origin
+ * @param {string} [name="content-warning"] - The channel name; only tabs using the same name hear each other
+ * @param {(message: Object) => void} onMessage - Called with each message another tab posts
+ * @returns {{post: (message: Object) => void, close: () => void}}
+ */
+export function openSyncChannel(name = DEFAULT_SYNC_CHANNEL, onMessage) {
+	const key = `${STORAGE_PREFIX}sync:${name}`;
+
+	if (typeof BroadcastChannel === 'function') {
+		const channel = new BroadcastChannel(key);
+		channel.onmessage = (e) => onMessage(e.data);
+		return {
+			post: (message) => channel.postMessage(message),
+			close: () => channel.close(),
+		};
+	}
+
+	// Storage events fire in every other tab when a key changes. The key is
+	// removed straight away, so a unique id makes repeated messages changes too.
+	const handleStorage = (e) => {
+		if (e.key !== key || !e.newValue) return;
+
+		let data = null;
+		try {
+			data = JSON.parse(e.newValue);
+		} catch {
+			// Ignore malformed data
+		}
+		if (data && data.message) {
+			onMessage(data.message);
+		}
+	};
+	window.addEventListener('storage', handleStorage);
+
+	return {
+		post(message) {
+			const id = `${Date.now()}-${Math.random()}`;
+			localStorageAdapter.set(key, JSON.stringify({ id, message }));
+			localStorageAdapter.remove(key);
+		},
+		close() {
+			window.removeEventListener('storage', handleStorage);
+		},
+	};
+}
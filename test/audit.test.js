@@ -0,0 +1,189 @@
+import { describe, it, expect } from 'vitest';
+import { AUDIT_RULES, auditHTML } from '../audit.js';
+import { renderToString } from '../ssr.js';
+
+const rules = (html, options) =>
+	auditHTML(html, options).map(({ rule }) => rule);
+
+describe('Auditing HTML', () => {
+	it('should pass warnings used as recommended', () => {
+		expect(
+			auditHTML(`
+				<content-warning type="violence" hidden>
+					<p>The battle</p>
+				</content-warning>
+				<p>It was <content-warning type="spoilers" inline hidden><em>him</em></content-warning>.</p>
+			`),
+		).toEqual([]);
+	});
+
+	it('should describe every rule', () => {
+		expect(Object.keys(AUDIT_RULES)).toEqual([
+			'missing-hidden',
+			'sensitive-blur',
+			'empty-type',
+			'unknown-type',
+			'nested-warning',
+			'interactive-in-inline',
+		]);
+	});
+
+	it('should report warnings missing the hidden attribute', () => {
+		expect(
+			auditHTML(
+				'<p>One</p>\n  <content-warning type="violence"></content-warning>',
+			),
+		).toEqual([
+			{
+				rule: 'missing-hidden',
+				message:
+					'<content-warning type="violence"> is missing the hidden attribute, so Reader Mode can show its content',
+				line: 2,
+				column: 3,
+			},
+		]);
+	});
+
+	it('should accept server-rendered warnings without hidden', () => {
+		const html = renderToString('<p>The battle</p>', {
+			type: 'violence',
+			inline: true,
+		});
+		expect(auditHTML(html)).toEqual([]);
+	});
+
+	it('should report blurring sensitive types', () => {
+		const options = { sensitive: ['gore'] };
+		expect(
+			rules(
+				'<content-warning type="gore violence" blur hidden></content-warning>',
+				options,
+			),
+		).toEqual(['sensitive-blur']);
+		expect(
+			rules(
+				'<content-warning type="gore" mode="teaser" hidden></content-warning>',
+				options,
+			),
+		).toEqual(['sensitive-blur']);
+		expect(
+			rules(
+				'<content-warning type="spoilers" blur hidden></content-warning>',
+				options,
+			),
+		).toEqual([]);
+	});
+
+	it('should let mode win over blur', () => {
+		expect(
+			rules(
+				'<content-warning type="gore" blur mode="placeholder" hidden></content-warning>',
+				{ sensitive: ['gore'] },
+			),
+		).toEqual([]);
+	});
+
+	it('should fall back to blur for unknown modes, as the element does', () => {
+		expect(
+			rules(
+				'<content-warning type="gore" blur mode="fuzzy" hidden></content-warning>',
+				{ sensitive: ['gore'] },
+			),
+		).toEqual(['sensitive-blur']);
+	});
+
+	it('should treat high severity as sensitive', () => {
+		expect(
+			auditHTML(
+				'<content-warning type="spoilers" severity="high" mode="pixelate" hidden></content-warning>',
+			)[0].message,
+		).toBe(
+			'<content-warning type="spoilers"> uses pixelate mode for high severity content, which leaves it visible',
+		);
+	});
+
+	it('should report empty types', () => {
+		expect(rules('<content-warning hidden></content-warning>')).toEqual([
+			'empty-type',
+		]);
+		expect(
+			rules('<content-warning type="  " hidden></content-warning>'),
+		).toEqual(['empty-type']);
+	});
+
+	it('should report unknown types when the project lists its types', () => {
+		const html =
+			'<content-warning type="violence gore spoiler" hidden></content-warning>';
+		expect(rules(html)).toEqual([]);
+
+		const problems = auditHTML(html, { types: ['violence', 'spoilers'] });
+		expect(problems.map(({ message }) => message)).toEqual([
+			'<content-warning type="violence gore spoiler"> has an unknown type, "gore"',
+			'<content-warning type="violence gore spoiler"> has an unknown type, "spoiler"',
+		]);
+	});
+
+	it('should report nested warnings', () => {
+		const problems = auditHTML(`
+			<content-warning type="violence" hidden>
+				<div><content-warning type="gore" hidden></content-warning></div>
+			</content-warning>
+			<content-warning type="spoilers" hidden></content-warning>
+		`);
+		expect(problems).toHaveLength(1);
+		expect(problems[0]).toMatchObject({
+			rule: 'nested-warning',
+			line: 3,
+			column: 10,
+		});
+	});
+
+	it('should report interactive content in inline warnings', () => {
+		const html = `<content-warning type="spoilers" inline hidden>
+			<a href="/x">link</a> <a>anchor</a> <button>b</button>
+			<input type="hidden"> <input> <span tabindex="0">s</span>
+			<video></video> <video controls></video>
+		</content-warning>`;
+		expect(
+			auditHTML(html).map(({ message }) => message.split(' ')[0]),
+		).toEqual(['<a>', '<button>', '<input>', '<span>', '<video>']);
+
+		expect(rules(html.replace(' inline', ''))).toEqual([]);
+	});
+
+	it('should ignore markup in comments, scripts and attribute values', () => {
+		expect(
+			auditHTML(`
+				<!-- <content-warning></content-warning> -->
+				<script>const html = '<content-warning></content-warning>';</script>
+				<TEXTAREA><content-warning></content-warning></TEXTAREA>
+				<p title="<content-warning>">Text</p>
+			`),
+		).toEqual([]);
+	});
+
+	it('should close warnings left open at the end', () => {
+		expect(rules('<content-warning type="spoilers"><p>Text')).toEqual([
+			'missing-hidden',
+		]);
+	});
+
+	it('should use a custom tag name', () => {
+		expect(
+			rules(
+				'<my-warning></my-warning><content-warning hidden></content-warning>',
+				{
+					tagName: 'my-warning',
+				},
+			),
+		).toEqual(['missing-hidden', 'empty-type']);
+	});
+
+	it('should leave out ignored rules', () => {
+		expect(
+			rules('<content-warning></content-warning>', {
+				ignore: ['missing-hidden'],
+			}),
+		).toEqual(['empty-type']);
+	});
+});
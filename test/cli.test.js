@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runCLI } from '../cli.js';
+
+const SAFE =
+	'<content-warning type="violence" hidden><p>x</p></content-warning>';
+const UNSAFE = '<content-warning type="gore" blur>\n<p>x</p></content-warning>';
+
+describe('content-warning CLI', () => {
+	let cwd;
+	let output;
+
+	const run = (...args) => {
+		output = { stdout: '', stderr: '' };
+		return runCLI(args, {
+			cwd,
+			stdout: { write: (text) => (output.stdout += text) },
+			stderr: { write: (text) => (output.stderr += text) },
+		});
+	};
+	const write = (path, content) => {
+		mkdirSync(join(cwd, path, '..'), { recursive: true });
+		writeFileSync(join(cwd, path), content);
+	};
+
+	beforeEach(() => {
+		cwd = mkdtempSync(join(tmpdir(), 'content-warning-'));
+		write('dist/index.html', SAFE);
+		write('dist/posts/gore.html', UNSAFE);
+		write('dist/notes.txt', UNSAFE);
+	});
+
+	afterEach(() => {
+		rmSync(cwd, { recursive: true, force: true });
+	});
+
+	it('should exit with 0 when there are no problems', () => {
+		expect(run('audit', 'dist/index.html')).toBe(0);
+		expect(output.stdout).toBe('No problems in 1 file\n');
+	});
+
+	it('should list problems and exit with 1', () => {
+		expect(run('audit', 'dist/**/*.html', '--sensitive', 'gore')).toBe(1);
+		expect(output.stdout.split('\n')).toEqual([
+			join('dist', 'posts', 'gore.html'),
+			expect.stringMatching(/^ {2}1:1 +missing-hidden +<content-warning/),
+			expect.stringMatching(/^ {2}1:1 +sensitive-blur +<content-warning/),
+			'',
+			'2 problems in 1 file (2 files audited)',
+			'',
+		]);
+	});
+
+	it('should output JSON', () => {
+		expect(run('audit', 'dist', '--format=json')).toBe(1);
+		expect(JSON.parse(output.stdout)).toEqual([
+			{ file: join('dist', 'index.html'), problems: [] },
+			{
+				file: join('dist', 'posts', 'gore.html'),
+				problems: [
+					{
+						rule: 'missing-hidden',
+						message:
+							'<content-warning type="gore"> is missing the hidden attribute, so Reader Mode can show its content',
+						line: 1,
+						column: 1,
+					},
+				],
+			},
+		]);
+	});
+
+	it('should search directories for HTML files only', () => {
+		run('audit', 'dist', '--format', 'json');
+		expect(JSON.parse(output.stdout)).toHaveLength(2);
+	});
+
+	it('should match globs', () => {
+		write('dist/a/b/c.htm', SAFE);
+		write('other/index.html', UNSAFE);
+
+		run('audit', 'dist/**/*.{html,htm}', '--format=json');
+		expect(JSON.parse(output.stdout).map(({ file }) => file)).toEqual([
+			join('dist', 'a', 'b', 'c.htm'),
+			join('dist', 'index.html'),
+			join('dist', 'posts', 'gore.html'),
+		]);
+
+		run('audit', 'dist/*.html', '--format=json');
+		expect(JSON.parse(output.stdout)).toHaveLength(1);
+	});
+
+	it('should read a config file', () => {
+		write(
+			'content-warning.json',
+			JSON.stringify({
+				types: {
+					gore: { label: 'Gore', severity: 'high' },
+					spoilers: { label: 'Spoilers' },
+				},
+				ignore: ['missing-hidden'],
+			}),
+		);
+
+		run(
+			'audit',
+			'dist',
+			'--config',
+			'content-warning.json',
+			'--format=json',
+		);
+		expect(
+			JSON.parse(output.stdout).flatMap(({ problems }) =>
+				problems.map(({ rule }) => rule),
+			),
+		).toEqual(['unknown-type', 'sensitive-blur']);
+	});
+
+	it('should let options override the config file', () => {
+		write('config.json', JSON.stringify({ ignore: ['missing-hidden'] }));
+		expect(
+			run('audit', 'dist', '--ignore', '', '--config=config.json'),
+		).toBe(1);
+	});
+
+	it('should exit with 2 when it can’t run', () => {
+		expect(run('audit', 'missing.html')).toBe(2);
+		expect(output.stderr).toBe(
+			'content-warning: Can’t find missing.html\n',
+		);
+
+		expect(run('audit', 'nothing/**/*.html')).toBe(2);
+		expect(run('audit')).toBe(2);
+		expect(run('audit', 'dist', '--format', 'xml')).toBe(2);
+		expect(run('audit', 'dist', '--frobnicate=1')).toBe(2);
+		expect(run('audit', 'dist', '--config', 'nope.json')).toBe(2);
+		expect(run('lint', 'dist')).toBe(2);
+	});
+
+	it('should show help', () => {
+		expect(run('audit', '--help')).toBe(0);
+		expect(output.stdout).toContain('Usage: content-warning audit');
+		expect(output.stdout).toContain('interactive-in-inline');
+
+		expect(run()).toBe(2);
+		expect(output.stdout).toContain('Usage: content-warning audit');
+	});
+});
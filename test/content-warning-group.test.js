@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { ContentWarningGroupElement } from '../content-warning-group.js';
+
+describe('ContentWarningGroupElement', () => {
+	let group;
+
+	beforeEach(async () => {
+		group = document.createElement('content-warning-group');
+		group.innerHTML = `
+			<p>
+				Intro
+				<content-warning type="spoilers" inline>one</content-warning>
+			</p>
+			<content-warning type="spoilers violence"><p>two</p></content-warning>
+			<content-warning type="violence"><p>three</p></content-warning>
+		`;
+		document.body.appendChild(group);
+		// Wait for the warnings to render
+		await new Promise((resolve) =>
+			requestAnimationFrame(() => requestAnimationFrame(resolve)),
+		);
+	});
+
+	afterEach(() => {
+		group.remove();
+	});
+
+	it('should be defined', () => {
+		expect(customElements.get('content-warning-group')).toBe(
+			ContentWarningGroupElement,
+		);
+	});
+
+	it('should discover descendant warnings', () => {
+		expect(group.warnings).toHaveLength(3);
+		expect(group.warnings.map((warning) => warning.textContent)).toEqual([
+			'one',
+			'two',
+			'three',
+		]);
+	});
+
+	it('should report counts by type', () => {
+		group.warnings[0].reveal();
+		expect(group.counts).toEqual({
+			total: 3,
+			revealed: 1,
+			types: { spoilers: 2, violence: 2 },
+		});
+	});
+
+	it('should reveal all warnings', async () => {
+		expect(await group.revealAll()).toBe(3);
+		expect(group.warnings.every((warning) => warning.revealed)).toBe(true);
+	});
+
+	it('should hide all warnings', async () => {
+		await group.revealAll();
+		expect(await group.hideAll()).toBe(3);
+		expect(group.warnings.some((warning) => warning.revealed)).toBe(false);
+	});
+
+	it('should honor canceled beforereveal events when revealing all', async () => {
+		group.warnings[1].addEventListener(
+			'content-warning:beforereveal',
+			(e) => e.preventDefault(),
+		);
+		expect(await group.revealAll()).toBe(2);
+		expect(group.warnings[1].revealed).toBe(false);
+	});
+
+	it('should not announce bulk reveals', async () => {
+		await group.revealAll();
+		const announcement =
+			group.warnings[1].shadowRoot.querySelector('.sr-announcement');
+		expect(announcement.innerHTML).toBe('');
+	});
+
+	it('should remember bulk reveals with persist', async () => {
+		const [, second] = group.warnings;
+		second.setAttribute('persist', '');
+		second.setAttribute('persist-key', 'group-persist');
+		try {
+			await group.revealAll();
+			expect(localStorage.getItem('content-warning:group-persist')).toBe(
+				'revealed',
+			);
+
+			await group.hideAll();
+			expect(
+				localStorage.getItem('content-warning:group-persist'),
+			).toBeNull();
+		} finally {
+			localStorage.clear();
+		}
+	});
+
+	it('should leave warnings that need confirming or holding covered', async () => {
+		const [first, second, third] = group.warnings;
+		second.setAttribute('severity', 'high');
+		third.setAttribute('reveal-mode', 'hold');
+
+		expect(await group.revealAll()).toBe(1);
+		expect(first.revealed).toBe(true);
+		expect(second.revealed).toBe(false);
+		expect(
+			second.shadowRoot.querySelector('[part="confirm-button"]'),
+		).toBeNull();
+		expect(third.revealed).toBe(false);
+	});
+
+	it('should render reveal-all and hide-all controls', async () => {
+		const revealAll = group.shadowRoot.querySelector('[part="reveal-all"]');
+		const hideAll = group.shadowRoot.querySelector('[part="hide-all"]');
+		expect(revealAll.textContent).toBe('Reveal all');
+		expect(hideAll.textContent).toBe('Hide all');
+
+		revealAll.click();
+		await new Promise((resolve) => setTimeout(resolve));
+		expect(group.counts.revealed).toBe(3);
+
+		hideAll.click();
+		await new Promise((resolve) => setTimeout(resolve));
+		expect(group.counts.revealed).toBe(0);
+	});
+
+	it('should use custom control labels', () => {
+		group.setAttribute('reveal-all-label', 'Show everything');
+		group.setAttribute('hide-all-label', 'Cover everything');
+		expect(
+			group.shadowRoot.querySelector('[part="reveal-all"]').textContent,
+		).toBe('Show everything');
+		expect(
+			group.shadowRoot.querySelector('[part="hide-all"]').textContent,
+		).toBe('Cover everything');
+	});
+
+	it('should localize control labels', async () => {
+		group.lang = 'es';
+		await new Promise((resolve) => setTimeout(resolve));
+		expect(
+			group.shadowRoot.querySelector('[part="reveal-all"]').textContent,
+		).toBe('Mostrar todo');
+	});
+
+	it('should leave siblings alone when not linked', () => {
+		group.warnings[0].reveal();
+		expect(group.counts.revealed).toBe(1);
+	});
+
+	describe('Linked', () => {
+		beforeEach(() => {
+			group.setAttribute('linked', '');
+		});
+
+		it('should reveal siblings when one is revealed', () => {
+			group.warnings[0].shadowRoot.querySelector('button').click();
+			expect(group.counts.revealed).toBe(3);
+		});
+
+		it('should hide siblings when one is hidden', () => {
+			group.warnings[0].reveal();
+			group.warnings[2].hide();
+			expect(group.counts.revealed).toBe(0);
+		});
+
+		it('should not reveal siblings that need confirming', () => {
+			group.warnings[2].setAttribute('severity', 'high');
+			group.warnings[0].reveal();
+			expect(group.warnings.map((warning) => warning.revealed)).toEqual([
+				true,
+				true,
+				false,
+			]);
+		});
+
+		it('should only announce the warning the reader revealed', () => {
+			group.warnings[0].shadowRoot.querySelector('button').click();
+			const announcement =
+				group.warnings[1].shadowRoot.querySelector('.sr-announcement');
+			expect(announcement.innerHTML).toBe('');
+		});
+	});
+});
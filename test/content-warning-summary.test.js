@@ -0,0 +1,263 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { ContentWarningSummaryElement } from '../content-warning-summary.js';
+
+describe('ContentWarningSummaryElement', () => {
+	let summary;
+	let article;
+	const render = () =>
+		new Promise((resolve) =>
+			requestAnimationFrame(() => requestAnimationFrame(resolve)),
+		);
+	// happy-dom delivers mutation records on a timer, so wait a task first
+	const settle = async () => {
+		await new Promise((resolve) => setTimeout(resolve));
+		await render();
+	};
+	const press = (code, options = { altKey: true, shiftKey: true }) => {
+		const event = new KeyboardEvent('keydown', {
+			code,
+			bubbles: true,
+			cancelable: true,
+			...options,
+		});
+		document.dispatchEvent(event);
+		return event;
+	};
+	const button = (warning) =>
+		warning.shadowRoot.querySelector('[part="button"]');
+
+	beforeEach(async () => {
+		summary = document.createElement('content-warning-summary');
+		article = document.createElement('article');
+		article.innerHTML = `
+			<p>Intro</p>
+			<content-warning type="spoilers" id="twist"><p>one</p></content-warning>
+			<p id="between">Between</p>
+			<content-warning type="spoilers violence"><p>two</p></content-warning>
+			<content-warning type="violence"><p>three</p></content-warning>
+			<p id="after">After</p>
+		`;
+		document.body.append(summary, article);
+		await render();
+	});
+
+	afterEach(() => {
+		summary.remove();
+		article.remove();
+	});
+
+	it('should be defined', () => {
+		expect(customElements.get('content-warning-summary')).toBe(
+			ContentWarningSummaryElement,
+		);
+	});
+
+	it('should find every warning on the page', () => {
+		expect(summary.warnings).toHaveLength(3);
+		expect(summary.counts).toEqual({
+			total: 3,
+			revealed: 0,
+			types: { spoilers: 2, violence: 2 },
+		});
+	});
+
+	it('should be a labeled navigation landmark', () => {
+		const nav = summary.shadowRoot.querySelector('nav');
+		const heading = summary.shadowRoot.getElementById(
+			nav.getAttribute('aria-labelledby'),
+		);
+		expect(heading.textContent).toBe('Content warnings on this page');
+	});
+
+	it('should use the label attribute', () => {
+		summary.setAttribute('label', 'Before you read');
+		expect(
+			summary.shadowRoot.querySelector('[part="heading"]').textContent,
+		).toBe('Before you read');
+	});
+
+	it('should list types with their counts', () => {
+		const types = Array.from(
+			summary.shadowRoot.querySelectorAll('[part="type"]'),
+		).map((item) => item.textContent);
+		expect(types).toEqual(['spoilers (2)', 'violence (2)']);
+	});
+
+	it('should link to each warning, giving warnings without an id one', () => {
+		const links = Array.from(
+			summary.shadowRoot.querySelectorAll('[part="link"]'),
+		);
+		expect(links.map((link) => link.textContent)).toEqual([
+			'spoilers',
+			'spoilers and violence',
+			'violence',
+		]);
+
+		const [, second] = summary.warnings;
+		expect(links[0].getAttribute('href')).toBe('#twist');
+		expect(second.id).toMatch(/^content-warning-\d+$/);
+		expect(links[1].getAttribute('href')).toBe(`#${second.id}`);
+	});
+
+	it('should focus the warning button when a link is followed', () => {
+		const [first] = summary.warnings;
+		const link = summary.shadowRoot.querySelector('[part="link"]');
+		const event = new MouseEvent('click', {
+			bubbles: true,
+			cancelable: true,
+		});
+		link.dispatchEvent(event);
+
+		expect(event.defaultPrevented).toBe(true);
+		expect(first.shadowRoot.activeElement).toBe(button(first));
+		expect(first.revealed).toBe(false);
+	});
+
+	it('should focus revealed content', () => {
+		const [first] = summary.warnings;
+		first.reveal();
+		summary.shadowRoot.querySelector('[part="link"]').click();
+		expect(document.activeElement).toBe(first);
+		expect(first.getAttribute('tabindex')).toBe('-1');
+
+		first.blur();
+		expect(first.hasAttribute('tabindex')).toBe(false);
+	});
+
+	it('should update as warnings are added and removed', async () => {
+		const warning = document.createElement('content-warning');
+		warning.type = 'self-harm';
+		article.appendChild(warning);
+		await settle();
+		expect(
+			summary.shadowRoot.querySelectorAll('[part="link"]'),
+		).toHaveLength(4);
+
+		article.remove();
+		await settle();
+		expect(
+			summary.shadowRoot.querySelectorAll('[part="link"]'),
+		).toHaveLength(0);
+		expect(summary.shadowRoot.querySelector('nav').hidden).toBe(true);
+	});
+
+	it('should update when a type changes', async () => {
+		summary.warnings[0].type = 'gore';
+		await settle();
+		expect(
+			summary.shadowRoot.querySelector('[part="link"]').textContent,
+		).toBe('gore');
+	});
+
+	it('should leave the index alone when nothing it shows changes', async () => {
+		const items = Array.from(summary.shadowRoot.querySelectorAll('li'));
+		article.append(document.createElement('p'));
+		await settle();
+
+		const current = summary.shadowRoot.querySelectorAll('li');
+		expect(current).toHaveLength(items.length);
+		items.forEach((item, index) => expect(current[index]).toBe(item));
+	});
+
+	it('should keep focus on a link as warnings come and go', async () => {
+		const links = () =>
+			Array.from(summary.shadowRoot.querySelectorAll('[part="link"]'));
+		const link = links()[1];
+		link.focus();
+
+		const warning = document.createElement('content-warning');
+		warning.type = 'gore';
+		article.prepend(warning);
+		summary.warnings[3].remove();
+		await settle();
+
+		expect(links().map((item) => item.textContent)).toEqual([
+			'gore',
+			'spoilers',
+			'spoilers and violence',
+		]);
+		expect(summary.shadowRoot.activeElement).toBe(link);
+	});
+
+	it('should update its strings when the language changes', async () => {
+		document.documentElement.setAttribute('lang', 'es');
+		try {
+			await render();
+			expect(
+				summary.shadowRoot.querySelector('[part="heading"]')
+					.textContent,
+			).toBe('Advertencias de contenido en esta página');
+		} finally {
+			document.documentElement.removeAttribute('lang');
+		}
+	});
+
+	describe('Keyboard Shortcuts', () => {
+		it('should move to the next and previous warnings', () => {
+			const [first, second, third] = summary.warnings;
+
+			expect(press('KeyN').defaultPrevented).toBe(true);
+			expect(document.activeElement).toBe(first);
+
+			press('KeyN');
+			expect(document.activeElement).toBe(second);
+			press('KeyN');
+			expect(document.activeElement).toBe(third);
+
+			press('KeyP');
+			expect(document.activeElement).toBe(second);
+			expect(second.shadowRoot.activeElement).toBe(button(second));
+		});
+
+		it('should move on from whatever has focus', () => {
+			const between = article.querySelector('#between');
+			between.tabIndex = -1;
+			between.focus();
+
+			press('KeyN');
+			expect(document.activeElement).toBe(summary.warnings[1]);
+
+			between.focus();
+			press('KeyP');
+			expect(document.activeElement).toBe(summary.warnings[0]);
+		});
+
+		it('should skip past the warning focus is in', () => {
+			button(summary.warnings[2]).focus();
+
+			expect(press('KeyS').defaultPrevented).toBe(true);
+			const after = article.querySelector('#after');
+			expect(document.activeElement).toBe(after);
+			expect(after.getAttribute('tabindex')).toBe('-1');
+		});
+
+		it('should leave the keys alone when there is nowhere to go', () => {
+			button(summary.warnings[2]).focus();
+			expect(press('KeyN').defaultPrevented).toBe(false);
+
+			article.querySelector('#after').tabIndex = -1;
+			article.querySelector('#after').focus();
+			expect(press('KeyS').defaultPrevented).toBe(false);
+		});
+
+		it('should need both Alt and Shift', () => {
+			expect(press('KeyN', { altKey: true }).defaultPrevented).toBe(
+				false,
+			);
+			expect(
+				press('KeyN', { altKey: true, shiftKey: true, ctrlKey: true })
+					.defaultPrevented,
+			).toBe(false);
+		});
+
+		it('should turn off with no-shortcuts', () => {
+			summary.setAttribute('no-shortcuts', '');
+			expect(press('KeyN').defaultPrevented).toBe(false);
+		});
+
+		it('should stop listening once disconnected', () => {
+			summary.remove();
+			expect(press('KeyN').defaultPrevented).toBe(false);
+		});
+	});
+});
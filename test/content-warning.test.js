@@ -1,5 +1,15 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+	describe,
+	it,
+	expect,
+	vi,
+	beforeAll,
+	afterAll,
+	beforeEach,
+	afterEach,
+} from 'vitest';
 import { ContentWarningElement } from '../content-warning.js';
+import { renderShadowRoot } from '../ssr.js';
 
 describe('ContentWarningElement', () => {
 	let element;
@@ -135,6 +145,13 @@ describe('ContentWarningElement', () => {
 			element.type = 'violence spoilers nsfw';
 			expect(element.type).toBe('violence spoilers nsfw');
 		});
+
+		it('should split the types', () => {
+			element.type = ' violence  spoilers ';
+			expect(element.types).toEqual(['violence', 'spoilers']);
+			element.type = null;
+			expect(element.types).toEqual([]);
+		});
 	});
 
 	describe('Content Warning Functionality', () => {
@@ -142,6 +159,20 @@ describe('ContentWarningElement', () => {
 			expect(element.revealed).toBe(false);
 		});
 
+		it('should focus the warning button while covered', () => {
+			element.focus();
+			expect(element.shadowRoot.activeElement).toBe(
+				element.shadowRoot.querySelector('[part="button"]'),
+			);
+
+			element.reveal();
+			element.setAttribute('tabindex', '-1');
+			element.focus();
+			expect(document.activeElement).toBe(element);
+			expect(element.shadowRoot.activeElement).toBeNull();
+			element.removeAttribute('tabindex');
+		});
+
 		it('should have a warning button initially', () => {
 			const button = element.shadowRoot.querySelector('button');
 			expect(button).toBeTruthy();
@@ -177,11 +208,24 @@ describe('ContentWarningElement', () => {
 			});
 		});
 
-		it('should set role="alert" when revealed', async () => {
+		it('should not set a role attribute on the host when revealed', async () => {
 			const button = element.shadowRoot.querySelector('button');
 			button.click();
 			await new Promise((resolve) => requestAnimationFrame(resolve));
-			expect(element.getAttribute('role')).toBe('alert');
+			expect(element.hasAttribute('role')).toBe(false);
+		});
+
+		it('should describe what the button hides', () => {
+			const button = element.shadowRoot.querySelector('button');
+			const ids = button.getAttribute('aria-describedby').split(' ');
+			const [note, descriptions] = ids.map((id) =>
+				element.shadowRoot.getElementById(id),
+			);
+			expect(note.textContent).toBe(
+				'The content behind this warning is hidden until you reveal it.',
+			);
+			expect(note.hidden).toBe(true);
+			expect(descriptions.getAttribute('part')).toBe('descriptions');
 		});
 
 		it('should default to "content" when no type is specified', () => {
@@ -344,6 +388,139 @@ describe('ContentWarningElement', () => {
 		});
 	});
 
+	describe('Overlay Slots', () => {
+		let testElement;
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		beforeEach(async () => {
+			testElement = document.createElement('content-warning');
+			testElement.type = 'self-harm';
+			testElement.innerHTML = `
+				<span slot="icon">⚠️</span>
+				<p slot="description">This story discusses self-harm.</p>
+				<a slot="actions" href="/support">Find support</a>
+				<p>Content</p>
+			`;
+			document.body.appendChild(testElement);
+			await render();
+		});
+
+		afterEach(() => {
+			testElement.remove();
+		});
+
+		it('should render the icon slot in the button, hidden from assistive technology', () => {
+			const icon = testElement.shadowRoot.querySelector('[part="icon"]');
+			expect(icon.closest('button')).toBeTruthy();
+			expect(icon.getAttribute('aria-hidden')).toBe('true');
+			expect(icon.querySelector('slot[name="icon"]')).toBeTruthy();
+		});
+
+		it('should use the default label as warning slot fallback content', () => {
+			const button =
+				testElement.shadowRoot.querySelector('[part="button"]');
+			const warningSlot = button.querySelector('slot[name="warning"]');
+			expect(
+				warningSlot.querySelector('[part="label-prefix"]'),
+			).toBeTruthy();
+			expect(
+				warningSlot.querySelector('[part="label-type"]'),
+			).toBeTruthy();
+
+			// The component keeps the instructions
+			expect(
+				warningSlot.querySelector('[part="label-suffix"]'),
+			).toBeNull();
+			expect(
+				button.querySelector('[part="label-suffix"]').textContent,
+			).toBe('Click to reveal');
+		});
+
+		it('should describe the button with slotted descriptions', () => {
+			const descriptions = testElement.shadowRoot.querySelector(
+				'[part="descriptions"]',
+			);
+			expect(
+				descriptions.querySelector('slot[name="description"]'),
+			).toBeTruthy();
+			expect(descriptions.hidden).toBe(false);
+			expect(
+				testElement.shadowRoot
+					.querySelector('[part="button"]')
+					.getAttribute('aria-describedby'),
+			).toContain(descriptions.id);
+		});
+
+		it('should hide the descriptions container once slotted descriptions are removed', async () => {
+			testElement.querySelector('[slot="description"]').remove();
+			await render();
+
+			expect(
+				testElement.shadowRoot.querySelector('[part="descriptions"]')
+					.hidden,
+			).toBe(true);
+		});
+
+		it('should render the actions slot on the overlay', () => {
+			const actions =
+				testElement.shadowRoot.querySelector('[part="actions"]');
+			expect(actions.closest('.overlay')).toBeTruthy();
+			expect(actions.closest('button')).toBeNull();
+			expect(actions.querySelector('slot[name="actions"]')).toBeTruthy();
+		});
+
+		// In browsers, events from slotted content pass through the slot on
+		// their way to the overlay. happy-dom leaves slots out of the path,
+		// so dispatch from the slot itself.
+		it('should not reveal when a slotted action is used', async () => {
+			testElement.shadowRoot
+				.querySelector('slot[name="actions"]')
+				.dispatchEvent(
+					new MouseEvent('click', { bubbles: true, composed: true }),
+				);
+			await render();
+
+			expect(testElement.revealed).toBe(false);
+
+			testElement.shadowRoot.querySelector('[part="button"]').click();
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should not start a hold from a slotted action', () => {
+			testElement.setAttribute('reveal-mode', 'hold');
+			testElement.shadowRoot
+				.querySelector('slot[name="description"]')
+				.dispatchEvent(
+					new KeyboardEvent('keydown', {
+						key: 'Enter',
+						bubbles: true,
+						composed: true,
+					}),
+				);
+
+			expect(testElement._internals.holdStart).toBeNull();
+		});
+
+		it('should remove the overlay slots on reveal and restore them on hide', () => {
+			testElement.reveal();
+			expect(
+				testElement.shadowRoot.querySelector('slot[name="actions"]'),
+			).toBeNull();
+
+			testElement.hide();
+			expect(
+				testElement.shadowRoot.querySelector('slot[name="actions"]'),
+			).toBeTruthy();
+			expect(
+				testElement.shadowRoot.querySelector('[part="descriptions"]')
+					.hidden,
+			).toBe(false);
+		});
+	});
+
 	describe('Display Modes', () => {
 		it('should support block display by default when defined', () => {
 			// Element is upgraded and defined
@@ -484,6 +661,118 @@ describe('ContentWarningElement', () => {
 				expect(wrapper.hasAttribute('inert')).toBe(false);
 			});
 		});
+
+		describe('Mode Attribute', () => {
+			const wrapper = () =>
+				testElement.shadowRoot.querySelector('.content-wrapper');
+			const placeholder = () =>
+				testElement.shadowRoot.querySelector('[part="placeholder"]');
+			const nextFrame = () =>
+				new Promise((resolve) => requestAnimationFrame(resolve));
+
+			it('should reflect the mode property', () => {
+				testElement.mode = 'teaser';
+				expect(testElement.getAttribute('mode')).toBe('teaser');
+				testElement.mode = null;
+				expect(testElement.hasAttribute('mode')).toBe(false);
+			});
+
+			it('should default to hidden', () => {
+				expect(wrapper().dataset.mode).toBe('hidden');
+				expect(
+					testElement.shadowRoot.querySelector('.overlay').dataset
+						.mode,
+				).toBe('hidden');
+				expect(wrapper().hasAttribute('hidden')).toBe(true);
+				expect(placeholder().hidden).toBe(true);
+			});
+
+			it('should treat the blur attribute as blur mode', () => {
+				testElement.setAttribute('blur', '');
+				expect(wrapper().dataset.mode).toBe('blur');
+			});
+
+			it('should prefer the mode attribute over blur', () => {
+				testElement.setAttribute('blur', '');
+				testElement.setAttribute('mode', 'placeholder');
+				expect(wrapper().dataset.mode).toBe('placeholder');
+				expect(wrapper().hasAttribute('hidden')).toBe(true);
+			});
+
+			it('should ignore unknown modes', () => {
+				testElement.setAttribute('mode', 'sparkle');
+				expect(wrapper().dataset.mode).toBe('hidden');
+			});
+
+			it('should pixelate content with a shared document filter', () => {
+				testElement.setAttribute('mode', 'pixelate');
+
+				expect(wrapper().dataset.mode).toBe('pixelate');
+				expect(wrapper().hasAttribute('hidden')).toBe(false);
+				expect(wrapper().getAttribute('aria-hidden')).toBe('true');
+
+				const filter = document.getElementById(
+					'content-warning-pixelate',
+				);
+				expect(filter.localName).toBe('filter');
+				expect(filter.querySelector('feMorphology')).toBeTruthy();
+
+				testElement.removeAttribute('mode');
+				testElement.setAttribute('mode', 'pixelate');
+				expect(
+					document.querySelectorAll('#content-warning-pixelate'),
+				).toHaveLength(1);
+			});
+
+			it('should show teaser content to sighted readers only', () => {
+				testElement.setAttribute('mode', 'teaser');
+				expect(wrapper().dataset.mode).toBe('teaser');
+				expect(wrapper().hasAttribute('hidden')).toBe(false);
+				expect(wrapper().getAttribute('aria-hidden')).toBe('true');
+			});
+
+			it('should show a placeholder sized to the content', async () => {
+				testElement.innerHTML =
+					'<img src="photo.jpg" alt="" width="800" height="600">';
+				testElement.setAttribute('mode', 'placeholder');
+				await nextFrame();
+
+				expect(wrapper().hasAttribute('hidden')).toBe(true);
+				expect(wrapper().hasAttribute('inert')).toBe(true);
+				expect(placeholder().hidden).toBe(false);
+				expect(
+					placeholder().style.getPropertyValue('--_cw-aspect-ratio'),
+				).toBe('800 / 600');
+			});
+
+			it('should hide the placeholder on reveal and restore it on hide', () => {
+				testElement.setAttribute('mode', 'placeholder');
+
+				testElement.reveal();
+				expect(placeholder().hidden).toBe(true);
+				expect(wrapper().hasAttribute('data-mode')).toBe(false);
+
+				testElement.hide();
+				expect(placeholder().hidden).toBe(false);
+				expect(wrapper().dataset.mode).toBe('placeholder');
+			});
+
+			it('should show a slotted placeholder in place of hidden content', async () => {
+				const thumbnail = document.createElement('img');
+				thumbnail.slot = 'placeholder';
+				thumbnail.alt = 'A safe thumbnail';
+				testElement.appendChild(thumbnail);
+				await nextFrame();
+
+				expect(placeholder().hidden).toBe(false);
+				expect(placeholder().classList.contains('custom')).toBe(true);
+				expect(wrapper().dataset.mode).toBe('placeholder');
+
+				// Modes that keep the content on screen don't need it
+				testElement.setAttribute('mode', 'blur');
+				expect(placeholder().hidden).toBe(true);
+			});
+		});
 	});
 
 	describe('Screen Reader Announcements', () => {
@@ -492,6 +781,7 @@ describe('ContentWarningElement', () => {
 		beforeEach(async () => {
 			testElement = document.createElement('content-warning');
 			testElement.type = 'test-warning';
+			testElement.setAttribute('announce', 'clone');
 			testElement.innerHTML =
 				'<p>Revealed content here</p><span>More content</span>';
 			document.body.appendChild(testElement);
@@ -510,13 +800,13 @@ describe('ContentWarningElement', () => {
 			expect(announcement).toBeTruthy();
 		});
 
-		it('should have role="alert" on announcement region', () => {
+		it('should have role="alert" on a clone announcement region', () => {
 			const announcement =
 				testElement.shadowRoot.querySelector('.sr-announcement');
 			expect(announcement.getAttribute('role')).toBe('alert');
 		});
 
-		it('should have aria-live="assertive" on announcement region', () => {
+		it('should have aria-live="assertive" on a clone announcement region', () => {
 			const announcement =
 				testElement.shadowRoot.querySelector('.sr-announcement');
 			expect(announcement.getAttribute('aria-live')).toBe('assertive');
@@ -570,19 +860,2772 @@ describe('ContentWarningElement', () => {
 			expect(announcement.querySelector('em')).toBeTruthy();
 		});
 
-		it('should keep announcement content after reveal (no cleanup)', async () => {
-			const button = testElement.shadowRoot.querySelector('button');
-			button.click();
-			await new Promise((resolve) => requestAnimationFrame(resolve));
+		it('should keep announcement content long enough to be read', () => {
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+			try {
+				testElement.shadowRoot.querySelector('button').click();
+				const announcement =
+					testElement.shadowRoot.querySelector('.sr-announcement');
+				const initialContent = announcement.innerHTML;
+				expect(initialContent).not.toBe('');
+
+				vi.advanceTimersByTime(4999);
+				expect(announcement.innerHTML).toBe(initialContent);
+			} finally {
+				vi.useRealTimers();
+			}
+		});
+
+		it('should clear the announcement afterward', () => {
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+			try {
+				testElement.shadowRoot.querySelector('button').click();
+				const announcement =
+					testElement.shadowRoot.querySelector('.sr-announcement');
+				expect(announcement.innerHTML).not.toBe('');
+
+				vi.advanceTimersByTime(5000);
+				expect(announcement.innerHTML).toBe('');
+			} finally {
+				vi.useRealTimers();
+			}
+		});
+
+		it('should strip IDs and tab stops from the clone', () => {
+			testElement.innerHTML =
+				'<p id="intro">Intro with <a href="#more">a link</a></p>';
+			testElement.shadowRoot.querySelector('button').click();
+
+			const announcement =
+				testElement.shadowRoot.querySelector('.sr-announcement');
+			expect(announcement.querySelector('[id]')).toBeNull();
+			expect(
+				announcement.querySelector('a').getAttribute('tabindex'),
+			).toBe('-1');
+			expect(testElement.querySelector('#intro')).toBeTruthy();
+		});
+	});
+
+	describe('Announcement Strategies', () => {
+		let testElement;
+
+		beforeEach(async () => {
+			testElement = document.createElement('content-warning');
+			testElement.type = 'violence spoilers';
+			testElement.innerHTML = '<p>First</p><p>Second</p>';
+		});
+
+		afterEach(() => {
+			testElement.remove();
+		});
+
+		const connect = async () => {
+			document.body.appendChild(testElement);
+			await new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+		};
+		const announcement = () =>
+			testElement.shadowRoot.querySelector('.sr-announcement');
+
+		it('should announce a polite summary by default', async () => {
+			await connect();
+			expect(announcement().getAttribute('role')).toBe('status');
+			expect(announcement().getAttribute('aria-live')).toBe('polite');
+
+			testElement.shadowRoot.querySelector('button').click();
+
+			expect(announcement().textContent).toBe(
+				'Content revealed: violence and spoilers',
+			);
+			expect(announcement().querySelector('p')).toBeNull();
+		});
+
+		it('should summarize in the element locale', async () => {
+			testElement.lang = 'fr';
+			await connect();
+			testElement.shadowRoot.querySelector('button').click();
+			expect(announcement().textContent).toBe(
+				'Contenu révélé: violence et spoilers',
+			);
+		});
+
+		it('should summarize untyped content', async () => {
+			testElement.type = null;
+			await connect();
+			testElement.shadowRoot.querySelector('button').click();
+			expect(announcement().textContent).toBe('Content revealed');
+		});
+
+		it('should move focus to the first slotted element in focus mode', async () => {
+			testElement.setAttribute('announce', 'focus');
+			await connect();
+			testElement.shadowRoot.querySelector('button').click();
+
+			const first = testElement.querySelector('p');
+			expect(document.activeElement).toBe(first);
+			expect(first.getAttribute('tabindex')).toBe('-1');
+			expect(announcement().textContent).toBe('');
+
+			first.blur();
+			expect(first.hasAttribute('tabindex')).toBe(false);
+		});
+
+		it('should update the live region when announce changes', async () => {
+			await connect();
+			testElement.setAttribute('announce', 'clone');
+			expect(announcement().getAttribute('role')).toBe('alert');
+			expect(announcement().getAttribute('aria-live')).toBe('assertive');
+		});
+	});
+
+	describe('Re-hiding Content', () => {
+		let testElement;
+
+		beforeEach(async () => {
+			testElement = document.createElement('content-warning');
+			testElement.type = 'graphic';
+			testElement.innerHTML = '<p>Graphic content</p>';
+			document.body.appendChild(testElement);
+			await new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+		});
+
+		afterEach(() => {
+			testElement.remove();
+		});
+
+		it('should reveal content with reveal()', () => {
+			testElement.reveal();
+			expect(testElement.revealed).toBe(true);
+			expect(testElement.hasAttribute('revealed')).toBe(true);
+			expect(testElement.shadowRoot.querySelector('.overlay')).toBeNull();
+		});
+
+		it('should rebuild the overlay with hide()', () => {
+			testElement.reveal();
+			testElement.hide();
+
+			expect(testElement.revealed).toBe(false);
+			expect(testElement.hasAttribute('revealed')).toBe(false);
+			expect(testElement.hasAttribute('role')).toBe(false);
+
+			const overlay = testElement.shadowRoot.querySelector('.overlay');
+			const button = overlay.querySelector('[part="button"]');
+			expect(overlay.getAttribute('part')).toBe('overlay');
+			expect(button.textContent).toContain('graphic');
+			expect(testElement._refs.overlay).toBe(overlay);
+			expect(testElement._refs.button).toBe(button);
+		});
+
+		it('should restore hidden and inert on hide()', () => {
+			const wrapper =
+				testElement.shadowRoot.querySelector('.content-wrapper');
+			testElement.reveal();
+			testElement.hide();
+
+			expect(wrapper.hasAttribute('hidden')).toBe(true);
+			expect(wrapper.hasAttribute('inert')).toBe(true);
+		});
+
+		it('should restore blur state on hide()', () => {
+			testElement.setAttribute('blur', '');
+			const wrapper =
+				testElement.shadowRoot.querySelector('.content-wrapper');
+			testElement.reveal();
+			testElement.hide();
 
+			expect(wrapper.hasAttribute('aria-hidden')).toBe(true);
+			expect(wrapper.hasAttribute('hidden')).toBe(false);
+		});
+
+		it('should reveal again after hide() when the button is clicked', () => {
+			testElement.reveal();
+			testElement.hide();
+			testElement.shadowRoot.querySelector('button').click();
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should clear the announcement on hide()', () => {
+			testElement.reveal();
+			testElement.hide();
 			const announcement =
 				testElement.shadowRoot.querySelector('.sr-announcement');
-			const initialContent = announcement.innerHTML;
+			expect(announcement.innerHTML).toBe('');
+		});
+
+		it('should toggle between states', () => {
+			expect(testElement.toggle()).toBe(true);
+			expect(testElement.revealed).toBe(true);
+			expect(testElement.toggle()).toBe(false);
+			expect(testElement.revealed).toBe(false);
+		});
+
+		it('should honor the force argument of toggle()', () => {
+			expect(testElement.toggle(false)).toBe(false);
+			expect(testElement.toggle(true)).toBe(true);
+			expect(testElement.toggle(true)).toBe(true);
+		});
+
+		it('should reveal and hide via the revealed property', () => {
+			testElement.revealed = true;
+			expect(testElement.hasAttribute('revealed')).toBe(true);
+			testElement.revealed = false;
+			expect(testElement.hasAttribute('revealed')).toBe(false);
+			expect(
+				testElement.shadowRoot.querySelector('.overlay'),
+			).toBeTruthy();
+		});
+
+		it('should reveal and hide via the revealed attribute', () => {
+			testElement.setAttribute('revealed', '');
+			expect(testElement.revealed).toBe(true);
+			testElement.removeAttribute('revealed');
+			expect(testElement.revealed).toBe(false);
+		});
+
+		it('should dispatch hidden event on hide()', () => {
+			let detail = null;
+			testElement.addEventListener('content-warning:hidden', (e) => {
+				detail = e.detail;
+			});
+			testElement.reveal();
+			testElement.hide();
+			expect(detail).toEqual({ type: 'graphic' });
+		});
+
+		it('should not dispatch events when state does not change', () => {
+			let count = 0;
+			testElement.addEventListener('content-warning:hidden', () => {
+				count++;
+			});
+			testElement.hide();
+			expect(count).toBe(0);
+		});
+
+		it('should render revealed when the attribute is present initially', async () => {
+			const revealedElement = document.createElement('content-warning');
+			revealedElement.setAttribute('revealed', '');
+			revealedElement.innerHTML = '<p>Already visible</p>';
+			document.body.appendChild(revealedElement);
+			await new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+			const wrapper =
+				revealedElement.shadowRoot.querySelector('.content-wrapper');
+			expect(revealedElement.revealed).toBe(true);
+			expect(
+				revealedElement.shadowRoot.querySelector('.overlay'),
+			).toBeNull();
+			expect(wrapper.hasAttribute('hidden')).toBe(false);
+
+			revealedElement.remove();
+		});
+
+		describe('Hide Again Button', () => {
+			beforeEach(() => {
+				testElement.setAttribute('hideable', '');
+			});
+
+			it('should not show the hide button before reveal', () => {
+				expect(
+					testElement.shadowRoot.querySelector(
+						'[part="hide-button"]',
+					),
+				).toBeNull();
+			});
+
+			it('should show the hide button after reveal', () => {
+				testElement.reveal();
+				const hideButton = testElement.shadowRoot.querySelector(
+					'[part="hide-button"]',
+				);
+				expect(hideButton).toBeTruthy();
+				expect(hideButton.textContent).toBe('Hide again');
+			});
+
+			it('should use the hide-label attribute', () => {
+				testElement.hideLabel = 'Cover it up';
+				testElement.reveal();
+				const hideButton = testElement.shadowRoot.querySelector(
+					'[part="hide-button"]',
+				);
+				expect(hideButton.textContent).toBe('Cover it up');
+			});
+
+			it('should hide the content when clicked', () => {
+				testElement.reveal();
+				testElement.shadowRoot
+					.querySelector('[part="hide-button"]')
+					.click();
+
+				expect(testElement.revealed).toBe(false);
+				expect(
+					testElement.shadowRoot.querySelector(
+						'[part="hide-button"]',
+					),
+				).toBeNull();
+				expect(
+					testElement.shadowRoot.querySelector('.overlay'),
+				).toBeTruthy();
+			});
+
+			it('should not show the hide button without hideable', () => {
+				testElement.removeAttribute('hideable');
+				testElement.reveal();
+				expect(
+					testElement.shadowRoot.querySelector(
+						'[part="hide-button"]',
+					),
+				).toBeNull();
+			});
+
+			it('should add the hide button when hideable is set after reveal', () => {
+				testElement.removeAttribute('hideable');
+				testElement.reveal();
+				testElement.setAttribute('hideable', '');
+				expect(
+					testElement.shadowRoot.querySelector(
+						'[part="hide-button"]',
+					),
+				).toBeTruthy();
+			});
+		});
+	});
+
+	describe('Persistence', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		let testElement;
 
-			// Wait longer than any potential cleanup timer
-			await new Promise((resolve) => setTimeout(resolve, 2000));
+		beforeEach(() => {
+			testElement = document.createElement('content-warning');
+			testElement.setAttribute('persist', '');
+			testElement.setAttribute('persist-key', 'spoiler-1');
+			testElement.innerHTML = '<p>Spoiler</p>';
+		});
+
+		afterEach(() => {
+			testElement.remove();
+			localStorage.clear();
+			sessionStorage.clear();
+		});
+
+		it('should save the reveal decision to localStorage by default', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			testElement.reveal();
+			expect(localStorage.getItem('content-warning:spoiler-1')).toBe(
+				'revealed',
+			);
+		});
+
+		it('should forget the decision when hidden again', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			testElement.reveal();
+			testElement.hide();
+			expect(
+				localStorage.getItem('content-warning:spoiler-1'),
+			).toBeNull();
+		});
+
+		it('should restore the revealed state on connect', async () => {
+			localStorage.setItem('content-warning:spoiler-1', 'revealed');
+			document.body.appendChild(testElement);
+
+			// Restored before the first render
+			expect(testElement.revealed).toBe(true);
+			expect(testElement.hasAttribute('revealed')).toBe(true);
+
+			await render();
+			expect(testElement.shadowRoot.querySelector('.overlay')).toBeNull();
+		});
+
+		it('should not dispatch revealed event when restoring', async () => {
+			localStorage.setItem('content-warning:spoiler-1', 'revealed');
+			let fired = false;
+			testElement.addEventListener('content-warning:revealed', () => {
+				fired = true;
+			});
+			document.body.appendChild(testElement);
+			await render();
+			expect(fired).toBe(false);
+		});
+
+		it('should fall back to the element id as the key', async () => {
+			testElement.removeAttribute('persist-key');
+			testElement.id = 'finale';
+			document.body.appendChild(testElement);
+			await render();
+			testElement.reveal();
+			expect(localStorage.getItem('content-warning:finale')).toBe(
+				'revealed',
+			);
+		});
+
+		it('should not persist without the persist attribute', async () => {
+			testElement.removeAttribute('persist');
+			document.body.appendChild(testElement);
+			await render();
+			testElement.reveal();
+			expect(
+				localStorage.getItem('content-warning:spoiler-1'),
+			).toBeNull();
+		});
+
+		it('should use a named storage adapter', async () => {
+			testElement.setAttribute('persist', 'session');
+			document.body.appendChild(testElement);
+			await render();
+			testElement.reveal();
+			expect(sessionStorage.getItem('content-warning:spoiler-1')).toBe(
+				'revealed',
+			);
+			expect(
+				localStorage.getItem('content-warning:spoiler-1'),
+			).toBeNull();
+		});
+
+		it('should use a registered custom adapter', async () => {
+			const store = new Map();
+			ContentWarningElement.registerStorage('memory', {
+				get: (key) => store.get(key) ?? null,
+				set: (key, value) => store.set(key, value),
+				remove: (key) => store.delete(key),
+			});
+			store.set('content-warning:spoiler-1', 'revealed');
+			testElement.setAttribute('persist', 'memory');
+			document.body.appendChild(testElement);
+			await render();
+
+			expect(testElement.revealed).toBe(true);
+			testElement.hide();
+			expect(store.has('content-warning:spoiler-1')).toBe(false);
+		});
+
+		it('should share adapters registered through a subclass', () => {
+			class SubclassWarning extends ContentWarningElement {}
+			const adapter = {
+				get: () => null,
+				set: () => {},
+				remove: () => {},
+			};
+			SubclassWarning.registerStorage('subclass', adapter);
+			expect(SubclassWarning.getStorage('subclass')).toBe(adapter);
+			expect(ContentWarningElement.getStorage('subclass')).toBe(adapter);
+		});
+
+		it('should reject invalid storage adapters', () => {
+			expect(() =>
+				ContentWarningElement.registerStorage('broken', {}),
+			).toThrow(TypeError);
+		});
+
+		it('should reflect persistKey property to attribute', () => {
+			testElement.persistKey = 'other';
+			expect(testElement.getAttribute('persist-key')).toBe('other');
+		});
+	});
+
+	describe('Type Preferences', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		let testElement;
+
+		beforeEach(() => {
+			testElement = document.createElement('content-warning');
+			testElement.type = 'spoilers';
+			testElement.innerHTML = '<p>Spoiler</p>';
+		});
+
+		afterEach(() => {
+			testElement.remove();
+			ContentWarningElement.preferences.clear();
+			localStorage.clear();
+		});
+
+		it('should expose a shared preferences registry', () => {
+			expect(ContentWarningElement.preferences).toBeTruthy();
+			expect(typeof ContentWarningElement.preferences.set).toBe(
+				'function',
+			);
+		});
+
+		it('should auto-reveal types set to show on connect', async () => {
+			ContentWarningElement.preferences.set('spoilers', 'show');
+			document.body.appendChild(testElement);
+			expect(testElement.revealed).toBe(true);
+
+			await render();
+			expect(testElement.shadowRoot.querySelector('.overlay')).toBeNull();
+		});
 
-			expect(announcement.innerHTML).toBe(initialContent);
+		it('should not auto-reveal when only some types are shown', async () => {
+			ContentWarningElement.preferences.set('spoilers', 'show');
+			testElement.type = 'spoilers violence';
+			document.body.appendChild(testElement);
+			await render();
+			expect(testElement.revealed).toBe(false);
+		});
+
+		it('should keep types set to hide covered despite a saved reveal', async () => {
+			localStorage.setItem('content-warning:s1', 'revealed');
+			testElement.setAttribute('persist', '');
+			testElement.id = 's1';
+			ContentWarningElement.preferences.set('spoilers', 'hide');
+			document.body.appendChild(testElement);
+			await render();
+			expect(testElement.revealed).toBe(false);
+			expect(testElement.hasAttribute('revealed')).toBe(false);
+		});
+
+		it('should still allow the reader to reveal hidden types', async () => {
+			ContentWarningElement.preferences.set('spoilers', 'hide');
+			document.body.appendChild(testElement);
+			await render();
+			testElement.shadowRoot.querySelector('button').click();
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should reveal live elements when a preference changes to show', async () => {
+			document.body.appendChild(testElement);
+			await render();
+
+			let fired = false;
+			testElement.addEventListener('content-warning:revealed', () => {
+				fired = true;
+			});
+			ContentWarningElement.preferences.set('spoilers', 'show');
+
+			expect(testElement.revealed).toBe(true);
+			expect(fired).toBe(true);
+			// Automatic reveals are not announced
+			const announcement =
+				testElement.shadowRoot.querySelector('.sr-announcement');
+			expect(announcement.innerHTML).toBe('');
+		});
+
+		it('should hide live elements when a preference changes to hide', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			testElement.reveal();
+
+			ContentWarningElement.preferences.set('spoilers', 'hide');
+			expect(testElement.revealed).toBe(false);
+			expect(
+				testElement.shadowRoot.querySelector('.overlay'),
+			).toBeTruthy();
+		});
+
+		it('should ignore preferences for unrelated types', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			ContentWarningElement.preferences.set('violence', 'show');
+			expect(testElement.revealed).toBe(false);
+		});
+
+		it('should stop listening when disconnected', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			testElement.remove();
+			ContentWarningElement.preferences.set('spoilers', 'show');
+			expect(testElement.revealed).toBe(false);
+		});
+	});
+
+	describe('Before Events', () => {
+		let testElement;
+
+		beforeEach(async () => {
+			testElement = document.createElement('content-warning');
+			testElement.type = 'mature';
+			testElement.setAttribute('hideable', '');
+			testElement.innerHTML = '<p>Mature content</p>';
+			document.body.appendChild(testElement);
+			await new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+		});
+
+		afterEach(() => {
+			testElement.remove();
+		});
+
+		const clickWarning = () =>
+			testElement.shadowRoot.querySelector('[part="button"]').click();
+
+		it('should dispatch a cancelable beforereveal event before revealing', () => {
+			let event = null;
+			let revealedDuringEvent = null;
+			testElement.addEventListener(
+				'content-warning:beforereveal',
+				(e) => {
+					event = e;
+					revealedDuringEvent = testElement.revealed;
+				},
+			);
+			clickWarning();
+
+			expect(event.cancelable).toBe(true);
+			expect(event.detail.type).toBe('mature');
+			expect(revealedDuringEvent).toBe(false);
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should not reveal when beforereveal is canceled', () => {
+			let revealedFired = false;
+			testElement.addEventListener('content-warning:beforereveal', (e) =>
+				e.preventDefault(),
+			);
+			testElement.addEventListener('content-warning:revealed', () => {
+				revealedFired = true;
+			});
+			clickWarning();
+
+			expect(testElement.revealed).toBe(false);
+			expect(revealedFired).toBe(false);
+			expect(
+				testElement.shadowRoot.querySelector('.overlay'),
+			).toBeTruthy();
+		});
+
+		it('should wait for waitUntil() promises before revealing', async () => {
+			let confirm;
+			testElement.addEventListener('content-warning:beforereveal', (e) =>
+				e.waitUntil(
+					new Promise((resolve) => {
+						confirm = resolve;
+					}),
+				),
+			);
+			clickWarning();
+
+			expect(testElement.revealed).toBe(false);
+			const button =
+				testElement.shadowRoot.querySelector('[part="button"]');
+			expect(button.getAttribute('aria-busy')).toBe('true');
+
+			confirm();
+			await new Promise((resolve) => setTimeout(resolve));
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should cancel when a waitUntil() promise rejects', async () => {
+			testElement.addEventListener('content-warning:beforereveal', (e) =>
+				e.waitUntil(Promise.reject(new Error('Not verified'))),
+			);
+			const revealed = await testElement.requestReveal();
+
+			expect(revealed).toBe(false);
+			expect(testElement.revealed).toBe(false);
+			const button =
+				testElement.shadowRoot.querySelector('[part="button"]');
+			expect(button.hasAttribute('aria-busy')).toBe(false);
+		});
+
+		it('should cancel when a waitUntil() promise resolves to false', async () => {
+			testElement.addEventListener('content-warning:beforereveal', (e) =>
+				e.waitUntil(Promise.resolve(false)),
+			);
+			expect(await testElement.requestReveal()).toBe(false);
+			expect(testElement.revealed).toBe(false);
+		});
+
+		it('should ignore clicks while a reveal is pending', async () => {
+			let count = 0;
+			testElement.addEventListener(
+				'content-warning:beforereveal',
+				(e) => {
+					count++;
+					e.waitUntil(Promise.resolve());
+				},
+			);
+			clickWarning();
+			clickWarning();
+			await new Promise((resolve) => setTimeout(resolve));
+			expect(count).toBe(1);
+		});
+
+		it('should ignore reveal(), hide() and toggle() while a change is pending', async () => {
+			let confirm;
+			testElement.addEventListener('content-warning:beforereveal', (e) =>
+				e.waitUntil(
+					new Promise((resolve) => {
+						confirm = resolve;
+					}),
+				),
+			);
+			const request = testElement.requestReveal();
+
+			testElement.reveal();
+			expect(testElement.toggle()).toBe(false);
+			expect(testElement.revealed).toBe(false);
+
+			confirm();
+			expect(await request).toBe(true);
+			expect(testElement.revealed).toBe(true);
+
+			testElement.addEventListener('content-warning:beforehide', (e) =>
+				e.waitUntil(Promise.resolve()),
+			);
+			const hideRequest = testElement.requestHide();
+			testElement.hide();
+			expect(testElement.toggle(false)).toBe(true);
+			expect(await hideRequest).toBe(true);
+			expect(testElement.revealed).toBe(false);
+		});
+
+		it('should reject waitUntil() after dispatch', () => {
+			let event = null;
+			testElement.addEventListener(
+				'content-warning:beforereveal',
+				(e) => {
+					event = e;
+				},
+			);
+			clickWarning();
+			expect(() => event.waitUntil(Promise.resolve())).toThrow();
+		});
+
+		it('should resolve requestReveal() to true when revealed', async () => {
+			expect(await testElement.requestReveal()).toBe(true);
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should let reveal() bypass beforereveal', () => {
+			testElement.addEventListener('content-warning:beforereveal', (e) =>
+				e.preventDefault(),
+			);
+			testElement.reveal();
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should dispatch a cancelable beforehide event from the hide button', () => {
+			testElement.reveal();
+			testElement.addEventListener('content-warning:beforehide', (e) =>
+				e.preventDefault(),
+			);
+			testElement.shadowRoot
+				.querySelector('[part="hide-button"]')
+				.click();
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should hide through requestHide() when allowed', async () => {
+			testElement.reveal();
+			let hiddenFired = false;
+			testElement.addEventListener('content-warning:hidden', () => {
+				hiddenFired = true;
+			});
+			expect(await testElement.requestHide()).toBe(true);
+			expect(testElement.revealed).toBe(false);
+			expect(hiddenFired).toBe(true);
+		});
+	});
+
+	describe('Type Registry', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		let testElement;
+
+		beforeAll(() => {
+			ContentWarningElement.defineType('sa', {
+				label: 'sexual assault',
+				description: 'Describes an assault.',
+				severity: 'high',
+			});
+			ContentWarningElement.defineType('self-harm', {
+				label: { en: 'self-harm', es: 'autolesiones' },
+				description: {
+					en: 'Mentions self-harm.',
+					es: 'Menciona autolesiones.',
+				},
+				icon: '⚠',
+			});
+		});
+
+		beforeEach(() => {
+			testElement = document.createElement('content-warning');
+		});
+
+		afterEach(() => {
+			testElement.remove();
+		});
+
+		it('should look up registered types', () => {
+			expect(ContentWarningElement.getType('sa')).toEqual({
+				label: 'sexual assault',
+				description: 'Describes an assault.',
+				severity: 'high',
+			});
+			expect(ContentWarningElement.getType('unknown')).toBeUndefined();
+		});
+
+		it('should reject definitions without a label', () => {
+			expect(() => ContentWarningElement.defineType('x', {})).toThrow(
+				TypeError,
+			);
+		});
+
+		it('should reject unknown severities', () => {
+			expect(() =>
+				ContentWarningElement.defineType('x', {
+					label: 'x',
+					severity: 'extreme',
+				}),
+			).toThrow(TypeError);
+		});
+
+		it('should render registered labels instead of keys', async () => {
+			testElement.type = 'sa';
+			document.body.appendChild(testElement);
+			await render();
+			const typeSpan = testElement.shadowRoot.querySelector(
+				'[part="label-type"]',
+			);
+			expect(typeSpan.textContent).toBe('sexual assault');
+		});
+
+		it('should join multiple types into a readable list', async () => {
+			testElement.type = 'violence self-harm spoilers';
+			document.body.appendChild(testElement);
+			await render();
+			const typeSpan = testElement.shadowRoot.querySelector(
+				'[part="label-type"]',
+			);
+			expect(typeSpan.textContent).toBe(
+				'violence, ⚠self-harm, and spoilers',
+			);
+		});
+
+		it('should expose each type as its own part', async () => {
+			testElement.type = 'violence self-harm';
+			document.body.appendChild(testElement);
+			await render();
+			const parts = Array.from(
+				testElement.shadowRoot.querySelectorAll(
+					'[part="label-type"] > span',
+				),
+			).map((span) => span.getAttribute('part'));
+			expect(parts).toEqual([
+				'type type-violence',
+				'type type-self-harm',
+			]);
+		});
+
+		it('should render icons as decorative', async () => {
+			testElement.type = 'self-harm';
+			document.body.appendChild(testElement);
+			await render();
+			const icon =
+				testElement.shadowRoot.querySelector('[part="type-icon"]');
+			expect(icon.textContent).toBe('⚠');
+			expect(icon.getAttribute('aria-hidden')).toBe('true');
+		});
+
+		it('should render descriptions on the overlay', async () => {
+			testElement.type = 'sa self-harm';
+			document.body.appendChild(testElement);
+			await render();
+			const descriptions = testElement.shadowRoot.querySelector(
+				'[part="descriptions"]',
+			);
+			expect(descriptions.hidden).toBe(false);
+			expect(
+				Array.from(
+					descriptions.querySelectorAll('[part="description"]'),
+				).map((p) => p.textContent),
+			).toEqual(['Describes an assault.', 'Mentions self-harm.']);
+		});
+
+		it('should hide the descriptions container when there are none', async () => {
+			testElement.type = 'violence';
+			document.body.appendChild(testElement);
+			await render();
+			expect(
+				testElement.shadowRoot.querySelector('[part="descriptions"]')
+					.hidden,
+			).toBe(true);
+		});
+
+		it('should pick localized labels from the nearest lang attribute', async () => {
+			const container = document.createElement('div');
+			container.lang = 'es-MX';
+			testElement.type = 'self-harm';
+			container.appendChild(testElement);
+			document.body.appendChild(container);
+			await render();
+
+			expect(
+				testElement.shadowRoot.querySelector(
+					'[part="label-type"] > span',
+				).textContent,
+			).toBe('⚠autolesiones');
+			expect(
+				testElement.shadowRoot.querySelector('[part="description"]')
+					.textContent,
+			).toBe('Menciona autolesiones.');
+
+			container.remove();
+		});
+
+		it('should render markup in registered labels as text', async () => {
+			ContentWarningElement.defineType('html', {
+				label: '<img src=x onerror="alert(1)">',
+			});
+			testElement.type = 'html';
+			document.body.appendChild(testElement);
+			await render();
+			expect(testElement.shadowRoot.querySelector('img')).toBeNull();
+		});
+	});
+
+	describe('Localization', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		let container;
+		let testElement;
+
+		beforeEach(() => {
+			container = document.createElement('div');
+			testElement = document.createElement('content-warning');
+			container.appendChild(testElement);
+		});
+
+		afterEach(() => {
+			container.remove();
+		});
+
+		const label = (part) =>
+			testElement.shadowRoot.querySelector(`[part="${part}"]`)
+				.textContent;
+
+		it('should use the locale of the nearest ancestor lang', async () => {
+			container.lang = 'es';
+			document.body.appendChild(container);
+			await render();
+			expect(label('label-prefix')).toBe('Advertencia de contenido');
+			expect(label('label-type')).toBe('contenido');
+			expect(label('label-suffix')).toBe('Haz clic para revelar');
+		});
+
+		it('should prefer its own lang attribute', async () => {
+			container.lang = 'es';
+			testElement.lang = 'fr';
+			document.body.appendChild(container);
+			await render();
+			expect(label('label-suffix')).toBe('Cliquez pour révéler');
+		});
+
+		it('should let label attributes override the locale', async () => {
+			container.lang = 'es';
+			testElement.labelPrefix = 'Aviso';
+			document.body.appendChild(container);
+			await render();
+			expect(label('label-prefix')).toBe('Aviso');
+		});
+
+		it('should format multiple types for the locale', async () => {
+			container.lang = 'es';
+			testElement.type = 'violencia sangre spoilers';
+			document.body.appendChild(container);
+			await render();
+			expect(label('label-type')).toBe('violencia, sangre y spoilers');
+		});
+
+		it('should update live when lang changes', async () => {
+			document.body.appendChild(container);
+			await render();
+			expect(label('label-prefix')).toBe('Content Warning');
+
+			container.lang = 'de';
+			await new Promise((resolve) => setTimeout(resolve));
+			expect(label('label-prefix')).toBe('Inhaltswarnung');
+		});
+
+		it('should localize the hide button', async () => {
+			container.lang = 'fr';
+			testElement.setAttribute('hideable', '');
+			document.body.appendChild(container);
+			await render();
+			testElement.reveal();
+			expect(label('hide-button')).toBe('Masquer à nouveau');
+		});
+
+		it('should use registered locales', async () => {
+			ContentWarningElement.registerLocale('x-pirate', {
+				prefix: 'Avast',
+			});
+			container.lang = 'x-pirate';
+			document.body.appendChild(container);
+			await render();
+			expect(label('label-prefix')).toBe('Avast');
+			expect(label('label-suffix')).toBe('Click to reveal');
+		});
+	});
+
+	describe('Severity', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		let testElement;
+
+		beforeAll(() => {
+			ContentWarningElement.defineType('gore', {
+				label: 'gore',
+				severity: 'high',
+			});
+			ContentWarningElement.defineType('mild-language', {
+				label: 'mild language',
+				severity: 'low',
+			});
+		});
+
+		beforeEach(() => {
+			testElement = document.createElement('content-warning');
+			testElement.innerHTML = '<p>Content</p>';
+		});
+
+		afterEach(() => {
+			testElement.remove();
+		});
+
+		const overlay = () => testElement.shadowRoot.querySelector('.overlay');
+		const button = () =>
+			testElement.shadowRoot.querySelector('[part="button"]');
+		const confirmButton = () =>
+			testElement.shadowRoot.querySelector('[part="confirm-button"]');
+
+		it('should reflect severity property to attribute', () => {
+			testElement.severity = 'medium';
+			expect(testElement.getAttribute('severity')).toBe('medium');
+		});
+
+		it('should expose the severity as an overlay part', async () => {
+			testElement.severity = 'low';
+			document.body.appendChild(testElement);
+			await render();
+			expect(overlay().getAttribute('part')).toBe('overlay overlay-low');
+			expect(overlay().classList.contains('severity-low')).toBe(true);
+		});
+
+		it('should have no severity part by default', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			expect(overlay().getAttribute('part')).toBe('overlay');
+		});
+
+		it('should derive severity from the highest registered type', async () => {
+			testElement.type = 'mild-language gore';
+			document.body.appendChild(testElement);
+			await render();
+			expect(overlay().getAttribute('part')).toBe('overlay overlay-high');
+		});
+
+		it('should let the attribute override registered types', async () => {
+			testElement.type = 'gore';
+			testElement.severity = 'low';
+			document.body.appendChild(testElement);
+			await render();
+			expect(overlay().getAttribute('part')).toBe('overlay overlay-low');
+		});
+
+		it('should update the overlay when severity changes', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			testElement.severity = 'medium';
+			expect(overlay().getAttribute('part')).toBe(
+				'overlay overlay-medium',
+			);
+		});
+
+		it('should style each severity level differently', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			const styles = (severity) => {
+				if (severity) testElement.severity = severity;
+				const { borderTopColor, borderTopWidth, fontWeight } =
+					getComputedStyle(button());
+				return { borderTopColor, borderTopWidth, fontWeight };
+			};
+
+			const unset = styles();
+			expect(styles('low')).toEqual(unset);
+			expect(styles('medium')).toEqual({
+				...unset,
+				borderTopColor: '#ff6b6b',
+			});
+			expect(styles('high')).toEqual({
+				borderTopColor: '#ff6b6b',
+				borderTopWidth: '3px',
+				fontWeight: 'bold',
+			});
+			expect(getComputedStyle(overlay()).background).toBe('#000');
+		});
+
+		it('should reveal low severity warnings with a single click', async () => {
+			testElement.severity = 'low';
+			document.body.appendChild(testElement);
+			await render();
+			button().click();
+			expect(testElement.revealed).toBe(true);
+		});
+
+		describe('High severity confirmation', () => {
+			beforeEach(async () => {
+				testElement.severity = 'high';
+				document.body.appendChild(testElement);
+				await render();
+			});
+
+			it('should ask for confirmation on the first click', () => {
+				button().click();
+				expect(testElement.revealed).toBe(false);
+				expect(confirmButton().textContent).toBe('Yes, show me');
+				expect(button().getAttribute('aria-expanded')).toBe('true');
+			});
+
+			it('should reveal when confirmed', () => {
+				button().click();
+				confirmButton().click();
+				expect(testElement.revealed).toBe(true);
+			});
+
+			it('should not reveal on further clicks of the warning button', () => {
+				button().click();
+				button().click();
+				expect(testElement.revealed).toBe(false);
+			});
+
+			it('should start over after hiding again', () => {
+				button().click();
+				confirmButton().click();
+				testElement.hide();
+				expect(confirmButton()).toBeNull();
+				button().click();
+				expect(testElement.revealed).toBe(false);
+			});
+
+			it('should drop the confirmation when severity is lowered', () => {
+				button().click();
+				testElement.severity = 'low';
+				expect(confirmButton()).toBeNull();
+			});
+
+			it('should still allow reveal() without confirmation', () => {
+				testElement.reveal();
+				expect(testElement.revealed).toBe(true);
+			});
+		});
+	});
+
+	describe('Reveal Modes', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+		const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+		let testElement;
+
+		beforeEach(() => {
+			testElement = document.createElement('content-warning');
+			testElement.innerHTML = '<p>Content</p>';
+		});
+
+		afterEach(() => {
+			testElement.remove();
+		});
+
+		const button = () =>
+			testElement.shadowRoot.querySelector('[part="button"]');
+		const confirmButton = () =>
+			testElement.shadowRoot.querySelector('[part="confirm-button"]');
+		const press = (type, init = {}) =>
+			button().dispatchEvent(
+				new PointerEvent(type, { button: 0, bubbles: true, ...init }),
+			);
+		const key = (type, init) =>
+			button().dispatchEvent(
+				new KeyboardEvent(type, {
+					bubbles: true,
+					cancelable: true,
+					...init,
+				}),
+			);
+
+		it('should reflect revealMode and holdDuration to attributes', () => {
+			testElement.revealMode = 'hold';
+			testElement.holdDuration = 500;
+			expect(testElement.getAttribute('reveal-mode')).toBe('hold');
+			expect(testElement.getAttribute('hold-duration')).toBe('500');
+			expect(testElement.holdDuration).toBe(500);
+		});
+
+		it('should default the hold duration to one second', () => {
+			expect(testElement.holdDuration).toBe(1000);
+			testElement.setAttribute('hold-duration', 'soon');
+			expect(testElement.holdDuration).toBe(1000);
+		});
+
+		it('should ask for confirmation in confirm mode', async () => {
+			testElement.revealMode = 'confirm';
+			document.body.appendChild(testElement);
+			await render();
+
+			button().click();
+			expect(testElement.revealed).toBe(false);
+			confirmButton().click();
+			expect(testElement.revealed).toBe(true);
+		});
+
+		it('should let click mode override high severity', async () => {
+			testElement.severity = 'high';
+			testElement.revealMode = 'click';
+			document.body.appendChild(testElement);
+			await render();
+
+			button().click();
+			expect(testElement.revealed).toBe(true);
+		});
+
+		describe('hold', () => {
+			beforeEach(async () => {
+				testElement.revealMode = 'hold';
+				testElement.holdDuration = 30;
+				document.body.appendChild(testElement);
+				await render();
+			});
+
+			it('should use a hold suffix', () => {
+				expect(
+					testElement.shadowRoot.querySelector(
+						'[part="label-suffix"]',
+					).textContent,
+				).toBe('Press and hold to reveal');
+			});
+
+			it('should not reveal on click', () => {
+				button().click();
+				expect(testElement.revealed).toBe(false);
+			});
+
+			it('should reveal after holding the pointer down', async () => {
+				press('pointerdown');
+				await render();
+				expect(testElement.revealed).toBe(false);
+				expect(
+					Number(
+						button().style.getPropertyValue(
+							'--content-warning-hold-progress',
+						),
+					),
+				).toBeGreaterThan(0);
+
+				await wait(100);
+				expect(testElement.revealed).toBe(true);
+			});
+
+			it('should reset when released early', async () => {
+				press('pointerdown');
+				await render();
+				press('pointerup');
+
+				expect(
+					button().style.getPropertyValue(
+						'--content-warning-hold-progress',
+					),
+				).toBe('');
+				await wait(100);
+				expect(testElement.revealed).toBe(false);
+			});
+
+			it('should ignore secondary pointer buttons', async () => {
+				press('pointerdown', { button: 2 });
+				await wait(100);
+				expect(testElement.revealed).toBe(false);
+			});
+
+			it('should reveal after holding Space or Enter', async () => {
+				key('keydown', { key: ' ' });
+				await wait(100);
+				expect(testElement.revealed).toBe(true);
+			});
+
+			it('should stop keys from clicking the button', () => {
+				const keydown = new KeyboardEvent('keydown', {
+					key: 'Enter',
+					bubbles: true,
+					cancelable: true,
+				});
+				button().dispatchEvent(keydown);
+				expect(keydown.defaultPrevented).toBe(true);
+			});
+
+			it('should reset when the key is released early', async () => {
+				key('keydown', { key: 'Enter' });
+				key('keyup', { key: 'Enter' });
+				await wait(100);
+				expect(testElement.revealed).toBe(false);
+			});
+
+			it('should start over when the reveal is canceled', async () => {
+				testElement.addEventListener(
+					'content-warning:beforereveal',
+					(e) => e.preventDefault(),
+				);
+				press('pointerdown');
+				await wait(100);
+
+				expect(testElement.revealed).toBe(false);
+				expect(
+					button().style.getPropertyValue(
+						'--content-warning-hold-progress',
+					),
+				).toBe('');
+			});
+		});
+	});
+
+	describe('Transitions', () => {
+		let testElement;
+		let transitions;
+		let animations;
+		let reducedMotion;
+		let originalAnimate;
+		let originalMatchMedia;
+
+		beforeEach(async () => {
+			transitions = 0;
+			animations = [];
+			reducedMotion = false;
+
+			// happy-dom has no View Transitions; run the update on a microtask like browsers
+			document.startViewTransition = (update) => {
+				transitions++;
+				const updateCallbackDone = Promise.resolve().then(update);
+				return {
+					updateCallbackDone,
+					ready: updateCallbackDone,
+					finished: updateCallbackDone,
+				};
+			};
+			originalAnimate = document.documentElement.animate;
+			document.documentElement.animate = (keyframes, options) => {
+				animations.push({ keyframes, options });
+			};
+			originalMatchMedia = window.matchMedia;
+			window.matchMedia = (query) => ({
+				matches:
+					reducedMotion &&
+					query === '(prefers-reduced-motion: reduce)',
+				addEventListener() {},
+				removeEventListener() {},
+			});
+
+			testElement = document.createElement('content-warning');
+			testElement.type = 'transition-test';
+			testElement.setAttribute('transition', 'fade');
+			testElement.innerHTML = '<p>Content</p>';
+			document.body.appendChild(testElement);
+			await new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+		});
+
+		afterEach(() => {
+			testElement.remove();
+			delete document.startViewTransition;
+			document.documentElement.animate = originalAnimate;
+			window.matchMedia = originalMatchMedia;
+		});
+
+		const overlay = () => testElement.shadowRoot.querySelector('.overlay');
+
+		it('should reflect the transition property', () => {
+			testElement.transition = 'slide';
+			expect(testElement.getAttribute('transition')).toBe('slide');
+			testElement.transition = null;
+			expect(testElement.hasAttribute('transition')).toBe(false);
+		});
+
+		it('should reveal in a view transition', async () => {
+			testElement.reveal();
+
+			// The state changes right away; the DOM changes in the transition
+			expect(transitions).toBe(1);
+			expect(testElement.revealed).toBe(true);
+			expect(overlay()).toBeTruthy();
+			expect(
+				testElement.style.getPropertyValue('view-transition-name'),
+			).toMatch(/^content-warning-\d+$/);
+
+			await Promise.resolve();
+			await Promise.resolve();
+
+			expect(overlay()).toBeNull();
+			expect(testElement.hasAttribute('revealed')).toBe(true);
+			expect(
+				testElement.shadowRoot
+					.querySelector('.content-wrapper')
+					.hasAttribute('hidden'),
+			).toBe(false);
+			expect(
+				testElement.style.getPropertyValue('view-transition-name'),
+			).toBe('');
+		});
+
+		it('should animate the old and new snapshots', async () => {
+			// happy-dom doesn't resolve var() in :host rules, so set the resolved value
+			testElement.style.setProperty('--_cw-transition-duration', '0.5s');
+			testElement.reveal();
+			const name = testElement.style.getPropertyValue(
+				'view-transition-name',
+			);
+			await Promise.resolve();
+			await Promise.resolve();
+
+			expect(
+				animations.map(({ options }) => options.pseudoElement),
+			).toEqual([
+				`::view-transition-old(${name})`,
+				`::view-transition-new(${name})`,
+			]);
+			expect(animations[0].options.duration).toBe(500);
+			expect(animations[0].keyframes).toEqual([
+				{ opacity: 1 },
+				{ opacity: 0 },
+			]);
+		});
+
+		it('should hide in a view transition', async () => {
+			testElement.reveal();
+			await Promise.resolve();
+			await Promise.resolve();
+			testElement.setAttribute('transition', 'slide');
+			animations = [];
+
+			testElement.hide();
+			expect(transitions).toBe(2);
+			expect(testElement.revealed).toBe(false);
+			expect(overlay()).toBeNull();
+
+			await Promise.resolve();
+			await Promise.resolve();
+
+			expect(overlay()).toBeTruthy();
+			expect(testElement.hasAttribute('revealed')).toBe(false);
+			expect(animations[1].keyframes[0].clipPath).toBe(
+				'inset(0 0 100% 0)',
+			);
+		});
+
+		it('should blur the snapshots in blur-out transitions', async () => {
+			testElement.setAttribute('transition', 'blur-out');
+			testElement.reveal();
+			await Promise.resolve();
+			await Promise.resolve();
+
+			expect(animations[0].keyframes[1].filter).toMatch(/^blur\(/);
+			expect(animations[1].keyframes[0].filter).toMatch(/^blur\(/);
+		});
+
+		it('should change instantly without a transition attribute', () => {
+			testElement.removeAttribute('transition');
+			testElement.reveal();
+
+			expect(transitions).toBe(0);
+			expect(overlay()).toBeNull();
+		});
+
+		it('should ignore unknown transitions', () => {
+			testElement.setAttribute('transition', 'spin');
+			testElement.reveal();
+
+			expect(transitions).toBe(0);
+			expect(overlay()).toBeNull();
+		});
+
+		it('should change instantly when the reader prefers reduced motion', () => {
+			reducedMotion = true;
+			testElement.reveal();
+
+			expect(transitions).toBe(0);
+			expect(overlay()).toBeNull();
+			expect(testElement.hasAttribute('revealed')).toBe(true);
+		});
+
+		it('should change instantly without View Transitions support', () => {
+			delete document.startViewTransition;
+			testElement.reveal();
+
+			expect(overlay()).toBeNull();
+		});
+
+		it('should not animate automatic changes', () => {
+			ContentWarningElement.preferences.set('transition-test', 'show');
+
+			expect(testElement.revealed).toBe(true);
+			expect(transitions).toBe(0);
+			expect(overlay()).toBeNull();
+
+			ContentWarningElement.preferences.delete('transition-test');
+		});
+	});
+
+	describe('Deep Links', () => {
+		let originalURL;
+		const warnings = [];
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+		const navigate = (url) => {
+			history.replaceState(null, '', url);
+			window.dispatchEvent(new Event('hashchange'));
+		};
+		const create = async (attributes = {}, content = '') => {
+			const warning = document.createElement('content-warning');
+			for (const [name, value] of Object.entries(attributes)) {
+				warning.setAttribute(name, value);
+			}
+			warning.innerHTML = content;
+			document.body.appendChild(warning);
+			warnings.push(warning);
+			await render();
+			return warning;
+		};
+		const hint = (warning) =>
+			warning.shadowRoot.querySelector('[part="link-hint"]');
+
+		beforeEach(() => {
+			originalURL = window.location.href;
+		});
+
+		afterEach(() => {
+			warnings.splice(0).forEach((warning) => warning.remove());
+			history.replaceState(null, '', originalURL);
+			ContentWarningElement.revealParam = 'cw-reveal';
+		});
+
+		it('should reflect the fragment property', async () => {
+			const warning = await create();
+			warning.fragment = 'reveal';
+			expect(warning.getAttribute('fragment')).toBe('reveal');
+			warning.fragment = null;
+			expect(warning.hasAttribute('fragment')).toBe(false);
+		});
+
+		it('should focus the button and explain when a link points inside', async () => {
+			const warning = await create(
+				{ type: 'spoilers' },
+				'<p id="reply-1">The reply</p>',
+			);
+			navigate('#reply-1');
+
+			const button = warning.shadowRoot.querySelector('[part="button"]');
+			expect(warning.shadowRoot.activeElement).toBe(button);
+			expect(hint(warning).getAttribute('role')).toBe('status');
+			expect(hint(warning).textContent).toBe(
+				'The link you followed points to content behind this warning.',
+			);
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should respond to the fragment the page loaded with', async () => {
+			history.replaceState(null, '', '#reply-2');
+			const warning = await create(
+				{ type: 'spoilers' },
+				'<p id="reply-2">The reply</p>',
+			);
+
+			expect(hint(warning)).toBeTruthy();
+		});
+
+		it('should handle fragments that are not valid escapes', async () => {
+			history.replaceState(null, '', '#50%-off');
+			const warning = await create(
+				{ type: 'spoilers' },
+				'<p id="50%-off">The sale</p>',
+			);
+			expect(hint(warning)).toBeTruthy();
+
+			expect(() => navigate('#100%')).not.toThrow();
+		});
+
+		it('should ignore links elsewhere on the page', async () => {
+			const warning = await create(
+				{ type: 'spoilers' },
+				'<p id="reply-3">The reply</p>',
+			);
+			const other = document.createElement('p');
+			other.id = 'elsewhere';
+			document.body.appendChild(other);
+			navigate('#elsewhere');
+			other.remove();
+
+			expect(hint(warning)).toBeNull();
+		});
+
+		it('should reveal when the fragment attribute is "reveal"', async () => {
+			const warning = await create(
+				{ type: 'spoilers', fragment: 'reveal' },
+				'<p id="reply-4">The reply</p>',
+			);
+			navigate('#reply-4');
+
+			expect(warning.revealed).toBe(true);
+		});
+
+		it('should reveal for a ":reveal" fragment', async () => {
+			const warning = await create({ type: 'spoilers', id: 'post-5' });
+			navigate('#post-5:reveal');
+
+			expect(warning.revealed).toBe(true);
+		});
+
+		it('should only focus warnings that need confirmation', async () => {
+			const warning = await create({
+				type: 'spoilers',
+				id: 'post-6',
+				severity: 'high',
+			});
+			navigate('#post-6:reveal');
+
+			expect(warning.revealed).toBe(false);
+			expect(hint(warning)).toBeTruthy();
+		});
+
+		it('should do nothing when the fragment attribute is "none"', async () => {
+			const warning = await create({
+				type: 'spoilers',
+				id: 'post-7',
+				fragment: 'none',
+			});
+			navigate('#post-7:reveal');
+
+			expect(warning.revealed).toBe(false);
+			expect(hint(warning)).toBeNull();
+		});
+
+		it('should only focus the outermost covered warning', async () => {
+			const outer = await create(
+				{ type: 'violence' },
+				'<content-warning type="spoilers"><p id="reply-8">The reply</p></content-warning>',
+			);
+			const inner = outer.querySelector('content-warning');
+			await render();
+			navigate('#reply-8');
+
+			expect(hint(outer)).toBeTruthy();
+			expect(hint(inner)).toBeNull();
+		});
+
+		it('should reveal types listed in the query string', async () => {
+			history.replaceState(null, '', '?cw-reveal=spoilers,violence');
+			const warning = await create({ type: 'spoilers' });
+
+			expect(warning.revealed).toBe(true);
+		});
+
+		it('should need every type of a warning in the query string', async () => {
+			history.replaceState(null, '', '?cw-reveal=spoilers');
+			const warning = await create({ type: 'spoilers gore' });
+
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should not reveal high severity warnings from the query string', async () => {
+			history.replaceState(null, '', '?cw-reveal=spoilers');
+			const warning = await create({
+				type: 'spoilers',
+				severity: 'high',
+			});
+
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should let the query string parameter be changed or turned off', async () => {
+			ContentWarningElement.revealParam = null;
+			history.replaceState(null, '', '?cw-reveal=spoilers');
+			const warning = await create({ type: 'spoilers' });
+			expect(warning.revealed).toBe(false);
+
+			ContentWarningElement.revealParam = 'show';
+			history.replaceState(null, '', '?show=spoilers');
+			const other = await create({ type: 'spoilers' });
+			expect(other.revealed).toBe(true);
+		});
+	});
+
+	describe('Rehide', () => {
+		let originalIntersectionObserver;
+		let observers;
+		const warnings = [];
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+		const create = async (attributes = {}) => {
+			const warning = document.createElement('content-warning');
+			for (const [name, value] of Object.entries(attributes)) {
+				warning.setAttribute(name, value);
+			}
+			warning.innerHTML = '<p>Covered content</p>';
+			document.body.appendChild(warning);
+			warnings.push(warning);
+			await render();
+			return warning;
+		};
+		// Report whether the warning is in the viewport
+		const intersect = (isIntersecting) =>
+			observers.forEach((observer) =>
+				observer.callback([{ isIntersecting }]),
+			);
+		const setVisibility = (state) => {
+			Object.defineProperty(document, 'visibilityState', {
+				configurable: true,
+				get: () => state,
+			});
+			document.dispatchEvent(new Event('visibilitychange'));
+		};
+
+		beforeEach(() => {
+			observers = [];
+			originalIntersectionObserver = globalThis.IntersectionObserver;
+			globalThis.IntersectionObserver = class {
+				constructor(callback) {
+					this.callback = callback;
+				}
+				observe() {
+					observers.push(this);
+				}
+				disconnect() {
+					observers = observers.filter(
+						(observer) => observer !== this,
+					);
+				}
+			};
+		});
+
+		afterEach(() => {
+			vi.useRealTimers();
+			warnings.splice(0).forEach((warning) => warning.remove());
+			globalThis.IntersectionObserver = originalIntersectionObserver;
+			delete document.visibilityState;
+			ContentWarningElement.preferences.clear();
+		});
+
+		it('should reflect the rehide property', async () => {
+			const warning = await create();
+			warning.rehide = 'offscreen';
+			expect(warning.getAttribute('rehide')).toBe('offscreen');
+			warning.rehide = null;
+			expect(warning.hasAttribute('rehide')).toBe(false);
+		});
+
+		it('should cover the content again after the timeout', async () => {
+			const warning = await create({ rehide: 'timeout' });
+			const events = [];
+			warning.addEventListener('content-warning:hidden', (e) =>
+				events.push(e.type),
+			);
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			vi.advanceTimersByTime(29999);
+			expect(warning.revealed).toBe(true);
+
+			vi.advanceTimersByTime(1);
+			await Promise.resolve();
+			expect(warning.revealed).toBe(false);
+			expect(events).toEqual(['content-warning:hidden']);
+			expect(warning.shadowRoot.querySelector('.overlay')).not.toBeNull();
+		});
+
+		it('should parse timeout durations', async () => {
+			const warning = await create({ rehide: 'timeout=2s' });
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			vi.advanceTimersByTime(2000);
+			expect(warning.revealed).toBe(false);
+
+			warning.rehide = 'timeout=1m';
+			warning.reveal();
+			vi.advanceTimersByTime(59999);
+			expect(warning.revealed).toBe(true);
+			vi.advanceTimersByTime(1);
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should ignore unknown triggers', async () => {
+			const warning = await create({ rehide: 'never timeout=soon' });
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			vi.advanceTimersByTime(29999);
+			expect(warning.revealed).toBe(true);
+			vi.advanceTimersByTime(1);
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should cover the content again once it has been offscreen for a while', async () => {
+			const warning = await create({ rehide: 'offscreen' });
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			intersect(true);
+			intersect(false);
+			vi.advanceTimersByTime(500);
+			intersect(true);
+			vi.advanceTimersByTime(1000);
+			expect(warning.revealed).toBe(true);
+
+			intersect(false);
+			vi.advanceTimersByTime(1000);
+			expect(warning.revealed).toBe(false);
+			expect(observers).toHaveLength(0);
+		});
+
+		it('should not rehide content revealed out of view until it has been seen', async () => {
+			const warning = await create({ rehide: 'offscreen=5s' });
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			intersect(false);
+			vi.advanceTimersByTime(10000);
+			expect(warning.revealed).toBe(true);
+
+			intersect(true);
+			intersect(false);
+			vi.advanceTimersByTime(5000);
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should cover the content again when the tab is backgrounded', async () => {
+			const warning = await create({ rehide: 'visibilitychange' });
+			warning.reveal();
+
+			setVisibility('hidden');
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should wait out a visibilitychange delay', async () => {
+			const warning = await create({ rehide: 'visibilitychange=10s' });
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+			warning.reveal();
+
+			setVisibility('hidden');
+			vi.advanceTimersByTime(5000);
+			setVisibility('visible');
+			vi.advanceTimersByTime(10000);
+			expect(warning.revealed).toBe(true);
+
+			setVisibility('hidden');
+			vi.advanceTimersByTime(10000);
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should stop watching once the content is hidden or disconnected', async () => {
+			const warning = await create({ rehide: 'offscreen timeout' });
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			expect(observers).toHaveLength(1);
+			warning.hide();
+			expect(observers).toHaveLength(0);
+			expect(vi.getTimerCount()).toBe(0);
+
+			warning.reveal();
+			warning.remove();
+			expect(observers).toHaveLength(0);
+			expect(vi.getTimerCount()).toBe(0);
+		});
+
+		it('should restart when the attribute changes', async () => {
+			const warning = await create();
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			warning.rehide = 'timeout=1s';
+			vi.advanceTimersByTime(1000);
+			expect(warning.revealed).toBe(false);
+
+			warning.reveal();
+			warning.rehide = null;
+			vi.advanceTimersByTime(30000);
+			expect(warning.revealed).toBe(true);
+		});
+
+		it('should leave content revealed by a "show" preference alone', async () => {
+			ContentWarningElement.preferences.set('spoilers', 'show');
+			const warning = await create({
+				type: 'spoilers',
+				rehide: 'timeout',
+			});
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			vi.advanceTimersByTime(30000);
+			expect(warning.revealed).toBe(true);
+		});
+
+		it('should watch again when a beforehide listener cancels', async () => {
+			const warning = await create({ rehide: 'timeout=1s' });
+			let cancel = true;
+			warning.addEventListener('content-warning:beforehide', (e) => {
+				if (cancel) e.preventDefault();
+			});
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			warning.reveal();
+			vi.advanceTimersByTime(1000);
+			await Promise.resolve();
+			expect(warning.revealed).toBe(true);
+
+			cancel = false;
+			vi.advanceTimersByTime(1000);
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should leave a saved decision in place', async () => {
+			const warning = await create({
+				rehide: 'timeout=1s',
+				persist: '',
+				'persist-key': 'rehidden',
+			});
+			vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+
+			try {
+				warning.reveal();
+				vi.advanceTimersByTime(1000);
+				await Promise.resolve();
+				expect(warning.revealed).toBe(false);
+				expect(localStorage.getItem('content-warning:rehidden')).toBe(
+					'revealed',
+				);
+			} finally {
+				localStorage.removeItem('content-warning:rehidden');
+			}
+		});
+
+		it('should return focus to the warning button', async () => {
+			const warning = await create({ rehide: 'visibilitychange' });
+			warning.innerHTML = '<button>Inside</button>';
+			warning.reveal();
+			warning.querySelector('button').focus();
+
+			setVisibility('hidden');
+			await Promise.resolve();
+			expect(warning.shadowRoot.activeElement).toBe(
+				warning.shadowRoot.querySelector('[part="button"]'),
+			);
+		});
+	});
+
+	describe('Cross-Tab Sync', () => {
+		let originalBroadcastChannel;
+		let channel;
+		const warnings = [];
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+		const create = async (attributes = {}) => {
+			const warning = document.createElement('content-warning');
+			for (const [name, value] of Object.entries(attributes)) {
+				warning.setAttribute(name, value);
+			}
+			warning.innerHTML = '<p>Covered content</p>';
+			document.body.appendChild(warning);
+			warnings.push(warning);
+			await render();
+			return warning;
+		};
+		// A message from another tab
+		const receive = (data) => channel.onmessage({ data });
+
+		beforeEach(() => {
+			originalBroadcastChannel = globalThis.BroadcastChannel;
+			globalThis.BroadcastChannel = class {
+				constructor(name) {
+					this.name = name;
+					this.posted = [];
+					this.closed = false;
+					channel = this;
+				}
+				postMessage(data) {
+					this.posted.push(data);
+				}
+				close() {
+					this.closed = true;
+				}
+			};
+			ContentWarningElement.enableSync();
+		});
+
+		afterEach(() => {
+			ContentWarningElement.disableSync();
+			globalThis.BroadcastChannel = originalBroadcastChannel;
+			warnings.splice(0).forEach((warning) => warning.remove());
+			ContentWarningElement.preferences.clear();
+			channel = null;
+		});
+
+		it('should open one channel, however often sync is enabled', () => {
+			const first = channel;
+			ContentWarningElement.enableSync();
+			expect(channel).toBe(first);
+			expect(first.name).toBe('content-warning:sync:content-warning');
+		});
+
+		it('should be enabled from a subclass', () => {
+			class SubclassWarning extends ContentWarningElement {}
+			ContentWarningElement.disableSync();
+
+			expect(() => SubclassWarning.enableSync('subclass')).not.toThrow();
+			expect(channel.name).toBe('content-warning:sync:subclass');
+			expect(() => SubclassWarning.disableSync()).not.toThrow();
+			expect(channel.closed).toBe(true);
+		});
+
+		it('should use a named channel', () => {
+			ContentWarningElement.disableSync();
+			ContentWarningElement.enableSync('my-site');
+			expect(channel.name).toBe('content-warning:sync:my-site');
+		});
+
+		it('should close the channel when sync is disabled', () => {
+			ContentWarningElement.disableSync();
+			expect(channel.closed).toBe(true);
+		});
+
+		it('should post reveals and hides of warnings with an id', async () => {
+			const warning = await create({ id: 'ending' });
+			warning.reveal();
+			warning.hide();
+			expect(channel.posted).toEqual([
+				{ action: 'reveal', key: 'ending' },
+				{ action: 'hide', key: 'ending' },
+			]);
+		});
+
+		it('should prefer the persist-key', async () => {
+			const warning = await create({
+				id: 'ending',
+				'persist-key': 'book',
+			});
+			warning.reveal();
+			expect(channel.posted).toEqual([{ action: 'reveal', key: 'book' }]);
+		});
+
+		it('should not post changes to warnings without a key', async () => {
+			const warning = await create();
+			warning.reveal();
+			expect(channel.posted).toEqual([]);
+		});
+
+		it('should reveal and hide warnings with the same key', async () => {
+			const warning = await create({ 'persist-key': 'book' });
+			const other = await create({ id: 'other' });
+			const events = [];
+			warning.addEventListener('content-warning:revealed', (e) =>
+				events.push(e.type),
+			);
+			warning.addEventListener('content-warning:hidden', (e) =>
+				events.push(e.type),
+			);
+
+			receive({ action: 'reveal', key: 'book' });
+			expect(warning.revealed).toBe(true);
+			expect(other.revealed).toBe(false);
+
+			receive({ action: 'hide', key: 'book' });
+			expect(warning.revealed).toBe(false);
+			expect(events).toEqual([
+				'content-warning:revealed',
+				'content-warning:hidden',
+			]);
+		});
+
+		it('should leave saving to the tab that made the change', async () => {
+			const warning = await create({
+				persist: '',
+				'persist-key': 'book',
+			});
+			localStorage.setItem('content-warning:book', 'revealed');
+			warning.reveal();
+
+			try {
+				receive({ action: 'hide', key: 'book' });
+				expect(warning.revealed).toBe(false);
+				expect(localStorage.getItem('content-warning:book')).toBe(
+					'revealed',
+				);
+			} finally {
+				localStorage.removeItem('content-warning:book');
+			}
+		});
+
+		it('should not send changes from other tabs back', async () => {
+			await create({ id: 'ending' });
+			receive({ action: 'reveal', key: 'ending' });
+			expect(channel.posted).toEqual([]);
+		});
+
+		it('should not announce or focus synced reveals', async () => {
+			const warning = await create({ id: 'ending' });
+			warning.shadowRoot.querySelector('button').focus();
+
+			receive({ action: 'reveal', key: 'ending' });
+			const announcement =
+				warning.shadowRoot.querySelector('.sr-announcement');
+			expect(announcement.textContent).toBe('');
+			expect(document.activeElement).not.toBe(warning.querySelector('p'));
+		});
+
+		it('should let beforereveal listeners cancel synced reveals', async () => {
+			const warning = await create({ id: 'ending' });
+			warning.addEventListener('content-warning:beforereveal', (e) =>
+				e.preventDefault(),
+			);
+
+			receive({ action: 'reveal', key: 'ending' });
+			expect(warning.revealed).toBe(false);
+		});
+
+		it('should post preference changes', () => {
+			ContentWarningElement.preferences.set('spoilers', 'show');
+			ContentWarningElement.preferences.delete('spoilers');
+			expect(channel.posted).toEqual([
+				{ action: 'preference', type: 'spoilers', value: 'show' },
+				{ action: 'preference', type: 'spoilers', value: null },
+			]);
+		});
+
+		it('should apply preference changes from other tabs', async () => {
+			const warning = await create({ type: 'spoilers' });
+			receive({ action: 'preference', type: 'spoilers', value: 'show' });
+
+			expect(ContentWarningElement.preferences.get('spoilers')).toBe(
+				'show',
+			);
+			expect(warning.revealed).toBe(true);
+			expect(channel.posted).toEqual([]);
+		});
+
+		it('should ignore malformed messages', async () => {
+			await create({ id: 'ending' });
+			expect(() => {
+				receive(null);
+				receive('reveal');
+				receive({
+					action: 'preference',
+					type: 'spoilers',
+					value: 'maybe',
+				});
+				receive({ action: 'reveal' });
+			}).not.toThrow();
+			expect(ContentWarningElement.preferences.has('spoilers')).toBe(
+				false,
+			);
+		});
+
+		it('should stop syncing disconnected warnings', async () => {
+			const warning = await create({ id: 'ending' });
+			warning.remove();
+			receive({ action: 'reveal', key: 'ending' });
+			expect(warning.revealed).toBe(false);
+		});
+	});
+
+	describe('Element Internals', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		// happy-dom has no ElementInternals, so stand in for the browser's
+		const original = HTMLElement.prototype.attachInternals;
+		beforeAll(() => {
+			HTMLElement.prototype.attachInternals = function () {
+				return { role: null, ariaBusy: null, states: new Set() };
+			};
+		});
+		afterAll(() => {
+			HTMLElement.prototype.attachInternals = original;
+		});
+
+		let testElement;
+
+		beforeEach(async () => {
+			testElement = document.createElement('content-warning');
+			testElement.innerHTML = '<p>Content</p>';
+		});
+
+		afterEach(() => {
+			testElement.remove();
+		});
+
+		const states = () => testElement._elementInternals.states;
+
+		it('should expose the revealed state', async () => {
+			document.body.appendChild(testElement);
+			await render();
+			expect(states().has('revealed')).toBe(false);
+
+			testElement.reveal();
+			expect(states().has('revealed')).toBe(true);
+
+			testElement.hide();
+			expect(states().has('revealed')).toBe(false);
+		});
+
+		it('should expose the blurred state while covered in blur mode', async () => {
+			testElement.setAttribute('blur', '');
+			document.body.appendChild(testElement);
+			await render();
+			expect(states().has('blurred')).toBe(true);
+
+			testElement.reveal();
+			expect(states().has('blurred')).toBe(false);
+
+			testElement.hide();
+			testElement.removeAttribute('blur');
+			expect(states().has('blurred')).toBe(false);
+		});
+
+		it('should expose the inline state', async () => {
+			testElement.setAttribute('inline', '');
+			document.body.appendChild(testElement);
+			expect(states().has('inline')).toBe(true);
+
+			testElement.removeAttribute('inline');
+			expect(states().has('inline')).toBe(false);
+		});
+
+		it('should set the default role through ElementInternals', async () => {
+			testElement.setAttribute('announce', 'clone');
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+			expect(testElement._elementInternals.role).toBe('alert');
+			expect(testElement.hasAttribute('role')).toBe(false);
+
+			testElement.hide();
+			expect(testElement._elementInternals.role).toBeNull();
+		});
+
+		it('should not default to an alert role for summary announcements', async () => {
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+			expect(testElement._elementInternals.role).toBeNull();
+		});
+
+		it('should leave an author role attribute alone', async () => {
+			testElement.setAttribute('role', 'region');
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+			testElement.hide();
+			expect(testElement.getAttribute('role')).toBe('region');
+		});
+
+		it('should fall back to dashed states where plain names throw', async () => {
+			HTMLElement.prototype.attachInternals = function () {
+				const set = new Set();
+				const add = set.add.bind(set);
+				set.add = (state) => {
+					if (!state.startsWith('--')) {
+						throw new DOMException('Invalid state', 'SyntaxError');
+					}
+					return add(state);
+				};
+				return { role: null, states: set };
+			};
+			testElement = document.createElement('content-warning');
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+			expect(states().has('--revealed')).toBe(true);
+		});
+	});
+
+	describe('Safe Rendering', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		it('should render markup in attributes as text', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.setAttribute('type', '<img/src=x/onerror=alert(1)>');
+			testElement.setAttribute('label-prefix', '<b>Bold</b>');
+			testElement.setAttribute('label-suffix', '<script>x()</script>');
+			document.body.appendChild(testElement);
+			await render();
+
+			const shadowRoot = testElement.shadowRoot;
+			expect(shadowRoot.querySelector('img')).toBeNull();
+			expect(shadowRoot.querySelector('b')).toBeNull();
+			expect(shadowRoot.querySelector('script')).toBeNull();
+			expect(
+				shadowRoot.querySelector('[part="label-type"]').textContent,
+			).toBe('<img/src=x/onerror=alert(1)>');
+			expect(
+				shadowRoot.querySelector('[part="label-prefix"]').textContent,
+			).toBe('<b>Bold</b>');
+
+			testElement.remove();
+		});
+
+		it('should render without assigning innerHTML (Trusted Types)', async () => {
+			// Simulate require-trusted-types-for 'script' rejecting string HTML
+			const descriptor = Object.getOwnPropertyDescriptor(
+				ShadowRoot.prototype,
+				'innerHTML',
+			);
+			Object.defineProperty(ShadowRoot.prototype, 'innerHTML', {
+				...descriptor,
+				set() {
+					throw new TypeError('This document requires TrustedHTML');
+				},
+			});
+
+			const testElement = document.createElement('content-warning');
+			testElement.type = 'violence';
+			try {
+				document.body.appendChild(testElement);
+				await render();
+				expect(testElement._internals.isRendered).toBe(true);
+				expect(
+					testElement.shadowRoot.querySelector('[part="label-type"]')
+						.textContent,
+				).toBe('violence');
+			} finally {
+				Object.defineProperty(
+					ShadowRoot.prototype,
+					'innerHTML',
+					descriptor,
+				);
+				testElement.remove();
+			}
+		});
+
+		it('should render the same structure when re-connected', async () => {
+			const testElement = document.createElement('content-warning');
+			document.body.appendChild(testElement);
+			await render();
+			testElement.remove();
+			document.body.appendChild(testElement);
+			await render();
+
+			expect(
+				testElement.shadowRoot.querySelectorAll('.overlay'),
+			).toHaveLength(1);
+			expect(
+				testElement.shadowRoot.querySelectorAll('slot:not([name])'),
+			).toHaveLength(1);
+			expect(
+				testElement.shadowRoot.querySelectorAll('.placeholder'),
+			).toHaveLength(1);
+
+			testElement.remove();
+		});
+	});
+
+	describe('Server-Rendered Hydration', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		// Stand in for the parser attaching a declarative shadow root
+		const createServerRendered = (attributes) => {
+			const testElement = document.createElement('content-warning');
+			for (const [name, value] of Object.entries(attributes)) {
+				testElement.setAttribute(name, value);
+			}
+			const template = document.createElement('template');
+			template.innerHTML = renderShadowRoot(attributes);
+			testElement.shadowRoot.append(
+				template.content.firstElementChild.content.cloneNode(true),
+			);
+			testElement.innerHTML = '<p>Behind the warning</p>';
+			return testElement;
+		};
+
+		it('should adopt the server-rendered shadow root', async () => {
+			const testElement = createServerRendered({ type: 'violence' });
+			const button = testElement.shadowRoot.querySelector('button');
+			document.body.appendChild(testElement);
+
+			// Hydration is synchronous
+			expect(testElement._internals.isRendered).toBe(true);
+			expect(testElement._refs.button).toBe(button);
+
+			await render();
+			expect(testElement.shadowRoot.querySelector('button')).toBe(button);
+			expect(
+				testElement.shadowRoot.querySelectorAll('.overlay'),
+			).toHaveLength(1);
+
+			testElement.remove();
+		});
+
+		it('should reveal when the server-rendered button is clicked', async () => {
+			const testElement = createServerRendered({ type: 'violence' });
+			document.body.appendChild(testElement);
+
+			testElement.shadowRoot.querySelector('button').click();
+
+			expect(testElement.revealed).toBe(true);
+			expect(testElement.shadowRoot.querySelector('.overlay')).toBeNull();
+			expect(testElement._refs.wrapper.hasAttribute('hidden')).toBe(
+				false,
+			);
+
+			testElement.remove();
+		});
+
+		it('should remove the server-rendered overlay when already revealed', async () => {
+			const testElement = createServerRendered({ type: 'violence' });
+			testElement.setAttribute('revealed', '');
+			document.body.appendChild(testElement);
+
+			expect(testElement.shadowRoot.querySelector('.overlay')).toBeNull();
+			expect(testElement._refs.wrapper.hasAttribute('inert')).toBe(false);
+
+			testElement.remove();
+		});
+	});
+
+	describe('Deferred Content', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		it('should not instantiate template content until revealed', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML =
+				'<template><p class="deferred">Graphic</p></template>';
+			document.body.appendChild(testElement);
+			await render();
+
+			expect(testElement.querySelector('.deferred')).toBeNull();
+
+			testElement.shadowRoot.querySelector('button').click();
+
+			expect(testElement.revealed).toBe(true);
+			expect(testElement.querySelector('template')).toBeNull();
+			expect(testElement.querySelector('.deferred')).toBeTruthy();
+
+			testElement.remove();
+		});
+
+		it('should leave unattached server-rendered shadow roots alone', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML = `${renderShadowRoot({ type: 'violence' })}<template shadowroot="open"><p class="legacy">Legacy</p></template><p>Graphic</p>`;
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.shadowRoot.querySelector('button').click();
+
+			expect(testElement.revealed).toBe(true);
+			expect(
+				Array.from(testElement.children).map(
+					(child) => child.localName,
+				),
+			).toEqual(['template', 'template', 'p']);
+			expect(testElement.querySelector(':scope > .overlay')).toBeNull();
+			expect(testElement.querySelector(':scope > .legacy')).toBeNull();
+
+			testElement.remove();
+		});
+
+		it('should swap data-src attributes in on reveal', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML =
+				'<img data-src="photo.jpg" data-srcset="photo-2x.jpg 2x" alt="">';
+			document.body.appendChild(testElement);
+			await render();
+
+			const img = testElement.querySelector('img');
+			expect(img.hasAttribute('src')).toBe(false);
+
+			testElement.reveal();
+
+			expect(img.getAttribute('src')).toBe('photo.jpg');
+			expect(img.getAttribute('srcset')).toBe('photo-2x.jpg 2x');
+			expect(img.hasAttribute('data-src')).toBe(false);
+
+			testElement.remove();
+		});
+
+		it('should show a loading state until deferred media loads', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML = '<img data-src="photo.jpg" alt="">';
+			document.body.appendChild(testElement);
+			await render();
+
+			let revealedCount = 0;
+			testElement.addEventListener('content-warning:revealed', () => {
+				revealedCount++;
+			});
+			const request = testElement.requestReveal();
+
+			const shadowRoot = testElement.shadowRoot;
+			expect(testElement.revealed).toBe(false);
+			expect(testElement.hasAttribute('loading')).toBe(true);
+			expect(
+				shadowRoot
+					.querySelector('[part="button"]')
+					.getAttribute('aria-busy'),
+			).toBe('true');
+			expect(
+				shadowRoot.querySelector('[part="loading"]').textContent,
+			).toBe('Loading…');
+			expect(revealedCount).toBe(0);
+
+			testElement.querySelector('img').dispatchEvent(new Event('load'));
+
+			expect(await request).toBe(true);
+			expect(testElement.revealed).toBe(true);
+			expect(testElement.hasAttribute('loading')).toBe(false);
+			expect(shadowRoot.querySelector('.overlay')).toBeNull();
+			expect(revealedCount).toBe(1);
+
+			testElement.remove();
+		});
+
+		it('should reveal when deferred media fails to load', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML =
+				'<template><iframe src="about:blank"></iframe></template>';
+			document.body.appendChild(testElement);
+			await render();
+
+			const request = testElement.requestReveal();
+			testElement
+				.querySelector('iframe')
+				.dispatchEvent(new Event('error'));
+
+			expect(await request).toBe(true);
+			expect(testElement.revealed).toBe(true);
+
+			testElement.remove();
+		});
+
+		it('should not wait on lazy media', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML =
+				'<template><img src="photo.jpg" loading="lazy" alt=""></template>';
+			document.body.appendChild(testElement);
+			await render();
+
+			expect(await testElement.requestReveal()).toBe(true);
+			expect(testElement.revealed).toBe(true);
+			expect(testElement.hasAttribute('loading')).toBe(false);
+
+			testElement.remove();
+		});
+
+		it('should abandon a loading reveal when hidden', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML = '<img data-src="photo.jpg" alt="">';
+			document.body.appendChild(testElement);
+			await render();
+
+			const request = testElement.requestReveal();
+			testElement.hide();
+			testElement.querySelector('img').dispatchEvent(new Event('load'));
+
+			expect(await request).toBe(false);
+			expect(testElement.revealed).toBe(false);
+			expect(testElement.hasAttribute('loading')).toBe(false);
+			expect(
+				testElement.shadowRoot.querySelector('[part="loading"]'),
+			).toBeNull();
+
+			testElement.remove();
+		});
+
+		it('should leave deferred media in nested warnings alone', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML =
+				'<content-warning><img data-src="nested.jpg" alt=""></content-warning>';
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+
+			expect(
+				testElement.querySelector('img').hasAttribute('data-src'),
+			).toBe(true);
+
+			testElement.remove();
+		});
+
+		it('should load deferred content right away when revealed from the start', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.setAttribute('revealed', '');
+			testElement.innerHTML = '<img data-src="photo.jpg" alt="">';
+			document.body.appendChild(testElement);
+			await render();
+
+			expect(testElement.revealed).toBe(true);
+			expect(testElement.querySelector('img').getAttribute('src')).toBe(
+				'photo.jpg',
+			);
+
+			testElement.remove();
+		});
+	});
+
+	describe('Covered Media', () => {
+		const render = () =>
+			new Promise((resolve) =>
+				requestAnimationFrame(() => requestAnimationFrame(resolve)),
+			);
+
+		it('should pause and mute media and stop it autoplaying while covered', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML = '<video autoplay src="clip.mp4"></video>';
+			const video = testElement.querySelector('video');
+			await video.play();
+			document.body.appendChild(testElement);
+
+			expect(video.paused).toBe(true);
+			expect(video.muted).toBe(true);
+			expect(video.hasAttribute('autoplay')).toBe(false);
+
+			testElement.remove();
+		});
+
+		it('should pause media that starts playing while covered', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML = '<div><audio src="clip.mp3"></audio></div>';
+			document.body.appendChild(testElement);
+			await render();
+
+			const audio = testElement.querySelector('audio');
+			await audio.play();
+			audio.dispatchEvent(new Event('play'));
+
+			expect(audio.paused).toBe(true);
+			expect(audio.muted).toBe(true);
+
+			testElement.remove();
+		});
+
+		it('should restore autoplaying media on reveal', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML =
+				'<video autoplay src="a.mp4"></video><video muted src="b.mp4"></video>';
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+
+			const [autoplaying, muted] = testElement.querySelectorAll('video');
+			expect(autoplaying.hasAttribute('autoplay')).toBe(true);
+			expect(autoplaying.muted).toBe(false);
+			expect(autoplaying.paused).toBe(false);
+			expect(muted.muted).toBe(true);
+			expect(muted.paused).toBe(true);
+
+			testElement.remove();
+		});
+
+		it('should play all media on reveal with play-on-reveal', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.setAttribute('play-on-reveal', '');
+			testElement.innerHTML = '<video src="clip.mp4"></video>';
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+
+			expect(testElement.querySelector('video').paused).toBe(false);
+
+			testElement.remove();
+		});
+
+		it('should pause and mute media again when hidden', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML = '<video src="clip.mp4"></video>';
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+			const video = testElement.querySelector('video');
+			await video.play();
+
+			testElement.hide();
+
+			expect(video.paused).toBe(true);
+			expect(video.muted).toBe(true);
+
+			testElement.reveal();
+			expect(video.muted).toBe(false);
+
+			testElement.remove();
+		});
+
+		it('should cover media added while covered', async () => {
+			const testElement = document.createElement('content-warning');
+			document.body.appendChild(testElement);
+			await render();
+
+			const video = document.createElement('video');
+			video.setAttribute('autoplay', '');
+			testElement.appendChild(video);
+			testElement._refs.slot.dispatchEvent(new Event('slotchange'));
+
+			expect(video.muted).toBe(true);
+			expect(video.hasAttribute('autoplay')).toBe(false);
+
+			testElement.remove();
+		});
+
+		it('should leave media in nested warnings to those warnings', async () => {
+			const testElement = document.createElement('content-warning');
+			testElement.innerHTML =
+				'<content-warning><video autoplay src="clip.mp4"></video></content-warning>';
+			document.body.appendChild(testElement);
+			await render();
+
+			testElement.reveal();
+
+			const video = testElement.querySelector('video');
+			expect(video.muted).toBe(true);
+			expect(video.hasAttribute('autoplay')).toBe(false);
+
+			testElement.remove();
 		});
 	});
 
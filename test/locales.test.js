@@ -0,0 +1,100 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+	registerLocale,
+	getLocaleStrings,
+	getElementLocale,
+	formatListParts,
+	watchLanguage,
+	unwatchLanguage,
+} from '../locales.js';
+
+describe('Locales', () => {
+	it('should return English strings by default', () => {
+		expect(getLocaleStrings('en')).toEqual({
+			prefix: 'Content Warning',
+			suffix: 'Click to reveal',
+			holdSuffix: 'Press and hold to reveal',
+			content: 'content',
+			concealed:
+				'The content behind this warning is hidden until you reveal it.',
+			hide: 'Hide again',
+			revealed: 'Content revealed',
+			revealAll: 'Reveal all',
+			hideAll: 'Hide all',
+			confirm: 'Yes, show me',
+			loading: 'Loading…',
+			linked: 'The link you followed points to content behind this warning.',
+			summary: 'Content warnings on this page',
+			summaryShortcuts:
+				'Alt+Shift+N moves to the next warning, Alt+Shift+P to the previous one and Alt+Shift+S past the one you are in.',
+		});
+	});
+
+	it('should fall back to the base language', () => {
+		expect(getLocaleStrings('es-MX').suffix).toBe('Haz clic para revelar');
+		expect(getLocaleStrings('FR-ca').suffix).toBe('Cliquez pour révéler');
+	});
+
+	it('should fall back to English for unknown locales', () => {
+		expect(getLocaleStrings('xx').prefix).toBe('Content Warning');
+		expect(getLocaleStrings(null).prefix).toBe('Content Warning');
+	});
+
+	it('should register new locales', () => {
+		registerLocale('sv', { prefix: 'Innehållsvarning' });
+		expect(getLocaleStrings('sv').prefix).toBe('Innehållsvarning');
+		// Missing keys fall back to English
+		expect(getLocaleStrings('sv').suffix).toBe('Click to reveal');
+	});
+
+	it('should let regional bundles override base bundles', () => {
+		registerLocale('pt-BR', { suffix: 'Clique para ver' });
+		expect(getLocaleStrings('pt-BR').suffix).toBe('Clique para ver');
+		expect(getLocaleStrings('pt-BR').prefix).toBe('Aviso de conteúdo');
+	});
+
+	it('should format lists for the locale', () => {
+		const join = (locale, items) =>
+			formatListParts(locale, items)
+				.map((part) => part.value)
+				.join('');
+		expect(join('en', ['a', 'b', 'c'])).toBe('a, b, and c');
+		expect(join('es', ['a', 'b', 'c'])).toBe('a, b y c');
+	});
+
+	it('should resolve the nearest lang attribute', () => {
+		const outer = document.createElement('div');
+		outer.lang = 'de';
+		const inner = document.createElement('span');
+		outer.appendChild(inner);
+		expect(getElementLocale(inner)).toBe('de');
+		inner.lang = 'fr';
+		expect(getElementLocale(inner)).toBe('fr');
+	});
+
+	describe('watchLanguage()', () => {
+		const element = document.createElement('div');
+
+		afterEach(() => {
+			unwatchLanguage(element);
+			document.documentElement.removeAttribute('lang');
+		});
+
+		it('should call back when a lang attribute changes', async () => {
+			let calls = 0;
+			watchLanguage(element, () => calls++);
+			document.documentElement.lang = 'es';
+			await new Promise((resolve) => setTimeout(resolve));
+			expect(calls).toBe(1);
+		});
+
+		it('should stop calling back once unwatched', async () => {
+			let calls = 0;
+			watchLanguage(element, () => calls++);
+			unwatchLanguage(element);
+			document.documentElement.lang = 'es';
+			await new Promise((resolve) => setTimeout(resolve));
+			expect(calls).toBe(0);
+		});
+	});
+});
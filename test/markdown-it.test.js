@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import MarkdownIt from 'markdown-it';
+import { markdownItContentWarning } from '../markdown-it.js';
+
+describe('markdownItContentWarning', () => {
+	const render = (src, options) =>
+		new MarkdownIt().use(markdownItContentWarning, options).render(src);
+
+	it('should render containers', () => {
+		expect(
+			render(':::cw violence blur severity=high\nThe battle\n:::\nAfter'),
+		).toBe(
+			'<content-warning type="violence" blur severity="high" hidden>\n' +
+				'<p>The battle</p>\n' +
+				'</content-warning>\n' +
+				'<p>After</p>\n',
+		);
+	});
+
+	it('should escape attribute values', () => {
+		expect(render(':::cw label-prefix="<b>"\nText\n:::')).toContain(
+			'label-prefix="&lt;b&gt;"',
+		);
+	});
+
+	it('should nest containers', () => {
+		expect(
+			render(':::cw violence\n:::cw gore\nInner\n:::\nOuter\n:::'),
+		).toBe(
+			'<content-warning type="violence" hidden>\n' +
+				'<content-warning type="gore" hidden>\n' +
+				'<p>Inner</p>\n' +
+				'</content-warning>\n' +
+				'<p>Outer</p>\n' +
+				'</content-warning>\n',
+		);
+	});
+
+	it('should not close containers inside fenced code', () => {
+		expect(
+			render(
+				':::cw spoilers\n```\n:::\n```\n~~~\n:::\n~~~\nAfter\n:::\nOutside',
+			),
+		).toBe(
+			'<content-warning type="spoilers" hidden>\n' +
+				'<pre><code>:::\n</code></pre>\n' +
+				'<pre><code>:::\n</code></pre>\n' +
+				'<p>After</p>\n' +
+				'</content-warning>\n' +
+				'<p>Outside</p>\n',
+		);
+	});
+
+	it('should run a container left open to the end', () => {
+		expect(render(':::cw spoilers\nRest')).toBe(
+			'<content-warning type="spoilers" hidden>\n' +
+				'<p>Rest</p>\n' +
+				'</content-warning>\n',
+		);
+	});
+
+	it('should leave other containers and indented fences alone', () => {
+		expect(render(':::note\nText')).toBe('<p>:::note\nText</p>\n');
+		expect(render('    :::cw spoilers')).toBe(
+			'<pre><code>:::cw spoilers\n</code></pre>\n',
+		);
+	});
+
+	it('should end lists and quotes at a fence', () => {
+		expect(render('- item\n:::cw spoilers\nText\n:::\n- next')).toBe(
+			'<ul>\n<li>item</li>\n</ul>\n' +
+				'<content-warning type="spoilers" hidden>\n' +
+				'<p>Text</p>\n' +
+				'</content-warning>\n' +
+				'<ul>\n<li>next</li>\n</ul>\n',
+		);
+		expect(render('> quote\n:::cw spoilers\nText')).toBe(
+			'<blockquote>\n<p>quote</p>\n</blockquote>\n' +
+				'<content-warning type="spoilers" hidden>\n' +
+				'<p>Text</p>\n' +
+				'</content-warning>\n',
+		);
+	});
+
+	it('should wrap containers inside list items', () => {
+		expect(render('- item\n\n  :::cw spoilers\n  Inside\n  :::')).toBe(
+			'<ul>\n<li>\n<p>item</p>\n' +
+				'<content-warning type="spoilers" hidden>\n' +
+				'<p>Inside</p>\n' +
+				'</content-warning>\n' +
+				'</li>\n</ul>\n',
+		);
+	});
+
+	it('should use a custom name and tag name', () => {
+		expect(
+			render(':::warning spoilers\nText\n:::', {
+				name: 'warning',
+				tagName: 'my-warning',
+				hidden: false,
+			}),
+		).toBe('<my-warning type="spoilers">\n<p>Text</p>\n</my-warning>\n');
+	});
+
+	it('should render inline spoilers', () => {
+		expect(render('It was ||the butler|| all along')).toBe(
+			'<p>It was <content-warning type="spoilers" inline hidden>the butler</content-warning> all along</p>\n',
+		);
+	});
+
+	it('should render inline spoilers around and inside emphasis', () => {
+		expect(render('||*Rosebud*|| and *a ||b||*', { hidden: false })).toBe(
+			'<p><content-warning type="spoilers" inline><em>Rosebud</em></content-warning>' +
+				' and <em>a <content-warning type="spoilers" inline>b</content-warning></em></p>\n',
+		);
+	});
+
+	it('should not pair delimiters across emphasis', () => {
+		expect(render('*a ||b* c||')).toBe('<p><em>a ||b</em> c||</p>\n');
+	});
+
+	it('should leave unpaired and empty delimiters as text', () => {
+		expect(render('a || b')).toBe('<p>a || b</p>\n');
+		expect(render('a |||| b')).toBe('<p>a |||| b</p>\n');
+	});
+
+	it('should set the inline type from the options', () => {
+		expect(render('||x||', { inlineType: 'plot', hidden: false })).toBe(
+			'<p><content-warning type="plot" inline>x</content-warning></p>\n',
+		);
+	});
+});
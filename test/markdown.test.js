@@ -0,0 +1,309 @@
+import { describe, it, expect } from 'vitest';
+import MarkdownIt from 'markdown-it';
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkDirective from 'remark-directive';
+import remarkRehype from 'remark-rehype';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+import {
+	parseWarningInfo,
+	remarkContentWarning,
+	rehypeContentWarning,
+} from '../markdown.js';
+import { markdownItContentWarning } from '../markdown-it.js';
+
+describe('Markdown authoring', () => {
+	describe('parseWarningInfo', () => {
+		it('should treat words as types', () => {
+			expect(parseWarningInfo('violence spoilers')).toEqual({
+				type: 'violence spoilers',
+				hidden: true,
+			});
+		});
+
+		it('should set boolean and valued attributes', () => {
+			expect(
+				parseWarningInfo(
+					'violence blur hideable severity=high label-prefix="Heads up"',
+				),
+			).toEqual({
+				type: 'violence',
+				blur: true,
+				hideable: true,
+				severity: 'high',
+				'label-prefix': 'Heads up',
+				hidden: true,
+			});
+		});
+
+		it('should combine type= with bare types', () => {
+			expect(parseWarningInfo('gore type=violence').type).toBe(
+				'violence gore',
+			);
+		});
+
+		it('should ignore attributes the element does not have', () => {
+			expect(parseWarningInfo('spoilers onclick=alert(1)')).toEqual({
+				type: 'spoilers',
+				hidden: true,
+			});
+		});
+
+		it('should leave out hidden when asked', () => {
+			expect(parseWarningInfo('spoilers', { hidden: false })).toEqual({
+				type: 'spoilers',
+			});
+		});
+	});
+
+	describe('remarkContentWarning', () => {
+		const render = (src, options, plugins = []) =>
+			String(
+				unified()
+					.use(remarkParse)
+					.use(plugins)
+					.use(remarkContentWarning, options)
+					.use(remarkRehype)
+					.use(rehypeStringify)
+					.processSync(src),
+			);
+
+		it('should wrap containers', () => {
+			expect(
+				render(':::cw violence blur\n\nThe battle\n\n:::\n\nAfter'),
+			).toBe(
+				'<content-warning type="violence" blur="" hidden><p>The battle</p></content-warning>\n' +
+					'<p>After</p>',
+			);
+		});
+
+		it('should make containerDirective nodes', () => {
+			const processor = unified()
+				.use(remarkParse)
+				.use(remarkContentWarning);
+			const tree = processor.runSync(
+				processor.parse(':::cw spoilers\nText\n:::'),
+			);
+
+			const [warning] = tree.children;
+			expect(warning).toMatchObject({
+				type: 'containerDirective',
+				name: 'cw',
+				attributes: { type: 'spoilers', hidden: '' },
+				data: {
+					hName: 'content-warning',
+					hProperties: { type: 'spoilers', hidden: true },
+				},
+			});
+			expect(warning.children).toHaveLength(1);
+		});
+
+		it('should find fences inside paragraphs', () => {
+			expect(
+				render(':::cw spoilers\nThe butler did it\n:::\nAfter'),
+			).toBe(
+				'<content-warning type="spoilers" hidden><p>The butler did it</p></content-warning>\n' +
+					'<p>After</p>',
+			);
+		});
+
+		it('should keep inline nodes in wrapped paragraphs', () => {
+			expect(render(':::cw spoilers\nIt was *really* him\n:::')).toBe(
+				'<content-warning type="spoilers" hidden><p>It was <em>really</em> him</p></content-warning>',
+			);
+		});
+
+		it('should nest containers', () => {
+			expect(
+				render(':::cw violence\n:::cw gore\nInner\n:::\nOuter\n:::'),
+			).toBe(
+				'<content-warning type="violence" hidden>' +
+					'<content-warning type="gore" hidden><p>Inner</p></content-warning>' +
+					'<p>Outer</p>' +
+					'</content-warning>',
+			);
+		});
+
+		it('should not close containers inside fenced code', () => {
+			expect(
+				render(':::cw spoilers\n```\n:::\n```\nAfter\n:::\nOutside'),
+			).toBe(
+				'<content-warning type="spoilers" hidden><pre><code>:::\n</code></pre><p>After</p></content-warning>\n' +
+					'<p>Outside</p>',
+			);
+		});
+
+		it('should close containers left open at the end of their parent', () => {
+			expect(render(':::cw spoilers\n\nRest')).toBe(
+				'<content-warning type="spoilers" hidden><p>Rest</p></content-warning>',
+			);
+			expect(render('> :::cw spoilers\n> Quoted\n\nAfter')).toBe(
+				'<blockquote>\n' +
+					'<content-warning type="spoilers" hidden><p>Quoted</p></content-warning>\n' +
+					'</blockquote>\n' +
+					'<p>After</p>',
+			);
+		});
+
+		it('should wrap containers inside list items', () => {
+			expect(render('- item\n\n  :::cw spoilers\n  Inside\n  :::')).toBe(
+				'<ul>\n<li>\n<p>item</p>\n' +
+					'<content-warning type="spoilers" hidden><p>Inside</p></content-warning>\n' +
+					'</li>\n</ul>',
+			);
+		});
+
+		it('should end lists and quotes at a fence, as markdown-it does', () => {
+			expect(render('- item\n:::cw spoilers\nText\n:::\n- next')).toBe(
+				'<ul>\n<li>item</li>\n</ul>\n' +
+					'<content-warning type="spoilers" hidden><p>Text</p></content-warning>\n' +
+					'<ul>\n<li>next</li>\n</ul>',
+			);
+			expect(render('3. three\n:::cw spoilers\nText\n:::\n4. four')).toBe(
+				'<ol start="3">\n<li>three</li>\n</ol>\n' +
+					'<content-warning type="spoilers" hidden><p>Text</p></content-warning>\n' +
+					'<ol start="4">\n<li>four</li>\n</ol>',
+			);
+			expect(render('> quote\n:::cw spoilers\nText')).toBe(
+				'<blockquote>\n<p>quote</p>\n</blockquote>\n' +
+					'<content-warning type="spoilers" hidden><p>Text</p></content-warning>',
+			);
+		});
+
+		it('should only leave the lists a fence starts left of', () => {
+			expect(render('- a\n  - b\n  :::cw spoilers\n  Text')).toBe(
+				'<ul>\n<li>a\n<ul>\n<li>b</li>\n</ul>\n' +
+					'<content-warning type="spoilers" hidden><p>Text</p></content-warning>\n' +
+					'</li>\n</ul>',
+			);
+		});
+
+		it('should leave other containers and stray fences alone', () => {
+			expect(render(':::note\n\n:::cwx\n\n:::')).toBe(
+				'<p>:::note</p>\n<p>:::cwx</p>\n<p>:::</p>',
+			);
+		});
+
+		it('should use a custom name and tag name', () => {
+			expect(
+				render(':::warning spoilers\nText\n:::', {
+					name: 'warning',
+					tagName: 'my-warning',
+					hidden: false,
+				}),
+			).toBe('<my-warning type="spoilers"><p>Text</p></my-warning>');
+		});
+
+		it('should wrap inline spoilers', () => {
+			expect(render('It was ||the butler|| all along')).toBe(
+				'<p>It was <content-warning type="spoilers" inline="" hidden>the butler</content-warning> all along</p>',
+			);
+		});
+
+		it('should wrap inline spoilers around and inside other inline nodes', () => {
+			expect(render('It is ||**Rosebud**||. *a ||b|| c*')).toBe(
+				'<p>It is <content-warning type="spoilers" inline="" hidden><strong>Rosebud</strong></content-warning>.' +
+					' <em>a <content-warning type="spoilers" inline="" hidden>b</content-warning> c</em></p>',
+			);
+		});
+
+		it('should leave unpaired and empty delimiters as text', () => {
+			expect(render('a || b\n\na |||| b')).toBe(
+				'<p>a || b</p>\n<p>a |||| b</p>',
+			);
+		});
+
+		it('should not look inside code', () => {
+			expect(
+				render('`||x||`\n\n```\n:::cw spoilers\n||x||\n:::\n```'),
+			).toBe(
+				'<p><code>||x||</code></p>\n' +
+					'<pre><code>:::cw spoilers\n||x||\n:::\n</code></pre>',
+			);
+		});
+
+		it('should set the inline type from the options', () => {
+			expect(render('||x||', { inlineType: null, hidden: false })).toBe(
+				'<p><content-warning inline="">x</content-warning></p>',
+			);
+		});
+
+		it('should handle remark-directive nodes', () => {
+			expect(
+				render(
+					':::cw[violence gore]{severity=high blur}\nThe battle\n:::\n\n' +
+						'It was :cw[the butler]{type=spoilers}',
+					undefined,
+					[remarkDirective],
+				),
+			).toBe(
+				'<content-warning type="violence gore" hidden severity="high" blur=""><p>The battle</p></content-warning>\n' +
+					'<p>It was <content-warning hidden inline="" type="spoilers">the butler</content-warning></p>',
+			);
+		});
+	});
+
+	describe('remark and markdown-it', () => {
+		const renderRemark = (src) =>
+			String(
+				unified()
+					.use(remarkParse)
+					.use(remarkContentWarning)
+					.use(remarkRehype)
+					.use(rehypeStringify)
+					.processSync(src),
+			);
+		const renderMarkdownIt = (src) =>
+			new MarkdownIt().use(markdownItContentWarning).render(src);
+
+		it('should accept fences with inline markup in their info', () => {
+			const opening =
+				'<content-warning type="violence *graphic*" label-prefix="`Heads` up" hidden>';
+			for (const src of [
+				':::cw violence *graphic* label-prefix="`Heads` up"\nText\n:::',
+				'- Item\n:::cw violence *graphic* label-prefix="`Heads` up"\nText\n:::',
+			]) {
+				expect(renderMarkdownIt(src)).toContain(
+					`${opening}\n<p>Text</p>\n</content-warning>`,
+				);
+				expect(renderRemark(src).replace(/&#x60;/g, '`')).toContain(
+					`${opening}<p>Text</p></content-warning>`,
+				);
+			}
+		});
+	});
+
+	describe('rehypeContentWarning', () => {
+		const render = (html, options) =>
+			String(
+				unified()
+					.use(rehypeParse, { fragment: true })
+					.use(rehypeContentWarning, options)
+					.use(rehypeStringify)
+					.processSync(html),
+			);
+
+		it('should wrap containers in paragraphs', () => {
+			expect(
+				render(
+					'<p>:::cw violence mode=pixelate</p><p>The battle</p><p>:::</p>',
+				),
+			).toBe(
+				'<content-warning type="violence" mode="pixelate" hidden><p>The battle</p></content-warning>',
+			);
+		});
+
+		it('should wrap inline spoilers', () => {
+			expect(render('<p>A ||twist||</p>')).toBe(
+				'<p>A <content-warning type="spoilers" inline="" hidden>twist</content-warning></p>',
+			);
+		});
+
+		it('should not look inside code and preformatted text', () => {
+			const html =
+				'<p><code>||x||</code></p><pre>:::cw spoilers\n||x||\n:::</pre>';
+			expect(render(html)).toBe(html);
+		});
+	});
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ContentWarningPreferences } from '../preferences.js';
+
+describe('ContentWarningPreferences', () => {
+	let preferences;
+
+	beforeEach(() => {
+		preferences = new ContentWarningPreferences();
+	});
+
+	it('should return null for types without a preference', () => {
+		expect(preferences.get('spoilers')).toBeNull();
+		expect(preferences.has('spoilers')).toBe(false);
+	});
+
+	it('should store show and hide preferences', () => {
+		preferences.set('spoilers', 'show');
+		preferences.set('violence', 'hide');
+		expect(preferences.get('spoilers')).toBe('show');
+		expect(preferences.get('violence')).toBe('hide');
+		expect(preferences.entries()).toEqual([
+			['spoilers', 'show'],
+			['violence', 'hide'],
+		]);
+	});
+
+	it('should reject unknown values', () => {
+		expect(() => preferences.set('spoilers', 'maybe')).toThrow(TypeError);
+	});
+
+	it('should clear a preference when set to null', () => {
+		preferences.set('spoilers', 'show');
+		preferences.set('spoilers', null);
+		expect(preferences.has('spoilers')).toBe(false);
+	});
+
+	it('should dispatch change events', () => {
+		const changes = [];
+		preferences.addEventListener('change', (e) => changes.push(e.detail));
+		preferences.set('spoilers', 'show');
+		preferences.set('spoilers', 'show');
+		preferences.delete('spoilers');
+		expect(changes).toEqual([
+			{ type: 'spoilers', value: 'show' },
+			{ type: 'spoilers', value: null },
+		]);
+	});
+
+	it('should clear every preference', () => {
+		preferences.set('spoilers', 'show');
+		preferences.set('violence', 'hide');
+		preferences.clear();
+		expect(preferences.entries()).toEqual([]);
+	});
+
+	describe('resolve()', () => {
+		it('should return null for no types', () => {
+			expect(preferences.resolve([])).toBeNull();
+		});
+
+		it('should let hide win over show', () => {
+			preferences.set('spoilers', 'show');
+			preferences.set('violence', 'hide');
+			expect(preferences.resolve(['spoilers', 'violence'])).toBe('hide');
+		});
+
+		it('should only show when every type is shown', () => {
+			preferences.set('spoilers', 'show');
+			expect(preferences.resolve(['spoilers'])).toBe('show');
+			expect(preferences.resolve(['spoilers', 'violence'])).toBeNull();
+		});
+	});
+
+	describe('persist()', () => {
+		it('should load and save preferences through the adapter', () => {
+			const store = new Map([
+				['content-warning:preferences', '{"spoilers":"show"}'],
+			]);
+			const adapter = {
+				get: (key) => store.get(key) ?? null,
+				set: (key, value) => store.set(key, value),
+				remove: (key) => store.delete(key),
+			};
+
+			preferences.persist(adapter);
+			expect(preferences.get('spoilers')).toBe('show');
+
+			preferences.set('violence', 'hide');
+			expect(
+				JSON.parse(store.get('content-warning:preferences')),
+			).toEqual({ spoilers: 'show', violence: 'hide' });
+		});
+
+		it('should ignore malformed stored data', () => {
+			const adapter = {
+				get: () => 'not json',
+				set: () => {},
+				remove: () => {},
+			};
+			expect(() => preferences.persist(adapter)).not.toThrow();
+			expect(preferences.entries()).toEqual([]);
+		});
+	});
+});
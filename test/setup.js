@@ -1,11 +1,25 @@
 import { beforeAll } from 'vitest';
 import { ContentWarningElement } from '../content-warning.js';
+import { ContentWarningGroupElement } from '../content-warning-group.js';
+import { ContentWarningSummaryElement } from '../content-warning-summary.js';
 
-// Define the custom element before tests run
+// Define the custom elements before tests run
 beforeAll(() => {
 	if (!customElements.get('content-warning')) {
 		customElements.define('content-warning', ContentWarningElement);
 	}
+	if (!customElements.get('content-warning-group')) {
+		customElements.define(
+			'content-warning-group',
+			ContentWarningGroupElement,
+		);
+	}
+	if (!customElements.get('content-warning-summary')) {
+		customElements.define(
+			'content-warning-summary',
+			ContentWarningSummaryElement,
+		);
+	}
 
 	// Make the class available globally for testing static methods
 	globalThis.ContentWarningElement = ContentWarningElement;
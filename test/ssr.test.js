@@ -0,0 +1,172 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHTML, renderShadowRoot, renderToString } from '../ssr.js';
+import { defineType } from '../types.js';
+
+const parse = (html) => {
+	const template = document.createElement('template');
+	template.innerHTML = html;
+	return template.content;
+};
+
+describe('Server-side rendering', () => {
+	it('should escape HTML', () => {
+		expect(escapeHTML(`<a href="x">'&'</a>`)).toBe(
+			'&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;',
+		);
+	});
+
+	it('should render a declarative shadow root', () => {
+		const html = renderShadowRoot({ type: 'violence' });
+		expect(html.startsWith('<template shadowrootmode="open">')).toBe(true);
+
+		const root = parse(html).firstElementChild.content;
+		expect(root.querySelector('style')).toBeTruthy();
+		expect(root.querySelector('[part="button"]').textContent).toBe(
+			'Content WarningviolenceClick to reveal',
+		);
+		const wrapper = root.querySelector('.content-wrapper');
+		expect(wrapper.hasAttribute('hidden')).toBe(true);
+		expect(wrapper.hasAttribute('inert')).toBe(true);
+		expect(wrapper.querySelector('slot')).toBeTruthy();
+		expect(root.querySelector('.sr-announcement')).toBeTruthy();
+	});
+
+	it('should only mark content aria-hidden in blur mode', () => {
+		const root = parse(renderShadowRoot({ blur: true })).firstElementChild
+			.content;
+		const wrapper = root.querySelector('.content-wrapper');
+		expect(wrapper.hasAttribute('hidden')).toBe(false);
+		expect(wrapper.getAttribute('aria-hidden')).toBe('true');
+	});
+
+	it('should render the mode for the overlay and content', () => {
+		const root = parse(renderShadowRoot({ mode: 'teaser', blur: true }))
+			.firstElementChild.content;
+		const wrapper = root.querySelector('.content-wrapper');
+		expect(wrapper.dataset.mode).toBe('teaser');
+		expect(wrapper.getAttribute('aria-hidden')).toBe('true');
+		expect(root.querySelector('.overlay').dataset.mode).toBe('teaser');
+		expect(root.querySelector('.placeholder').hidden).toBe(true);
+	});
+
+	it('should render a visible placeholder in placeholder mode', () => {
+		const root = parse(renderShadowRoot({ mode: 'placeholder' }))
+			.firstElementChild.content;
+		const placeholder = root.querySelector('[part="placeholder"]');
+		expect(placeholder.hidden).toBe(false);
+		expect(
+			placeholder.querySelector('slot[name="placeholder"]'),
+		).toBeTruthy();
+		expect(
+			root.querySelector('.content-wrapper').hasAttribute('hidden'),
+		).toBe(true);
+	});
+
+	it('should keep pixelated content hidden until hydration', () => {
+		const root = parse(renderShadowRoot({ mode: 'pixelate' }))
+			.firstElementChild.content;
+		const wrapper = root.querySelector('.content-wrapper');
+		expect(wrapper.dataset.mode).toBe('hidden');
+		expect(wrapper.hasAttribute('hidden')).toBe(true);
+	});
+
+	it('should render the overlay slots', () => {
+		const root = parse(renderShadowRoot({ type: 'violence' }))
+			.firstElementChild.content;
+		const button = root.querySelector('[part="button"]');
+		expect(button.querySelector('slot[name="icon"]')).toBeTruthy();
+		expect(
+			button.querySelector('slot[name="warning"] [part="label-prefix"]'),
+		).toBeTruthy();
+		expect(
+			root.querySelector(
+				'[part="descriptions"] slot[name="description"]',
+			),
+		).toBeTruthy();
+		expect(
+			root.querySelector('[part="actions"] slot[name="actions"]'),
+		).toBeTruthy();
+	});
+
+	it('should not render an overlay when revealed', () => {
+		const root = parse(renderShadowRoot({ revealed: true }))
+			.firstElementChild.content;
+		expect(root.querySelector('.overlay')).toBeNull();
+		expect(
+			root.querySelector('.content-wrapper').hasAttribute('hidden'),
+		).toBe(false);
+	});
+
+	it('should render registered types, severity and locale', () => {
+		defineType('ssr-gore', {
+			label: { en: 'Gore', fr: 'Gore (fr)' },
+			description: 'Graphic injuries',
+			severity: 'high',
+		});
+		const root = parse(renderShadowRoot({ type: 'ssr-gore', lang: 'fr' }))
+			.firstElementChild.content;
+
+		const overlay = root.querySelector('.overlay');
+		expect(overlay.getAttribute('part')).toBe('overlay overlay-high');
+		expect(root.querySelector('[part="label-type"]').textContent).toBe(
+			'Gore (fr)',
+		);
+		expect(root.querySelector('[part="label-suffix"]').textContent).toBe(
+			'Cliquez pour révéler',
+		);
+		expect(root.querySelector('[part="description"]').textContent).toBe(
+			'Graphic injuries',
+		);
+	});
+
+	it('should render the hold suffix in hold reveal mode', () => {
+		const root = parse(renderShadowRoot({ 'reveal-mode': 'hold' }))
+			.firstElementChild.content;
+		expect(root.querySelector('[part="label-suffix"]').textContent).toBe(
+			'Press and hold to reveal',
+		);
+	});
+
+	it('should render the same label as the element', async () => {
+		const attributes = {
+			type: 'spoilers violence',
+			'label-prefix': 'Heads up:',
+			'reveal-mode': 'hold',
+		};
+		const warning = document.createElement('content-warning');
+		for (const [name, value] of Object.entries(attributes)) {
+			warning.setAttribute(name, value);
+		}
+		document.body.appendChild(warning);
+		await new Promise((resolve) =>
+			requestAnimationFrame(() => requestAnimationFrame(resolve)),
+		);
+
+		const root = parse(renderShadowRoot(attributes)).firstElementChild
+			.content;
+		expect(root.querySelector('[part="button"]').innerHTML).toBe(
+			warning.shadowRoot.querySelector('[part="button"]').innerHTML,
+		);
+		warning.remove();
+	});
+
+	it('should escape attributes and labels', () => {
+		const html = renderToString('<p>Behind</p>', {
+			type: '<img/src=x/onerror=alert(1)>',
+			'label-prefix': '"><script>x()</script>',
+		});
+		const fragment = parse(html);
+		expect(fragment.querySelector('img')).toBeNull();
+		expect(fragment.querySelector('script')).toBeNull();
+	});
+
+	it('should render the element with attributes and content', () => {
+		const html = renderToString(
+			'<p>Behind</p>',
+			{ type: 'spoilers', blur: true, hidden: false },
+			{ tagName: 'my-warning' },
+		);
+		expect(html.startsWith('<my-warning type="spoilers" blur>')).toBe(true);
+		expect(html.endsWith('<p>Behind</p></my-warning>')).toBe(true);
+	});
+});
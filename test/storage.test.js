@@ -0,0 +1,51 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+	STORAGE_PREFIX,
+	createWebStorageAdapter,
+	createCookieAdapter,
+	localStorageAdapter,
+	sessionStorageAdapter,
+} from '../storage.js';
+
+describe('Storage adapters', () => {
+	afterEach(() => {
+		localStorage.clear();
+		sessionStorage.clear();
+	});
+
+	it('should use a namespaced prefix', () => {
+		expect(STORAGE_PREFIX).toBe('content-warning:');
+	});
+
+	it('should read and write localStorage', () => {
+		localStorageAdapter.set('key', 'value');
+		expect(localStorage.getItem('key')).toBe('value');
+		expect(localStorageAdapter.get('key')).toBe('value');
+		localStorageAdapter.remove('key');
+		expect(localStorageAdapter.get('key')).toBeNull();
+	});
+
+	it('should read and write sessionStorage', () => {
+		sessionStorageAdapter.set('key', 'value');
+		expect(sessionStorage.getItem('key')).toBe('value');
+		sessionStorageAdapter.remove('key');
+		expect(sessionStorageAdapter.get('key')).toBeNull();
+	});
+
+	it('should treat unavailable storage as empty', () => {
+		const adapter = createWebStorageAdapter(() => {
+			throw new Error('SecurityError');
+		});
+		expect(() => adapter.set('key', 'value')).not.toThrow();
+		expect(() => adapter.remove('key')).not.toThrow();
+		expect(adapter.get('key')).toBeNull();
+	});
+
+	it('should read and write cookies', () => {
+		const adapter = createCookieAdapter();
+		adapter.set('content-warning:a b', 'revealed');
+		expect(adapter.get('content-warning:a b')).toBe('revealed');
+		adapter.remove('content-warning:a b');
+		expect(adapter.get('content-warning:a b')).toBeNull();
+	});
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, afterEach } from 'vitest';
+
+describe('Styles', () => {
+	const warnings = [];
+	const render = () =>
+		new Promise((resolve) =>
+			requestAnimationFrame(() => requestAnimationFrame(resolve)),
+		);
+	const create = async (attributes = {}) => {
+		const warning = document.createElement('content-warning');
+		for (const [name, value] of Object.entries(attributes)) {
+			warning.setAttribute(name, value);
+		}
+		warning.innerHTML = '<p>Covered content</p>';
+		document.body.appendChild(warning);
+		warnings.push(warning);
+		await render();
+		return warning;
+	};
+	const style = (node, property) =>
+		getComputedStyle(node).getPropertyValue(property);
+
+	afterEach(() => {
+		warnings.splice(0).forEach((warning) => warning.remove());
+		window.happyDOM.settings.device.prefersColorScheme = 'light';
+		window.happyDOM.settings.device.forcedColors = 'none';
+	});
+
+	it('should apply custom properties set on the element', async () => {
+		// happy-dom can't compute the rest: rgba fallbacks, the border
+		// shorthand, gradients and ::slotted() filters
+		const cases = [
+			['--content-warning-color', '#abcdef', {}, 'button', 'color'],
+			[
+				'--content-warning-accent-color',
+				'#00ff00',
+				{ severity: 'medium' },
+				'button',
+				'border-top-color',
+			],
+			[
+				'--content-warning-button-bg',
+				'#222222',
+				{},
+				'button',
+				'background-color',
+			],
+			[
+				'--content-warning-radius',
+				'7px',
+				{},
+				'button',
+				'border-top-left-radius',
+			],
+			['--content-warning-padding', '9px', {}, 'button', 'padding-top'],
+			['--content-warning-font-size', '21px', {}, 'button', 'font-size'],
+			[
+				'--content-warning-font-family',
+				'serif',
+				{},
+				'button',
+				'font-family',
+			],
+			[
+				'--content-warning-bg-high',
+				'#123456',
+				{ severity: 'high' },
+				'.overlay',
+				'background',
+			],
+			[
+				'--content-warning-blur-bg',
+				'#444444',
+				{ mode: 'blur' },
+				'.overlay',
+				'background',
+			],
+			[
+				'--content-warning-placeholder-bg',
+				'#555555',
+				{ mode: 'placeholder' },
+				'.placeholder',
+				'background',
+			],
+			[
+				'--content-warning-teaser-lines',
+				'5',
+				{ mode: 'teaser' },
+				'.content-wrapper',
+				'max-height',
+				'calc(5 * 1lh)',
+			],
+			[
+				'--content-warning-transition-duration',
+				'1s',
+				{},
+				null,
+				'--_cw-transition-duration',
+			],
+		];
+
+		for (const [
+			name,
+			value,
+			attributes,
+			selector,
+			property,
+			expected = value,
+		] of cases) {
+			const warning = await create(attributes);
+			const node = selector
+				? warning.shadowRoot.querySelector(selector)
+				: warning;
+
+			expect(style(node, property), name).not.toBe(expected);
+			warning.style.setProperty(name, value);
+			expect(style(node, property), name).toBe(expected);
+		}
+	});
+
+	it('should apply each theme preset', async () => {
+		const theme = async (name, attributes) => {
+			const warning = await create(
+				name ? { theme: name, ...attributes } : attributes,
+			);
+			const button = warning.shadowRoot.querySelector('button');
+			return {
+				overlay: style(
+					warning.shadowRoot.querySelector('.overlay'),
+					'background',
+				),
+				color: style(button, 'color'),
+				borderColor: style(button, 'border-top-color'),
+				radius: style(button, 'border-top-left-radius'),
+				fontSize: style(button, 'font-size'),
+			};
+		};
+
+		const high = await theme(null, { severity: 'high' });
+		expect(await theme('light', { severity: 'high' })).toEqual({
+			...high,
+			overlay: '#fff',
+			color: '#1a1a1a',
+			borderColor: '#c62828',
+		});
+
+		const medium = await theme(null, { severity: 'medium' });
+		expect(await theme('subtle', { severity: 'medium' })).toEqual({
+			...medium,
+			radius: '4px',
+			fontSize: '14px',
+		});
+		expect(await theme('high-contrast', { severity: 'medium' })).toEqual({
+			...medium,
+			overlay: '#000',
+			borderColor: '#ff0',
+		});
+	});
+
+	it('should follow the color scheme in the auto theme', async () => {
+		const color = async () => {
+			const warning = await create({ theme: 'auto' });
+			return style(warning.shadowRoot.querySelector('button'), 'color');
+		};
+
+		window.happyDOM.settings.device.prefersColorScheme = 'dark';
+		expect(await color()).toBe('#fff');
+		window.happyDOM.settings.device.prefersColorScheme = 'light';
+		expect(await color()).toBe('#1a1a1a');
+	});
+
+	it('should restyle the overlay and buttons in forced colors mode', async () => {
+		window.happyDOM.settings.device.forcedColors = 'active';
+		const warning = await create({ hideable: '' });
+
+		// happy-dom doesn't know system colors, so check that the forced
+		// colors rules reach the rendered parts
+		const sheet = warning.shadowRoot.querySelector('style').sheet;
+		const forced = Array.from(sheet.cssRules).find((rule) =>
+			rule.conditionText?.includes('forced-colors'),
+		);
+		const restyled = (node) =>
+			Array.from(forced.cssRules).some((rule) =>
+				node.matches(rule.selectorText),
+			);
+
+		expect(window.matchMedia(forced.conditionText).matches).toBe(true);
+		expect(restyled(warning.shadowRoot.querySelector('.overlay'))).toBe(
+			true,
+		);
+		expect(restyled(warning.shadowRoot.querySelector('button'))).toBe(true);
+
+		warning.reveal();
+		await render();
+		expect(
+			restyled(warning.shadowRoot.querySelector('[part="hide-button"]')),
+		).toBe(true);
+	});
+});
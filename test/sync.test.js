@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { STORAGE_PREFIX } from '../storage.js';
+import { DEFAULT_SYNC_CHANNEL, openSyncChannel } from '../sync.js';
+
+// Stands in for other tabs: delivers each message to every other open
+// channel with the same name, synchronously
+class FakeBroadcastChannel {
+	static channels = new Set();
+
+	constructor(name) {
+		this.name = name;
+		this.onmessage = null;
+		FakeBroadcastChannel.channels.add(this);
+	}
+
+	postMessage(data) {
+		for (const channel of FakeBroadcastChannel.channels) {
+			if (channel !== this && channel.name === this.name) {
+				channel.onmessage?.({ data });
+			}
+		}
+	}
+
+	close() {
+		FakeBroadcastChannel.channels.delete(this);
+	}
+}
+
+describe('Sync channels', () => {
+	let originalBroadcastChannel;
+	const channels = [];
+	const open = (name, onMessage) => {
+		const channel = openSyncChannel(name, onMessage);
+		channels.push(channel);
+		return channel;
+	};
+
+	beforeEach(() => {
+		originalBroadcastChannel = globalThis.BroadcastChannel;
+		globalThis.BroadcastChannel = FakeBroadcastChannel;
+	});
+
+	afterEach(() => {
+		channels.splice(0).forEach((channel) => channel.close());
+		globalThis.BroadcastChannel = originalBroadcastChannel;
+	});
+
+	it('should default to the "content-warning" channel', () => {
+		expect(DEFAULT_SYNC_CHANNEL).toBe('content-warning');
+	});
+
+	it('should deliver messages to other channels with the same name', () => {
+		const received = [];
+		const sender = open('test', () => received.push('sender'));
+		open('test', (message) => received.push(message));
+		open('other', (message) => received.push(message));
+
+		sender.post({ action: 'reveal', key: 'post-1' });
+		expect(received).toEqual([{ action: 'reveal', key: 'post-1' }]);
+	});
+
+	it('should namespace the BroadcastChannel name', () => {
+		open(undefined, () => {});
+		const [channel] = FakeBroadcastChannel.channels;
+		expect(channel.name).toBe(`${STORAGE_PREFIX}sync:content-warning`);
+	});
+
+	it('should stop delivering messages once closed', () => {
+		const received = [];
+		const sender = open('test', () => {});
+		const receiver = open('test', (message) => received.push(message));
+
+		receiver.close();
+		sender.post({ action: 'hide', key: 'post-1' });
+		expect(received).toEqual([]);
+	});
+
+	describe('Storage Event Fallback', () => {
+		const key = `${STORAGE_PREFIX}sync:test`;
+		const receive = (newValue, eventKey = key) =>
+			window.dispatchEvent(
+				new StorageEvent('storage', { key: eventKey, newValue }),
+			);
+
+		beforeEach(() => {
+			globalThis.BroadcastChannel = undefined;
+		});
+
+		afterEach(() => {
+			localStorage.clear();
+		});
+
+		it('should receive messages from storage events', () => {
+			const received = [];
+			open('test', (message) => received.push(message));
+
+			receive(
+				JSON.stringify({
+					id: '1',
+					message: { action: 'reveal', key: 'a' },
+				}),
+			);
+			expect(received).toEqual([{ action: 'reveal', key: 'a' }]);
+		});
+
+		it('should ignore other keys, removals and malformed data', () => {
+			const received = [];
+			open('test', (message) => received.push(message));
+
+			receive(JSON.stringify({ id: '1', message: {} }), 'other');
+			receive(null);
+			receive('{not json');
+			expect(received).toEqual([]);
+		});
+
+		it('should post by writing to localStorage and removing it again', () => {
+			const writes = [];
+			const originalSetItem = Storage.prototype.setItem;
+			Storage.prototype.setItem = function (name, value) {
+				writes.push([name, JSON.parse(value)]);
+				return originalSetItem.call(this, name, value);
+			};
+
+			try {
+				open('test', () => {}).post({ action: 'hide', key: 'a' });
+			} finally {
+				Storage.prototype.setItem = originalSetItem;
+			}
+
+			expect(writes).toHaveLength(1);
+			expect(writes[0][0]).toBe(key);
+			expect(writes[0][1].message).toEqual({ action: 'hide', key: 'a' });
+			expect(localStorage.getItem(key)).toBeNull();
+		});
+
+		it('should stop listening once closed', () => {
+			const received = [];
+			open('test', (message) => received.push(message)).close();
+
+			receive(JSON.stringify({ id: '1', message: { action: 'hide' } }));
+			expect(received).toEqual([]);
+		});
+	});
+});
@@ -0,0 +1,34 @@
+import type { ContentWarningTypeDefinition } from './content-warning.js';
+
+export type ContentWarningSeverity = 'low' | 'medium' | 'high';
+
+/**
+ * Severity levels, from least to most severe
+ */
+export const SEVERITIES: ContentWarningSeverity[];
+
+/**
+ * Register a warning type with a human-readable label and optional details
+ */
+export function defineType(
+	key: string,
+	definition: ContentWarningTypeDefinition,
+): void;
+
+/**
+ * Look up a registered warning type
+ */
+export function getType(key: string): ContentWarningTypeDefinition | undefined;
+
+/**
+ * Split a type attribute value into individual types
+ */
+export function parseTypes(value: string | null): string[];
+
+/**
+ * Resolve a severity from an explicit value, or the highest severity of the registered types
+ */
+export function resolveSeverity(
+	keys: string[],
+	severity?: string | null,
+): ContentWarningSeverity | null;
@@ -0,0 +1,68 @@
+/**
+ * Registry of warning types, keyed by the value used in the type attribute.
+ */
+
+/**
+ * Severity levels, from least to most severe
+ */
+export const SEVERITIES = ['low', 'medium', 'high'];
+
+const types = new Map();
+
+/**
+ * Register a warning type with a human-readable label and optional details
+ * @param {string} key - The value used in the type attribute (e.g. "self-harm")
+ * @param {Object} definition
+ * @param {string|Object<string, string>} definition.label - Display name, or display names keyed by locale
+ * @param {string|Object<string, string>} [definition.description] - Explanation shown on the overlay, or descriptions keyed by locale
+ * @param {"low"|"medium"|"high"} [definition.severity] - How disturbing the content is
+ * @param {string|Node} [definition.icon] - Text (e.g. an emoji) or a node (e.g. an SVG) shown before the label
+ */
+export function defineType(key, definition) {
+	if (!definition || !definition.label) {
+		throw new TypeError(`Content warning type "${key}" needs a label`);
+	}
+	if (
+		definition.severity !== undefined &&
+		!SEVERITIES.includes(definition.severity)
+	) {
+		throw new TypeError(
+			`Content warning type severity must be "low", "medium" or "high", received "${definition.severity}"`,
+		);
+	}
+	types.set(key, { ...definition });
+}
+
+/**
+ * Look up a registered warning type
+ * @param {string} key - The value used in the type attribute
+ * @returns {Object|undefined}
+ */
+export function getType(key) {
+	return types.get(key);
+}
+
+/**
+ * Split a type attribute value into individual types
+ * @param {string|null} value - The type attribute value
+ * @returns {string[]}
+ */
+export function parseTypes(value) {
+	return (value || '').split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Resolve a severity from an explicit value, or the highest severity of the registered types
+ * @param {string[]} keys - The warning types
+ * @param {string|null} [severity] - An explicit severity (e.g. from the severity attribute)
+ * @returns {"low"|"medium"|"high"|null}
+ */
+export function resolveSeverity(keys, severity) {
+	if (SEVERITIES.includes(severity)) return severity;
+
+	let highest = -1;
+	for (const key of keys) {
+		highest = Math.max(highest, SEVERITIES.indexOf(getType(key)?.severity));
+	}
+	return SEVERITIES[highest] ?? null;
+}